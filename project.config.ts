@@ -74,6 +74,12 @@ export default {
     input: "background/service-worker.ts",
     output: "service-worker.js",
   },
+  // Firefox does not support service workers in extensions. It uses an event
+  // page running this script instead.
+  backgroundScript: {
+    input: "background/main.ts",
+    output: "background.js",
+  },
   worker: {
     input: "worker/main.ts",
     output: "worker.js",
@@ -165,9 +171,9 @@ function getBrowser(): Browser | undefined {
 function browserSpecificIgnores(browser: Browser | undefined): Array<string> {
   switch (browser) {
     case "chrome":
-      return ["icons/svg-*"];
+      return ["icons/svg-*", "background.js"];
     case "firefox":
-      return ["icons/png-*"];
+      return ["icons/png-*", "service-worker.js"];
     case undefined:
       return [];
   }
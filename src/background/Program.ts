@@ -1,18 +1,38 @@
-import huffman from "n-ary-huffman";
-import browser, { Runtime, Tabs } from 'webextension-polyfill';
+import browser, { Runtime, Storage, Tabs } from 'webextension-polyfill';
 
 import iconsChecksum from "../icons/checksum";
 import {
+  ExternalHint,
+  ExternalMessage,
+  ExternalNotification,
+  ExternalResponse,
+} from "../shared/external";
+import {
+  assignHintLabels,
   elementKey,
   ElementRender,
   ElementReport,
   ElementTypes,
   ElementWithHint,
   ExtendedElementReport,
+  HintLabels,
   HintMeasurements,
   HintUpdate,
 } from "../shared/hints";
 import {
+  ACTIVATION_HISTORY_KEY,
+  ActivationHistory,
+  addActivation,
+  decodeActivationHistory,
+  getElementFingerprint,
+  getHistoryOrigin,
+  getWeightBoost,
+  loadActivationHistory,
+  saveActivationHistory,
+} from "../shared/history";
+import {
+  CopyFormat,
+  FOCUS_INPUT_KEYBOARD_ACTIONS,
   HintsMode,
   KeyboardAction,
   KeyboardMapping,
@@ -25,14 +45,22 @@ import {
   addListener,
   CONTAINER_ID,
   decode,
+  deepEqual,
   fireAndForget,
+  getTextSegments,
+  HOST_PERMISSIONS,
   isMixedCase,
   log,
   makeRandomToken,
+  matchText,
   partition,
   Resets,
   splitEnteredText,
+  TextFilter,
+  TextMatch,
+  TextSegment,
 } from "../shared/main";
+import { describeMediaControls, getMediaCommand } from "../shared/media";
 import type {
   ChromiumVariant,
   FromBackground,
@@ -47,22 +75,66 @@ import type {
   ToWorker,
 } from "../shared/messages";
 import {
+  applySiteRule,
+  DEBUG_PREFIX,
+  decodeFlatOptions,
   diffOptions,
   flattenOptions,
   getDefaults,
-  getRawOptions,
+  getHintChars,
+  getSiteRule,
+  migrateOptions,
   Options,
+  OPTIONS_VERSION,
+  OPTIONS_VERSION_KEY,
   OptionsData,
   PartialOptions,
-  unflattenOptions,
+  SiteRule,
 } from "../shared/options";
 import {
+  addPerfRun,
+  decodePerfHistory,
   MAX_PERF_ENTRIES,
   Perf,
+  PERF_HISTORY_KEY,
+  PerfHistory,
+  PerfRun,
   Stats,
+  sumDurations,
   TabsPerf,
   TimeTracker,
 } from "../shared/perf";
+import {
+  clearProfile,
+  createProfile,
+  DEFAULT_PROFILE,
+  deleteProfile,
+  getActiveProfileName,
+  getProfiles,
+  getRawProfileOptions,
+  isProfileStorageKey,
+  Profile,
+  ProfileName,
+  saveRawProfileOptions,
+  setActiveProfileName,
+  setProfileSync,
+} from "../shared/profiles";
+import {
+  describeRecordedMessage,
+  isReplayedMessage,
+  MAX_RECORDING_ENTRIES,
+  RecordedMessage,
+  Recording,
+  RECORDING_VERSION,
+  RecordingEntry,
+} from "../shared/recording";
+import {
+  getSwitchableTabs,
+  matchesTab,
+  performTabAction,
+  SwitchableTab,
+  TabAction,
+} from "../shared/tabs";
 import { bool, tweakable, unsignedInt } from "../shared/tweakable";
 
 type MessageInfo = {
@@ -77,6 +149,25 @@ type TabState = {
   perf: Perf;
   isOptionsPage: boolean;
   isPinned: boolean;
+  url: string | undefined;
+  copyFormat: CopyFormat;
+  // Texts copied so far in the current `ManyCopy` hints mode session, in the
+  // order the hints were activated. `undefined` while waiting for the text.
+  copiedTexts: Array<string | undefined>;
+  // Set while replaying a recording in this tab (the options page).
+  replay: Replay | undefined;
+  // The ID of the other extension that entered the current hints mode, if
+  // any. It is notified when hints mode exits.
+  externalClient: string | undefined;
+};
+
+type Replay = {
+  options: Options;
+  url: string | undefined;
+  // The recorded entries for the replayed tab.
+  entries: Array<RecordingEntry>;
+  // The index of the next entry to replay.
+  position: number;
 };
 
 type HintsState =
@@ -90,6 +181,20 @@ type HintsState =
       refreshing: boolean;
       highlighted: Highlighted;
     }
+  | {
+      type: "ControllingMedia";
+      // The chosen `<video>` or `<audio>` element.
+      frame: { id: number; index: number };
+      highlighted: Highlighted;
+    }
+  | {
+      type: "FocusingInput";
+      // The visible text inputs, in reading order.
+      elements: Array<ExtendedElementReport>;
+      // The index in `elements` of the focused text input.
+      current: number;
+      highlighted: Highlighted;
+    }
   | {
       type: "Hinting";
       mode: HintsMode;
@@ -106,6 +211,14 @@ type HintsState =
   | {
       type: "Idle";
       highlighted: Highlighted;
+    }
+  | {
+      type: "SwitchingTab";
+      tabs: Array<SwitchableTab>;
+      enteredChars: string;
+      enteredText: string;
+      action: TabAction;
+      highlighted: Highlighted;
     };
 
 // All HintsState types store the highlighted hints (highlighted due to being
@@ -174,6 +287,17 @@ export const t = {
   // How long a matched/activated hint should show as highlighted.
   MATCH_HIGHLIGHT_DURATION: unsignedInt(200), // ms
 
+  // Browser-level shortcuts pressed while the page is loading are run once it
+  // has loaded, unless that takes longer than this.
+  PENDING_COMMAND_TIMEOUT: unsignedInt(5000), // ms
+
+  // New perf history runs are written to `storage.local` at most this often.
+  PERF_HISTORY_SAVE_DELAY: unsignedInt(5000), // ms
+
+  // How many characters of the highlighted element’s text to show around the
+  // matched characters in the status when filtering by text.
+  STATUS_TEXT_CONTEXT_LENGTH: unsignedInt(10),
+
   // For people with tiling window managers who exclusively use windows rather
   // than tabs. This changes basically everything that deals with tabs to
   // instead deal with windows.
@@ -189,6 +313,32 @@ export default class BackgroundProgram {
 
   restoredTabsPerf: TabsPerf = {};
 
+  // Cached copy of what’s in `storage.local`, since it’s needed synchronously
+  // when assigning hints.
+  activationHistory: ActivationHistory = {};
+
+  // Cached copy of what’s in `storage.local`, to avoid reading it back on
+  // every run.
+  perfHistory: PerfHistory = {};
+
+  // Set while a write of `perfHistory` is pending. Runs are saved in batches,
+  // to keep serializing the history out of what is being measured.
+  perfHistorySaveTimeoutId: ReturnType<typeof setTimeout> | undefined =
+    undefined;
+
+  // Set while recording a session from the options page.
+  recording: Recording | undefined = undefined;
+
+  // The tab being recorded. Other tabs are left out of the recording, since
+  // it is meant to be attached to bug reports.
+  recordingTabId: number | undefined = undefined;
+
+  // Browser-level shortcuts waiting for a tab to finish loading.
+  pendingCommands = new Map<
+    number,
+    { action: KeyboardAction; timestamp: number }
+  >();
+
   oneTimeWindowMessageToken: string = makeRandomToken();
 
   resets = new Resets();
@@ -202,6 +352,8 @@ export default class BackgroundProgram {
       raw: {},
       errors: [],
       mac,
+      profile: DEFAULT_PROFILE,
+      profiles: [{ name: DEFAULT_PROFILE, sync: true }],
     };
   }
 
@@ -215,14 +367,50 @@ export default class BackgroundProgram {
       this.options.errors = [error.message];
     }
 
+    try {
+      this.activationHistory = await loadActivationHistory();
+    } catch (error) {
+      log(
+        "error",
+        "BackgroundProgram#start",
+        "Failed to load activation history.",
+        error
+      );
+    }
+
+    try {
+      const { [PERF_HISTORY_KEY]: perfHistory } =
+        await browser.storage.local.get(PERF_HISTORY_KEY);
+      this.perfHistory = decodePerfHistory(perfHistory);
+    } catch (error) {
+      log(
+        "error",
+        "BackgroundProgram#start",
+        "Failed to load perf history.",
+        error
+      );
+    }
+
     const tabs = await browser.tabs.query({});
 
+    // Not using `addListener`, since the returned Promise is the response.
+    const onMessageExternal = this.onMessageExternal.bind(this);
+    browser.runtime.onMessageExternal.addListener(onMessageExternal);
+
     this.resets.add(
+      () => {
+        browser.runtime.onMessageExternal.removeListener(onMessageExternal);
+      },
       addListener(
         browser.runtime.onMessage,
         this.onMessage.bind(this),
         "BackgroundProgram#onMessage"
       ),
+      addListener(
+        browser.commands.onCommand,
+        this.onCommand.bind(this),
+        "BackgroundProgram#onCommand"
+      ),
       addListener(
         browser.runtime.onConnect,
         this.onConnect.bind(this),
@@ -243,12 +431,24 @@ export default class BackgroundProgram {
         this.onTabUpdated.bind(this),
         "BackgroundProgram#onTabUpdated",
         // Chrome doesn't support filters.
-        BROWSER === "firefox" ? { properties: ["status", "pinned"] } : undefined
+        BROWSER === "firefox"
+          ? { properties: ["status", "pinned", "url"] }
+          : undefined
       ),
       addListener(
         browser.tabs.onRemoved,
         this.onTabRemoved.bind(this),
         "BackgroundProgram#onTabRemoved"
+      ),
+      addListener(
+        browser.storage.onChanged,
+        this.onStorageChanged.bind(this),
+        "BackgroundProgram#onStorageChanged"
+      ),
+      addListener(
+        browser.permissions.onAdded,
+        this.onPermissionsAdded.bind(this),
+        "BackgroundProgram#onPermissionsAdded"
       )
     );
 
@@ -293,6 +493,23 @@ export default class BackgroundProgram {
     }
   }
 
+  // In Firefox, host permissions are optional in Manifest V3, so the content
+  // scripts might not have been allowed to run in the open tabs until now.
+  onPermissionsAdded(): void {
+    fireAndForget(
+      (async () => {
+        const tabs = await browser.tabs.query({});
+        await runContentScripts(
+          tabs.filter(
+            (tab: Tabs.Tab) =>
+              tab.id !== undefined && !this.tabState.has(tab.id)
+          )
+        );
+      })(),
+      "BackgroundProgram#onPermissionsAdded"
+    );
+  }
+
   stop(): void {
     log("log", "BackgroundProgram#stop");
     this.resets.reset();
@@ -302,7 +519,14 @@ export default class BackgroundProgram {
     message: ToWorker,
     recipient: { tabId: number; frameId: number | "all_frames" }
   ): void {
+    // When replaying, the elements come from the recording and not from the
+    // tab’s real worker.
+    if (this.tabState.get(recipient.tabId)?.replay !== undefined) {
+      log("log", "BackgroundProgram#sendWorkerMessage (replay)", message);
+      return;
+    }
     log("log", "BackgroundProgram#sendWorkerMessage", message, recipient);
+    this.record(recipient, undefined, { type: "ToWorker", message });
     fireAndForget(
       this.sendContentMessage({ type: "ToWorker", message }, recipient),
       "BackgroundProgram#sendWorkerMessage",
@@ -314,6 +538,7 @@ export default class BackgroundProgram {
   sendRendererMessage(message: ToRenderer, { tabId }: { tabId: number }): void {
     const recipient = { tabId, frameId: TOP_FRAME_ID };
     log("log", "BackgroundProgram#sendRendererMessage", message, recipient);
+    this.record(recipient, undefined, { type: "ToRenderer", message });
     fireAndForget(
       this.sendContentMessage({ type: "ToRenderer", message }, recipient),
       "BackgroundProgram#sendRendererMessage",
@@ -347,6 +572,38 @@ export default class BackgroundProgram {
     }
   }
 
+  record(
+    { tabId, frameId }: { tabId: number; frameId: number | "all_frames" },
+    url: string | undefined,
+    message: RecordedMessage
+  ): void {
+    const { recording } = this;
+    const tabState = this.tabState.get(tabId);
+    // The options page is where recordings are made and replayed – don’t
+    // record that.
+    if (
+      recording === undefined ||
+      tabId !== this.recordingTabId ||
+      tabState === undefined ||
+      tabState.isOptionsPage
+    ) {
+      return;
+    }
+
+    recording.entries.push({
+      time: Date.now() - recording.startTime,
+      tabId,
+      frameId,
+      url,
+      message,
+    });
+
+    // Keep the latest entries, which most likely contain the problem.
+    if (recording.entries.length > MAX_RECORDING_ENTRIES) {
+      recording.entries.shift();
+    }
+  }
+
   // This might seem like sending a message to oneself, but
   // `browser.runtime.sendMessage` seems to only send messages to *other*
   // background scripts, such as the popup script.
@@ -414,7 +671,10 @@ export default class BackgroundProgram {
 
       switch (typedMessage.type) {
         case "FromWorker":
-          if (info !== undefined) {
+          // When replaying, the tab’s real worker is ignored. The recorded
+          // worker messages are used instead.
+          if (info !== undefined && tabState.replay === undefined) {
+            this.record(info, info.url, typedMessage);
             try {
               this.onWorkerMessage(typedMessage.message, info, tabState);
             } catch (error) {
@@ -431,6 +691,7 @@ export default class BackgroundProgram {
 
         case "FromRenderer":
           if (info !== undefined) {
+            this.record(info, info.url, typedMessage);
             try {
               this.onRendererMessage(typedMessage.message, info, tabState);
             } catch (error) {
@@ -472,6 +733,177 @@ export default class BackgroundProgram {
     return true;
   }
 
+  // Messages from other extensions. See `shared/external.ts` and API.md.
+  async onMessageExternal(
+    message: unknown,
+    sender: Runtime.MessageSender
+  ): Promise<ExternalResponse> {
+    const { id } = sender;
+    if (
+      id === undefined ||
+      !this.options.values.externalExtensionIds.includes(id)
+    ) {
+      return {
+        type: "Error",
+        message: `Extension not allowed: ${String(id)}`,
+      };
+    }
+
+    try {
+      const externalMessage = decode(ExternalMessage, message);
+      const tabId = externalMessage.tabId ?? (await getCurrentTab()).id;
+      const tabState =
+        tabId === undefined ? undefined : this.tabState.get(tabId);
+      if (tabId === undefined || tabState === undefined) {
+        return {
+          type: "Error",
+          message: `${META_NAME} is not running in tab: ${String(tabId)}`,
+        };
+      }
+      return this.onExternalMessage(externalMessage, id, tabId, tabState);
+    } catch (errorAny) {
+      const error = errorAny as Error;
+      log("error", "BackgroundProgram#onMessageExternal", error, message, id);
+      return { type: "Error", message: error.message };
+    }
+  }
+
+  onExternalMessage(
+    message: ExternalMessage,
+    id: string,
+    tabId: number,
+    tabState: TabState
+  ): ExternalResponse {
+    const { hintsState } = tabState;
+
+    switch (message.type) {
+      case "EnterHintsMode": {
+        const error = this.getExternalEnterHintsModeError(tabState);
+        if (error !== undefined) {
+          return { type: "Error", message: error };
+        }
+        if (message.mode === "Copy" || message.mode === "ManyCopy") {
+          tabState.copiedTexts = [];
+        }
+        this.enterHintsMode({
+          tabId,
+          timestamp: Date.now(),
+          mode: message.mode,
+        });
+        if (tabState.hintsState.type !== "Collecting") {
+          return {
+            type: "Error",
+            message: "Failed to enter hints mode.",
+          };
+        }
+        tabState.externalClient = id;
+        return { type: "Done" };
+      }
+
+      case "GetHints": {
+        if (hintsState.type !== "Hinting") {
+          return notHinting(hintsState);
+        }
+        const hints = getMatchingElements({
+          elementsWithHints: hintsState.elementsWithHints,
+          enteredChars: hintsState.enteredChars,
+          enteredText: hintsState.enteredText,
+          textFilter: this.getTabOptions(tabState).textFilter,
+        }).map(
+          (element): ExternalHint => ({
+            id: getExternalHintId(element),
+            hint: element.hint,
+            type: element.type,
+            text: element.text,
+            url: element.url,
+            x: element.hintMeasurements.x,
+            y: element.hintMeasurements.y,
+          })
+        );
+        return { type: "Hints", hints };
+      }
+
+      case "ActivateHint": {
+        if (hintsState.type !== "Hinting") {
+          return notHinting(hintsState);
+        }
+        // Elements filtered out by text keep their old hints, which may now
+        // belong to other elements, so only look among the matching ones.
+        const element = getMatchingElements({
+          elementsWithHints: hintsState.elementsWithHints,
+          enteredChars: hintsState.enteredChars,
+          enteredText: hintsState.enteredText,
+          textFilter: this.getTabOptions(tabState).textFilter,
+        }).find((element2) =>
+          message.id !== undefined
+            ? getExternalHintId(element2) === message.id
+            : element2.hint === message.hint
+        );
+        if (element === undefined) {
+          return {
+            type: "Error",
+            message: `No such hint: ${message.hint ?? message.id ?? ""}`,
+          };
+        }
+        hintsState.enteredChars = element.hint;
+        const activated = this.handleHintInput(tabId, Date.now(), {
+          type: "ActivateHint",
+          alt: message.alt,
+        });
+        return activated
+          ? { type: "Done" }
+          : {
+              type: "Error",
+              message: `Failed to activate hint: ${element.hint}`,
+            };
+      }
+
+      case "ExitHintsMode":
+        this.exitHintsMode({ tabId });
+        return { type: "Done" };
+    }
+  }
+
+  // Unlike the keyboard shortcuts, which are simply missing when they can’t be
+  // used, other extensions need to be told why nothing happened.
+  getExternalEnterHintsModeError(tabState: TabState): string | undefined {
+    if (tabState.isOptionsPage) {
+      return `${META_NAME} does not run on its own options page.`;
+    }
+
+    const siteRule = getSiteRule(this.options.values.siteRules, tabState.url);
+    if (siteRule?.disabled === true) {
+      return `${META_NAME} is disabled on this page by a site rule: ${siteRule.pattern}`;
+    }
+
+    if (tabState.hintsState.type !== "Idle") {
+      return "Hints mode is already active. Send `ExitHintsMode` first.";
+    }
+
+    return undefined;
+  }
+
+  notifyHintsModeExited(tabId: number, tabState: TabState): void {
+    const { externalClient } = tabState;
+    if (externalClient === undefined) {
+      return;
+    }
+
+    tabState.externalClient = undefined;
+    const notification: ExternalNotification = {
+      type: "HintsModeExited",
+      tabId,
+    };
+    fireAndForget(
+      browser.runtime.sendMessage(externalClient, notification).then(() => {
+        // Ignore the response.
+      }),
+      "BackgroundProgram#notifyHintsModeExited",
+      externalClient,
+      notification
+    );
+  }
+
   onConnect(port: Runtime.Port): void {
     port.onDisconnect.addListener(({ sender }) => {
       const info = sender === undefined ? undefined : makeMessageInfo(sender);
@@ -492,6 +924,13 @@ export default class BackgroundProgram {
 
     switch (message.type) {
       case "WorkerScriptAdded":
+        if (info.frameId === TOP_FRAME_ID) {
+          tabState.url = info.url;
+          // The site rule might have changed, and with it the CSS.
+          this.sendRendererMessage(this.makeRendererState(tabState), {
+            tabId: info.tabId,
+          });
+        }
         this.sendWorkerMessage(
           // Make sure that the added worker script gets the same token as all
           // other frames in the page. Otherwise the first hints mode won't
@@ -583,14 +1022,16 @@ export default class BackgroundProgram {
 
         const { enteredChars, enteredText } = hintsState;
 
-        const { allElementsWithHints, updates } = updateHints({
+        const { allElementsWithHints, updates, highlightedText } = updateHints({
           mode: hintsState.mode,
           enteredChars,
           enteredText,
           elementsWithHints: updatedElementsWithHints,
           highlighted: hintsState.highlighted,
-          chars: this.options.values.chars,
-          autoActivate: this.options.values.autoActivate,
+          chars: getHintChars(this.getTabOptions(tabState)),
+          hintLabels: this.getTabOptions(tabState).hintLabels,
+          textFilter: this.getTabOptions(tabState).textFilter,
+          autoActivate: this.getTabOptions(tabState).autoActivate,
           matchHighlighted: false,
           updateMeasurements: true,
         });
@@ -602,6 +1043,7 @@ export default class BackgroundProgram {
             type: "UpdateHints",
             updates,
             enteredText,
+            highlightedText,
           },
           { tabId: info.tabId }
         );
@@ -702,6 +1144,48 @@ export default class BackgroundProgram {
         });
         break;
 
+      case "CopiedElement":
+        // `copiedTexts` might have been reset since.
+        if (message.slot < tabState.copiedTexts.length) {
+          tabState.copiedTexts[message.slot] = message.text;
+          this.sendWorkerMessage(
+            {
+              type: "WriteClipboard",
+              text: tabState.copiedTexts
+                .flatMap((text) => (text === undefined ? [] : [text]))
+                .join("\n"),
+            },
+            { tabId: info.tabId, frameId: info.frameId }
+          );
+        }
+        break;
+
+      case "MediaControlled":
+        if (tabState.hintsState.type === "ControllingMedia") {
+          this.sendRendererMessage(
+            {
+              type: "RenderMediaControls",
+              status: describeMediaControls(message.state),
+            },
+            { tabId: info.tabId }
+          );
+        }
+        break;
+
+      case "ActivateAllMatchingConfirmed":
+        this.activateAllMatching(info.tabId, {
+          click: message.click,
+          confirmed: true,
+        });
+        break;
+
+      case "PendingSequence":
+        this.sendRendererMessage(
+          { type: "RenderPendingSequence", sequence: message.sequence },
+          { tabId: info.tabId }
+        );
+        break;
+
       case "OpenNewTabs":
         if (BROWSER === "firefox") {
           fireAndForget(
@@ -748,18 +1232,23 @@ export default class BackgroundProgram {
     enteredChars,
     allElementsWithHints,
     words,
+    textFilter,
     tabId,
   }: {
     enteredChars: string;
     allElementsWithHints: Array<ElementWithHint>;
     words: Array<string>;
+    textFilter: TextFilter;
     tabId: number;
   }): void {
     const indexesByFrame = new Map<number, Array<number>>();
     for (const { text, hint, frame } of allElementsWithHints) {
       const previous = indexesByFrame.get(frame.id) ?? [];
       indexesByFrame.set(frame.id, previous);
-      if (matchesText(text, words) && hint.startsWith(enteredChars)) {
+      if (
+        matchText(text, words, textFilter) !== undefined &&
+        hint.startsWith(enteredChars)
+      ) {
         previous.push(frame.index);
       }
     }
@@ -769,70 +1258,62 @@ export default class BackgroundProgram {
           type: "GetTextRects",
           indexes,
           words,
+          textFilter,
         },
         { tabId, frameId }
       );
     }
   }
 
-  handleHintInput(tabId: number, timestamp: number, input: HintInput): void {
+  // Returns whether a hint was activated.
+  handleHintInput(tabId: number, timestamp: number, input: HintInput): boolean {
     const tabState = this.tabState.get(tabId);
     if (tabState === undefined) {
-      return;
+      return false;
     }
 
     const { hintsState } = tabState;
-    if (hintsState.type !== "Hinting") {
-      return;
+    if (hintsState.type === "SwitchingTab") {
+      this.handleTabSwitcherInput(tabId, input);
+      return false;
     }
 
-    // Ignore unknown/non-text keys.
-    if (input.type === "Input" && input.keypress.printableKey === undefined) {
-      return;
+    if (hintsState.type === "ControllingMedia") {
+      this.handleMediaControlsInput(tabId, input);
+      return false;
     }
 
-    const isHintKey =
-      (input.type === "Input" &&
-        input.keypress.printableKey !== undefined &&
-        this.options.values.chars.includes(input.keypress.printableKey)) ||
-      (input.type === "Backspace" && hintsState.enteredChars !== "");
-
-    // Disallow filtering by text after having started entering hint chars.
-    if (
-      !isHintKey &&
-      input.type !== "ActivateHint" &&
-      hintsState.enteredChars !== ""
-    ) {
-      return;
+    if (hintsState.type !== "Hinting") {
+      return false;
     }
 
-    // Update entered chars (either text chars or hint chars).
-    const updated = updateChars(
-      isHintKey ? hintsState.enteredChars : hintsState.enteredText,
-      input
+    const entered = updateEnteredChars(
+      hintsState,
+      input,
+      getHintChars(this.getTabOptions(tabState))
     );
-    const enteredChars = isHintKey ? updated : hintsState.enteredChars;
-    const enteredText = isHintKey
-      ? hintsState.enteredText
-      : updated
-          .toLowerCase()
-          // Trim leading whitespace and allow only one trailing space.
-          .replace(/^\s+/, "")
-          .replace(/\s+$/, " ");
+    if (entered === undefined) {
+      return false;
+    }
+
+    const { enteredChars, enteredText } = entered;
 
     const {
       allElementsWithHints,
       match: actualMatch,
       updates,
       words,
+      highlightedText,
     } = updateHints({
       mode: hintsState.mode,
       enteredChars,
       enteredText,
       elementsWithHints: hintsState.elementsWithHints,
       highlighted: hintsState.highlighted,
-      chars: this.options.values.chars,
-      autoActivate: this.options.values.autoActivate,
+      chars: getHintChars(this.getTabOptions(tabState)),
+      hintLabels: this.getTabOptions(tabState).hintLabels,
+      textFilter: this.getTabOptions(tabState).textFilter,
+      autoActivate: this.getTabOptions(tabState).autoActivate,
       matchHighlighted: input.type === "ActivateHint",
       updateMeasurements: false,
     });
@@ -847,7 +1328,7 @@ export default class BackgroundProgram {
 
     // If pressing a hint char that is currently unused, ignore it.
     if (enteredChars !== "" && updates.every((update) => update.hidden)) {
-      return;
+      return false;
     }
 
     const now = Date.now();
@@ -867,6 +1348,7 @@ export default class BackgroundProgram {
       enteredChars,
       allElementsWithHints,
       words,
+      textFilter: this.getTabOptions(tabState).textFilter,
       tabId,
     });
 
@@ -895,7 +1377,7 @@ export default class BackgroundProgram {
     // Some hint modes handle updating hintsState and sending messages
     // themselves. The rest share the same implementation below.
     if (!shouldContinue) {
-      return;
+      return true;
     }
 
     this.sendRendererMessage(
@@ -903,6 +1385,7 @@ export default class BackgroundProgram {
         type: "UpdateHints",
         updates,
         enteredText,
+        highlightedText,
       },
       { tabId }
     );
@@ -912,6 +1395,7 @@ export default class BackgroundProgram {
         type: "Idle",
         highlighted: hintsState.highlighted,
       };
+      this.notifyHintsModeExited(tabId, tabState);
       this.setTimeout(tabId, t.MATCH_HIGHLIGHT_DURATION.value);
       this.updateWorkerStateAfterHintActivation({
         tabId,
@@ -920,6 +1404,7 @@ export default class BackgroundProgram {
     }
 
     this.updateBadge(tabId);
+    return match !== undefined;
   }
 
   // Executes some action on the element of the matched hint. Returns whether
@@ -951,10 +1436,12 @@ export default class BackgroundProgram {
       return true;
     }
 
+    this.recordActivation(tabState, match);
+
     const { url } = match;
 
     const mode: HintsMode =
-      url !== undefined && alt && hintsState.mode !== "Select"
+      url !== undefined && alt && altOpensNewTab(hintsState.mode)
         ? "ForegroundTab"
         : hintsState.mode;
 
@@ -998,39 +1485,56 @@ export default class BackgroundProgram {
           }
         );
 
-        // Highlight the matched hints immediately, but hide others when the
-        // highlight duration is over. Likely, the same hints will appear again
-        // when the "next" hints mode is started. This reduces flicker.
-        this.sendRendererMessage(
+        this.restartManyHintsMode({
+          tabId,
+          updates,
+          preventOverTyping,
+          timestamp,
+        });
+
+        return false;
+      }
+
+      case "Copy":
+        this.sendWorkerMessage(
           {
-            type: "UpdateHints",
-            updates: updates.filter((update) => update.type !== "Hide"),
-            enteredText: hintsState.enteredText,
+            type: "CopyElement",
+            index: match.frame.index,
+            format: tabState.copyFormat,
+            slot: undefined,
           },
-          { tabId }
+          {
+            tabId,
+            frameId: match.frame.id,
+          }
         );
+        return true;
 
-        // In case the "next" hints mode takes longer than the highlight
-        // duration, remove the shruggie. It might flicker by otherwise, and we
-        // don't need it, just like we don't show it when entering hints mode
-        // initially.
-        this.sendRendererMessage({ type: "RemoveShruggie" }, { tabId });
+      case "ManyCopy":
+        this.sendWorkerMessage(
+          {
+            type: "CopyElement",
+            index: match.frame.index,
+            format: tabState.copyFormat,
+            // Reserve the place of the text already now, so that quickly
+            // activated hints are copied in order, even if the texts arrive
+            // in another order.
+            slot: tabState.copiedTexts.push(undefined) - 1,
+          },
+          {
+            tabId,
+            frameId: match.frame.id,
+          }
+        );
 
-        this.updateWorkerStateAfterHintActivation({
+        this.restartManyHintsMode({
           tabId,
+          updates,
           preventOverTyping,
-        });
-
-        this.enterHintsMode({
-          tabId,
           timestamp,
-          mode: hintsState.mode,
         });
 
-        this.setTimeout(tabId, t.MATCH_HIGHLIGHT_DURATION.value);
-
         return false;
-      }
 
       case "ManyTab": {
         if (url === undefined) {
@@ -1068,8 +1572,9 @@ export default class BackgroundProgram {
             type: "UpdateHints",
             updates: assignHints(hintsState.elementsWithHints, {
               mode: "ManyTab",
-              chars: this.options.values.chars,
-              hasEnteredText: false,
+              chars: getHintChars(this.getTabOptions(tabState)),
+              hintLabels: this.getTabOptions(tabState).hintLabels,
+              textMatches: undefined,
             }).map((element, index) => ({
               type: "UpdateContent",
               index: element.index,
@@ -1082,6 +1587,7 @@ export default class BackgroundProgram {
               hidden: element.hidden,
             })),
             enteredText: "",
+            highlightedText: [],
           },
           { tabId }
         );
@@ -1125,12 +1631,54 @@ export default class BackgroundProgram {
         });
         return true;
 
+      case "Hover":
+        // Like moving the mouse: Leave the previously hovered element (which
+        // might be in another frame) before entering the new one.
+        this.sendWorkerMessage(
+          { type: "UnhoverElement" },
+          { tabId, frameId: "all_frames" }
+        );
+        this.sendWorkerMessage(
+          {
+            type: "HoverElement",
+            index: match.frame.index,
+          },
+          {
+            tabId,
+            frameId: match.frame.id,
+          }
+        );
+        return true;
+
+      case "Scrollable":
+        this.sendWorkerMessage(
+          {
+            type: "FocusScrollableElement",
+            index: match.frame.index,
+          },
+          {
+            tabId,
+            frameId: match.frame.id,
+          }
+        );
+        return true;
+
+      case "Media":
+        this.enterMediaControls(tabId, match);
+        return false;
+
+      // Never hinting (see `enterFocusInput`).
+      case "FocusInput":
+        return true;
+
       case "Select":
         this.sendWorkerMessage(
           alt
             ? {
                 type: "CopyElement",
                 index: match.frame.index,
+                format: undefined,
+                slot: undefined,
               }
             : {
                 type: "SelectElement",
@@ -1142,41 +1690,155 @@ export default class BackgroundProgram {
           }
         );
         return true;
-    }
-  }
 
-  refreshHintsRendering(tabId: number): void {
-    const tabState = this.tabState.get(tabId);
-    if (tabState === undefined) {
-      return;
-    }
-
-    const { hintsState } = tabState;
-    if (hintsState.type !== "Hinting") {
+      // The first hint selects the text of its element. Then enter hints mode
+      // again to pick where to extend the selection to.
+      case "SelectRange":
+        this.sendWorkerMessage(
+          {
+            type: "SelectTextRange",
+            index: match.frame.index,
+            words: splitEnteredText(hintsState.enteredText),
+            textFilter: this.getTabOptions(tabState).textFilter,
+            extend: false,
+            copy: false,
+          },
+          {
+            tabId,
+            frameId: match.frame.id,
+          }
+        );
+
+        this.restartManyHintsMode({
+          tabId,
+          updates,
+          preventOverTyping,
+          timestamp,
+          mode: "ExtendSelection",
+        });
+
+        return false;
+
+      case "ExtendSelection":
+        this.sendWorkerMessage(
+          {
+            type: "SelectTextRange",
+            index: match.frame.index,
+            words: splitEnteredText(hintsState.enteredText),
+            textFilter: this.getTabOptions(tabState).textFilter,
+            extend: true,
+            copy: alt,
+          },
+          {
+            tabId,
+            frameId: match.frame.id,
+          }
+        );
+        return true;
+    }
+  }
+
+  // After activating a hint in one of the "many" modes, enter the same hints
+  // mode again to allow activating more hints. `mode` allows continuing in
+  // another hints mode instead.
+  restartManyHintsMode({
+    tabId,
+    updates,
+    preventOverTyping,
+    timestamp,
+    mode,
+  }: {
+    tabId: number;
+    updates: Array<HintUpdate>;
+    preventOverTyping: boolean;
+    timestamp: number;
+    mode?: HintsMode;
+  }): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    if (hintsState.type !== "Hinting") {
+      return;
+    }
+
+    // Highlight the matched hints immediately, but hide others when the
+    // highlight duration is over. Likely, the same hints will appear again
+    // when the "next" hints mode is started. This reduces flicker.
+    this.sendRendererMessage(
+      {
+        type: "UpdateHints",
+        updates: updates.filter((update) => update.type !== "Hide"),
+        enteredText: hintsState.enteredText,
+        highlightedText: [],
+      },
+      { tabId }
+    );
+
+    // In case the "next" hints mode takes longer than the highlight
+    // duration, remove the shruggie. It might flicker by otherwise, and we
+    // don't need it, just like we don't show it when entering hints mode
+    // initially.
+    this.sendRendererMessage({ type: "RemoveShruggie" }, { tabId });
+
+    this.updateWorkerStateAfterHintActivation({
+      tabId,
+      preventOverTyping,
+    });
+
+    this.enterHintsMode({
+      tabId,
+      timestamp,
+      mode: mode ?? hintsState.mode,
+    });
+
+    this.setTimeout(tabId, t.MATCH_HIGHLIGHT_DURATION.value);
+  }
+
+  refreshHintsRendering(tabId: number): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    if (hintsState.type !== "Hinting") {
       return;
     }
 
     const { enteredChars, enteredText } = hintsState;
 
-    const { allElementsWithHints, updates, words } = updateHints({
-      mode: hintsState.mode,
+    const { allElementsWithHints, updates, words, highlightedText } =
+      updateHints({
+        mode: hintsState.mode,
+        enteredChars,
+        enteredText,
+        elementsWithHints: hintsState.elementsWithHints,
+        highlighted: hintsState.highlighted,
+        chars: getHintChars(this.getTabOptions(tabState)),
+        hintLabels: this.getTabOptions(tabState).hintLabels,
+        textFilter: this.getTabOptions(tabState).textFilter,
+        autoActivate: this.getTabOptions(tabState).autoActivate,
+        matchHighlighted: false,
+        updateMeasurements: false,
+      });
+
+    this.getTextRects({
       enteredChars,
-      enteredText,
-      elementsWithHints: hintsState.elementsWithHints,
-      highlighted: hintsState.highlighted,
-      chars: this.options.values.chars,
-      autoActivate: this.options.values.autoActivate,
-      matchHighlighted: false,
-      updateMeasurements: false,
+      allElementsWithHints,
+      words,
+      textFilter: this.getTabOptions(tabState).textFilter,
+      tabId,
     });
 
-    this.getTextRects({ enteredChars, allElementsWithHints, words, tabId });
-
     this.sendRendererMessage(
       {
         type: "UpdateHints",
         updates,
         enteredText,
+        highlightedText,
       },
       { tabId }
     );
@@ -1197,6 +1859,12 @@ export default class BackgroundProgram {
     frameId: number;
     foreground: boolean;
   }): void {
+    // Replays should not affect anything outside the tab.
+    if (this.tabState.get(tabId)?.replay !== undefined) {
+      log("log", "BackgroundProgram#openNewTab (replay)", url);
+      return;
+    }
+
     this.sendWorkerMessage(
       {
         type: "FocusElement",
@@ -1278,12 +1946,23 @@ export default class BackgroundProgram {
       return;
     }
 
+    if (hintsState.mode === "FocusInput") {
+      this.enterFocusInput(tabId, hintsState.pendingElements.elements);
+      return;
+    }
+
     const { time } = hintsState;
     time.start("assign hints");
 
+    const getBoost = this.makeWeightBoostGetter(tabState);
+
     const elementsWithHints: Array<ElementWithHint> = assignHints(
       hintsState.pendingElements.elements.map((element, index) => ({
         ...element,
+        hintMeasurements: {
+          ...element.hintMeasurements,
+          weight: element.hintMeasurements.weight * getBoost(element),
+        },
         // These are filled in by `assignHints` but need to be set here for type
         // checking reasons.
         weight: 0,
@@ -1294,8 +1973,9 @@ export default class BackgroundProgram {
       })),
       {
         mode: hintsState.mode,
-        chars: this.options.values.chars,
-        hasEnteredText: false,
+        chars: getHintChars(this.getTabOptions(tabState)),
+        hintLabels: this.getTabOptions(tabState).hintLabels,
+        textMatches: undefined,
       }
       // `.index` was set to `-1` in "ReportVisibleElements" (and to a temporary
       // index above). Now set it for real to map these elements to DOM elements
@@ -1379,10 +2059,11 @@ export default class BackgroundProgram {
       {
         type: "Render",
         elements: elementRenders,
-        mixedCase: isMixedCase(this.options.values.chars),
+        mixedCase: isMixedCase(getHintChars(this.getTabOptions(tabState))),
       },
       { tabId }
     );
+    this.renderCopyFormat(tabId);
     this.updateBadge(tabId);
   }
 
@@ -1467,14 +2148,16 @@ export default class BackgroundProgram {
 
     const { enteredChars, enteredText } = hintsState;
 
-    const { allElementsWithHints, updates } = updateHints({
+    const { allElementsWithHints, updates, highlightedText } = updateHints({
       mode: hintsState.mode,
       enteredChars,
       enteredText,
       elementsWithHints: hintsState.elementsWithHints,
       highlighted: hintsState.highlighted,
-      chars: this.options.values.chars,
-      autoActivate: this.options.values.autoActivate,
+      chars: getHintChars(this.getTabOptions(tabState)),
+      hintLabels: this.getTabOptions(tabState).hintLabels,
+      textFilter: this.getTabOptions(tabState).textFilter,
+      autoActivate: this.getTabOptions(tabState).autoActivate,
       matchHighlighted: false,
       updateMeasurements: false,
     });
@@ -1495,6 +2178,7 @@ export default class BackgroundProgram {
         type: "UpdateHints",
         updates,
         enteredText,
+        highlightedText,
       },
       { tabId: info.tabId }
     );
@@ -1511,14 +2195,9 @@ export default class BackgroundProgram {
 
     switch (message.type) {
       case "RendererScriptAdded":
-        this.sendRendererMessage(
-          {
-            type: "StateSync",
-            css: this.options.values.css,
-            logLevel: log.level,
-          },
-          { tabId: info.tabId }
-        );
+        this.sendRendererMessage(this.makeRendererState(tabState), {
+          tabId: info.tabId,
+        });
         // Both uBlock Origin and Adblock Plus use `browser.tabs.insertCSS` with
         // `{ display: none !important; }` and `cssOrigin: "user"` to hide
         // elements. I've seen LinkHint's container to be hidden by a
@@ -1550,16 +2229,28 @@ export default class BackgroundProgram {
         const { durations, firstPaintTimestamp, lastPaintTimestamp } = message;
         const timeToFirstPaint = firstPaintTimestamp - startTime;
         const timeToLastPaint = lastPaintTimestamp - startTime;
+        const topDurations = time.export();
         tabState.perf = [
           {
             timeToFirstPaint,
             timeToLastPaint,
-            topDurations: time.export(),
+            topDurations,
             collectStats,
             renderDurations: durations,
           },
           ...tabState.perf,
         ].slice(0, MAX_PERF_ENTRIES);
+        this.recordPerfRun(tabState, {
+          timestamp: startTime,
+          version: META_VERSION,
+          timeToFirstPaint,
+          timeToLastPaint,
+          topDurations,
+          collectDurations: sumDurations(
+            collectStats.map((stats) => stats.durations)
+          ),
+          renderDurations: durations,
+        });
         this.sendOptionsMessage({
           type: "PerfUpdate",
           perf: { [info.tabId]: tabState.perf },
@@ -1573,20 +2264,68 @@ export default class BackgroundProgram {
     log("log", "BackgroundProgram#log", message);
 
     switch (message.type) {
-      case "PopupScriptAdded": {
-        const tab = await getCurrentTab();
-        const tabState =
-          tab.id === undefined ? undefined : this.tabState.get(tab.id);
-        this.sendPopupMessage({
-          type: "Init",
-          logLevel: log.level,
-          isEnabled: tabState !== undefined,
+      case "PerformTabAction": {
+        const currentTab = await getCurrentTab();
+        if (currentTab.id === undefined) {
+          return;
+        }
+        const tabs = await getSwitchableTabs(currentTab.id, {
+          preferWindows: t.PREFER_WINDOWS.value,
         });
+        const tab = tabs.find((tab2) => tab2.id === message.tabId);
+        const current = tabs.find((tab2) => tab2.current);
+        if (tab === undefined || current === undefined) {
+          return;
+        }
+        await performTabAction(message.action, tab, current);
+        // The popup closes itself when activating a tab.
+        if (message.action !== "Activate") {
+          await this.sendPopupInit();
+        }
         break;
       }
+
+      case "PopupScriptAdded":
+        await this.sendPopupInit();
+        break;
+
+      case "SwitchProfile":
+        await this.changeProfiles(async () => {
+          await this.switchProfile(message.name);
+        });
+        await this.sendPopupInit();
+        break;
     }
   }
 
+  async sendPopupInit(): Promise<void> {
+    const tab = await getCurrentTab();
+    const tabState =
+      tab.id === undefined ? undefined : this.tabState.get(tab.id);
+    const tabSwitcher =
+      tabState === undefined && tab.id !== undefined
+        ? {
+            tabs: await getSwitchableTabs(tab.id, {
+              preferWindows: t.PREFER_WINDOWS.value,
+            }),
+            textFilter: this.options.values.textFilter,
+          }
+        : undefined;
+    this.sendPopupMessage({
+      type: "Init",
+      logLevel: log.level,
+      isEnabled: tabState !== undefined,
+      siteRule: getSiteRule(this.options.values.siteRules, tab.url),
+      profile: this.options.profile,
+      profiles: this.options.profiles,
+      hasOptionsErrors: this.options.errors.length > 0,
+      hasHostPermission: await browser.permissions.contains({
+        origins: HOST_PERMISSIONS,
+      }),
+      tabSwitcher,
+    });
+  }
+
   async onOptionsMessage(
     message: FromOptions,
     info: MessageInfo,
@@ -1610,6 +2349,10 @@ export default class BackgroundProgram {
           ])
         );
         this.sendOptionsMessage({ type: "PerfUpdate", perf });
+        this.sendOptionsMessage({
+          type: "RecordingState",
+          isRecording: this.recording !== undefined,
+        });
         break;
       }
 
@@ -1623,6 +2366,46 @@ export default class BackgroundProgram {
         this.updateTabsAfterOptionsChange();
         break;
 
+      case "CreateProfile":
+        await this.changeProfiles(async () => {
+          const name = decode(ProfileName, message.profile.name);
+          if (this.options.profiles.some((profile) => profile.name === name)) {
+            throw new Error(`There is already a profile called “${name}”.`);
+          }
+          // Only the options that differ from the defaults need to be stored.
+          const { optionsToSet } = message.copyCurrent
+            ? diffOptions(
+                flattenOptions(this.options.defaults),
+                flattenOptions(this.options.values),
+                {}
+              )
+            : { optionsToSet: {} };
+          await createProfile(
+            { name, sync: message.profile.sync },
+            { ...optionsToSet, [OPTIONS_VERSION_KEY]: OPTIONS_VERSION }
+          );
+          await setActiveProfileName(name);
+        });
+        break;
+
+      case "DeleteProfile":
+        await this.changeProfiles(async () => {
+          await deleteProfile(message.name);
+        });
+        break;
+
+      case "SetProfileSync":
+        await this.changeProfiles(async () => {
+          await setProfileSync(this.getProfile(message.name), message.sync);
+        });
+        break;
+
+      case "SwitchProfile":
+        await this.changeProfiles(async () => {
+          await this.switchProfile(message.name);
+        });
+        break;
+
       case "ResetPerf":
         for (const tabState2 of this.tabState.values()) {
           tabState2.perf = [];
@@ -1632,6 +2415,59 @@ export default class BackgroundProgram {
         }
         break;
 
+      case "StartRecording":
+        this.recording = {
+          version: RECORDING_VERSION,
+          startTime: Date.now(),
+          options: this.options.values,
+          entries: [],
+        };
+        this.recordingTabId = message.tabId;
+        this.sendOptionsMessage({ type: "RecordingState", isRecording: true });
+        break;
+
+      case "StopRecording":
+        if (this.recording !== undefined) {
+          this.sendOptionsMessage({
+            type: "RecordingDone",
+            recording: this.recording,
+          });
+          this.recording = undefined;
+          this.recordingTabId = undefined;
+        }
+        this.sendOptionsMessage({ type: "RecordingState", isRecording: false });
+        break;
+
+      case "StartReplay": {
+        const entries = message.recording.entries.filter(
+          (entry) => entry.tabId === message.tabId
+        );
+        this.exitHintsMode({ tabId: info.tabId });
+        tabState.replay = {
+          options: message.recording.options,
+          url: entries.find(
+            (entry) => entry.frameId === TOP_FRAME_ID && entry.url !== undefined
+          )?.url,
+          entries,
+          position: 0,
+        };
+        this.sendReplayUpdate(tabState);
+        break;
+      }
+
+      case "StepReplay":
+        this.stepReplay(info.tabId, tabState);
+        break;
+
+      case "StopReplay":
+        this.exitHintsMode({ tabId: info.tabId });
+        tabState.replay = undefined;
+        this.sendWorkerMessage(this.makeWorkerState(tabState), {
+          tabId: info.tabId,
+          frameId: "all_frames",
+        });
+        break;
+
       case "ToggleKeyboardCapture":
         tabState.keyboardMode = message.capture
           ? { type: "Capture" }
@@ -1644,6 +2480,108 @@ export default class BackgroundProgram {
     }
   }
 
+  // Feed the next recorded worker message of the replay through the regular
+  // message handling, as if it came from the tab’s worker.
+  stepReplay(tabId: number, tabState: TabState): void {
+    const { replay } = tabState;
+    if (replay === undefined) {
+      return;
+    }
+
+    while (replay.position < replay.entries.length) {
+      const { frameId, url, message } = replay.entries[replay.position];
+      replay.position++;
+      if (isReplayedMessage(message) && frameId !== "all_frames") {
+        log("log", "BackgroundProgram#stepReplay", message, frameId);
+        this.onWorkerMessage(
+          message.message,
+          { tabId, frameId, url },
+          tabState
+        );
+        break;
+      }
+    }
+
+    this.sendReplayUpdate(tabState);
+  }
+
+  sendReplayUpdate(tabState: TabState): void {
+    const { replay } = tabState;
+    if (replay === undefined) {
+      return;
+    }
+
+    const previous = replay.entries[replay.position - 1];
+    this.sendOptionsMessage({
+      type: "ReplayUpdate",
+      position: replay.position,
+      lastStep:
+        previous === undefined
+          ? undefined
+          : describeRecordedMessage(previous.message),
+      hintsState: describeHintsState(tabState.hintsState),
+    });
+  }
+
+  // Browser-level shortcuts (see `BROWSER_COMMANDS`). These are the same as the
+  // in-page keyboard shortcuts, but caught by the browser instead of the worker.
+  onCommand(command: string, tab: Tabs.Tab | undefined): void {
+    let action: KeyboardAction;
+    try {
+      action = KeyboardAction(command);
+    } catch (error) {
+      log(
+        "warn",
+        "BackgroundProgram#onCommand",
+        "Ignoring unknown command.",
+        command,
+        error
+      );
+      return;
+    }
+
+    const tabId = tab?.id;
+    if (tab === undefined || tabId === undefined) {
+      return;
+    }
+
+    // The content scripts run at `document_start`, so while the page is
+    // loading there is not much to hint yet. Wait for it (see `onTabUpdated`).
+    if (tab.status === "loading") {
+      this.pendingCommands.set(tabId, { action, timestamp: Date.now() });
+    } else if (this.tabState.has(tabId)) {
+      this.runCommand(action, tabId);
+    } else {
+      // The content scripts aren’t allowed to run on this page (such as the
+      // browser’s own pages and web stores). The popup says so, and lets you
+      // switch tabs at least.
+      fireAndForget(
+        browser.action.openPopup().then(() => undefined),
+        "BackgroundProgram#onCommand->openPopup",
+        action,
+        tab
+      );
+    }
+  }
+
+  runCommand(action: KeyboardAction, tabId: number): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const siteRule = getSiteRule(this.options.values.siteRules, tabState.url);
+    if (siteRule?.disabled === true || tabState.hintsState.type !== "Idle") {
+      return;
+    }
+
+    this.onKeyboardShortcut(
+      action,
+      { tabId, frameId: TOP_FRAME_ID, url: tabState.url },
+      Date.now()
+    );
+  }
+
   onKeyboardShortcut(
     action: KeyboardAction,
     info: MessageInfo,
@@ -1682,28 +2620,85 @@ export default class BackgroundProgram {
         enterHintsMode("Select");
         break;
 
+      case "EnterHintsMode_SelectRange":
+        enterHintsMode("SelectRange");
+        break;
+
+      case "EnterHintsMode_ExtendSelection":
+        enterHintsMode("ExtendSelection");
+        break;
+
+      case "EnterHintsMode_Hover":
+        enterHintsMode("Hover");
+        break;
+
+      case "EnterHintsMode_Scrollable":
+        enterHintsMode("Scrollable");
+        break;
+
+      case "EnterHintsMode_Media":
+        enterHintsMode("Media");
+        break;
+
+      case "FocusInput":
+        enterHintsMode("FocusInput");
+        break;
+
+      case "EnterHintsMode_Copy":
+      case "EnterHintsMode_ManyCopy": {
+        const tabState = this.tabState.get(info.tabId);
+        if (tabState === undefined) {
+          return;
+        }
+
+        tabState.copiedTexts = [];
+        enterHintsMode(action === "EnterHintsMode_Copy" ? "Copy" : "ManyCopy");
+        break;
+      }
+
+      case "EnterHintsMode_SwitchTab":
+        fireAndForget(
+          this.enterTabSwitcher(info.tabId),
+          "BackgroundProgram#onKeyboardShortcut->enterTabSwitcher",
+          info
+        );
+        break;
+
+      // There is nothing to choose when unhovering: Only the last hovered
+      // element can be left.
+      case "EnterHintsMode_Unhover":
+        this.sendWorkerMessage(
+          { type: "UnhoverElement" },
+          { tabId: info.tabId, frameId: "all_frames" }
+        );
+        break;
+
       case "ExitHintsMode":
         this.exitHintsMode({ tabId: info.tabId });
         break;
 
       case "RotateHintsForward":
-        this.sendRendererMessage(
-          {
-            type: "RotateHints",
-            forward: true,
-          },
-          { tabId: info.tabId }
-        );
+        if (!this.cycleFocusedInput(info.tabId, { forward: true })) {
+          this.sendRendererMessage(
+            {
+              type: "RotateHints",
+              forward: true,
+            },
+            { tabId: info.tabId }
+          );
+        }
         break;
 
       case "RotateHintsBackward":
-        this.sendRendererMessage(
-          {
-            type: "RotateHints",
-            forward: false,
-          },
-          { tabId: info.tabId }
-        );
+        if (!this.cycleFocusedInput(info.tabId, { forward: false })) {
+          this.sendRendererMessage(
+            {
+              type: "RotateHints",
+              forward: false,
+            },
+            { tabId: info.tabId }
+          );
+        }
         break;
 
       case "RefreshHints": {
@@ -1769,6 +2764,20 @@ export default class BackgroundProgram {
         });
         break;
 
+      case "ActivateAllMatching":
+        this.activateAllMatching(info.tabId, {
+          click: false,
+          confirmed: false,
+        });
+        break;
+
+      case "ActivateAllMatching_Click":
+        this.activateAllMatching(info.tabId, {
+          click: true,
+          confirmed: false,
+        });
+        break;
+
       case "Backspace":
         this.handleHintInput(info.tabId, timestamp, { type: "Backspace" });
         break;
@@ -1779,7 +2788,506 @@ export default class BackgroundProgram {
           { tabId: info.tabId, frameId: "all_frames" }
         );
         break;
+
+      // Pagination links are practically always in the top frame.
+      case "GoToNextPage": {
+        const tabState = this.tabState.get(info.tabId);
+        if (tabState === undefined) {
+          return;
+        }
+
+        this.sendWorkerMessage(
+          {
+            type: "GoToPage",
+            direction: "Next",
+            words: this.getTabOptions(tabState).nextPageWords,
+          },
+          { tabId: info.tabId, frameId: TOP_FRAME_ID }
+        );
+        break;
+      }
+
+      case "GoToPreviousPage": {
+        const tabState = this.tabState.get(info.tabId);
+        if (tabState === undefined) {
+          return;
+        }
+
+        this.sendWorkerMessage(
+          {
+            type: "GoToPage",
+            direction: "Previous",
+            words: this.getTabOptions(tabState).previousPageWords,
+          },
+          { tabId: info.tabId, frameId: TOP_FRAME_ID }
+        );
+        break;
+      }
+
+      case "SetCopyFormat_Html":
+        this.setCopyFormat(info.tabId, "Html");
+        break;
+
+      case "SetCopyFormat_Markdown":
+        this.setCopyFormat(info.tabId, "Markdown");
+        break;
+
+      case "SetCopyFormat_Media":
+        this.setCopyFormat(info.tabId, "Media");
+        break;
+
+      case "SetCopyFormat_Text":
+        this.setCopyFormat(info.tabId, "Text");
+        break;
+
+      case "SetCopyFormat_Url":
+        this.setCopyFormat(info.tabId, "Url");
+        break;
+
+      case "SetTabAction_Activate":
+        this.setTabAction(info.tabId, "Activate");
+        break;
+
+      case "SetTabAction_Close":
+        this.setTabAction(info.tabId, "Close");
+        break;
+
+      case "SetTabAction_Move":
+        this.setTabAction(info.tabId, "Move");
+        break;
+    }
+  }
+
+  // Opens the links of all hints matching the entered text and hint chars in
+  // background tabs, or clicks all of them (such as a list of checkboxes).
+  // Links to the same URL are only opened once. Above a certain count, the
+  // user is asked first, and this is called again if they agree.
+  activateAllMatching(
+    tabId: number,
+    { click, confirmed }: { click: boolean; confirmed: boolean }
+  ): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    if (hintsState.type !== "Hinting") {
+      return;
+    }
+
+    const options = this.getTabOptions(tabState);
+    const matching = getMatchingElements({
+      elementsWithHints: hintsState.elementsWithHints,
+      enteredChars: hintsState.enteredChars,
+      enteredText: hintsState.enteredText,
+      textFilter: options.textFilter,
+    });
+
+    // In "BackgroundTab" mode, all elements with a URL are combined. The rest
+    // can only be clicked.
+    const elements = combineByHref(
+      matching,
+      click ? "Click" : "BackgroundTab"
+    ).flatMap((item) =>
+      item instanceof Combined ? [getFirstElement(item)] : click ? [item] : []
+    );
+
+    if (elements.length === 0) {
+      return;
+    }
+
+    if (!confirmed && elements.length > options.activateAllConfirmCount) {
+      this.sendWorkerMessage(
+        {
+          type: "ConfirmActivateAllMatching",
+          count: elements.length,
+          click,
+        },
+        { tabId, frameId: TOP_FRAME_ID }
+      );
+      return;
+    }
+
+    for (const element of elements) {
+      if (click) {
+        this.sendWorkerMessage(
+          {
+            type: "ClickElement",
+            index: element.frame.index,
+          },
+          {
+            tabId,
+            frameId: element.frame.id,
+          }
+        );
+      } else if (element.url !== undefined) {
+        this.openNewTab({
+          url: element.url,
+          elementIndex: element.frame.index,
+          tabId,
+          frameId: element.frame.id,
+          foreground: false,
+        });
+      }
+    }
+
+    const now = Date.now();
+    hintsState.highlighted = hintsState.highlighted.concat(
+      matching.map((element) => ({ sinceTimestamp: now, element }))
+    );
+    this.refreshHintsRendering(tabId);
+    this.exitHintsMode({ tabId, delayed: true });
+  }
+
+  // The copy format is remembered for the tab, so it only needs to be chosen
+  // once when copying the same kind of things repeatedly.
+  setCopyFormat(tabId: number, copyFormat: CopyFormat): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    tabState.copyFormat = copyFormat;
+    this.renderCopyFormat(tabId);
+  }
+
+  // Otherwise the chosen format would be invisible until pasting.
+  renderCopyFormat(tabId: number): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    if (
+      hintsState.type === "Hinting" &&
+      (hintsState.mode === "Copy" || hintsState.mode === "ManyCopy")
+    ) {
+      this.sendRendererMessage(
+        {
+          type: "RenderStatusNote",
+          note: COPY_FORMAT_NOTES[tabState.copyFormat],
+        },
+        { tabId }
+      );
+    }
+  }
+
+  // The tab switcher is like hints mode, but for the tabs of the window rather
+  // than the elements of the page. It is rendered as a list in the page.
+  async enterTabSwitcher(tabId: number): Promise<void> {
+    const tabs = await getSwitchableTabs(tabId, {
+      preferWindows: t.PREFER_WINDOWS.value,
+    });
+
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    const options = this.getTabOptions(tabState);
+
+    tabState.hintsState = {
+      type: "SwitchingTab",
+      tabs: assignTabHints(tabs, {
+        chars: getHintChars(options),
+        hintLabels: options.hintLabels,
+      }),
+      enteredChars: "",
+      enteredText: "",
+      // Keep the action when refreshing after closing or moving a tab.
+      action:
+        hintsState.type === "SwitchingTab" ? hintsState.action : "Activate",
+      highlighted: hintsState.highlighted,
+    };
+
+    this.sendWorkerMessage(this.makeWorkerState(tabState), {
+      tabId,
+      frameId: "all_frames",
+    });
+    this.renderTabSwitcher(tabId);
+    this.updateBadge(tabId);
+  }
+
+  renderTabSwitcher(tabId: number): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    if (hintsState.type !== "SwitchingTab") {
+      return;
+    }
+
+    this.sendRendererMessage(
+      {
+        type: "RenderTabSwitcher",
+        tabs: hintsState.tabs,
+        enteredChars: hintsState.enteredChars,
+        enteredText: hintsState.enteredText,
+        action: hintsState.action,
+      },
+      { tabId }
+    );
+  }
+
+  setTabAction(tabId: number, action: TabAction): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    if (hintsState.type !== "SwitchingTab") {
+      return;
+    }
+
+    hintsState.action = action;
+    this.renderTabSwitcher(tabId);
+  }
+
+  handleTabSwitcherInput(tabId: number, input: HintInput): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    if (hintsState.type !== "SwitchingTab") {
+      return;
+    }
+
+    const options = this.getTabOptions(tabState);
+    const chars = getHintChars(options);
+    const entered = updateEnteredChars(hintsState, input, chars);
+    if (entered === undefined) {
+      return;
+    }
+
+    const { enteredChars, enteredText } = entered;
+
+    // Like in hints mode, give the matching tabs new hints when the text
+    // changes, so that they get as short hints as possible.
+    const tabs =
+      enteredText === hintsState.enteredText
+        ? hintsState.tabs
+        : assignTabHints(
+            hintsState.tabs.map((tab) => ({
+              ...tab,
+              hidden: !matchesTab(tab, enteredText, options.textFilter),
+            })),
+            { chars, hintLabels: options.hintLabels }
+          );
+
+    const candidates = getVisibleTabs({ tabs, enteredChars });
+
+    // If pressing a hint char that is currently unused, ignore it.
+    if (enteredChars !== "" && candidates.length === 0) {
+      return;
+    }
+
+    hintsState.tabs = tabs;
+    hintsState.enteredChars = enteredChars;
+    hintsState.enteredText = enteredText;
+
+    // Pressing Enter picks the first tab left.
+    const match =
+      input.type === "ActivateHint"
+        ? candidates[0]
+        : candidates.find((tab) => tab.hint === enteredChars);
+
+    if (match === undefined) {
+      this.renderTabSwitcher(tabId);
+    } else {
+      fireAndForget(
+        this.performTabAction(tabId, match),
+        "BackgroundProgram#handleTabSwitcherInput->performTabAction",
+        match
+      );
+    }
+
+    this.updateBadge(tabId);
+  }
+
+  async performTabAction(tabId: number, tab: SwitchableTab): Promise<void> {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    if (hintsState.type !== "SwitchingTab") {
+      return;
+    }
+
+    const { action, tabs } = hintsState;
+    const currentTab = tabs.find((tab2) => tab2.current) ?? tab;
+
+    // Activating a tab (or closing the current one) is the end of it. After
+    // closing or moving another tab, the list is refreshed so that more tabs
+    // can be closed or moved.
+    const isDone = action === "Activate" || tab.current;
+    if (isDone) {
+      this.exitHintsMode({ tabId });
+    }
+
+    await performTabAction(action, tab, currentTab);
+
+    if (!isDone) {
+      await this.enterTabSwitcher(tabId);
+    }
+  }
+
+  // After choosing a `<video>` or `<audio>` element in the “Media” hints mode,
+  // single keys control it (see `MEDIA_CONTROLS`) until hints mode is exited.
+  // The status shows the state of the element and the keys.
+  enterMediaControls(tabId: number, match: ElementWithHint): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    tabState.hintsState = {
+      type: "ControllingMedia",
+      frame: match.frame,
+      highlighted: [],
+    };
+
+    // Get the state for the status.
+    this.sendWorkerMessage(
+      { type: "ControlMedia", index: match.frame.index, command: undefined },
+      { tabId, frameId: match.frame.id }
+    );
+    this.sendWorkerMessage(this.makeWorkerState(tabState), {
+      tabId,
+      frameId: "all_frames",
+    });
+    this.updateBadge(tabId);
+  }
+
+  // “FocusInput” doesn’t use hints for choosing: It focuses the last used text
+  // input on the page (or the first visible one) right away. Then Tab and
+  // Shift+Tab cycle between the visible text inputs, while typing goes to the
+  // focused one. The hints show the order.
+  enterFocusInput(tabId: number, elements: Array<ExtendedElementReport>): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const textInputs = elements
+      .filter((element) => element.isTextInput)
+      .sort((a, b) =>
+        compareReadingOrder(a.hintMeasurements, b.hintMeasurements)
+      );
+
+    const lastUsedIndex = textInputs.reduce(
+      (bestIndex, element, index) =>
+        element.lastFocused > textInputs[bestIndex].lastFocused
+          ? index
+          : bestIndex,
+      0
+    );
+
+    tabState.hintsState = {
+      type: "FocusingInput",
+      elements: textInputs,
+      current: lastUsedIndex,
+      highlighted: [],
+    };
+
+    this.focusCurrentInput(tabId);
+    this.updateBadge(tabId);
+  }
+
+  // Returns whether the tab was cycling between text inputs.
+  cycleFocusedInput(tabId: number, { forward }: { forward: boolean }): boolean {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return false;
+    }
+
+    const { hintsState } = tabState;
+    if (hintsState.type !== "FocusingInput") {
+      return false;
+    }
+
+    const { length } = hintsState.elements;
+    if (length > 0) {
+      hintsState.current =
+        (hintsState.current + (forward ? 1 : length - 1)) % length;
+      this.focusCurrentInput(tabId);
+    }
+
+    return true;
+  }
+
+  focusCurrentInput(tabId: number): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    if (hintsState.type !== "FocusingInput") {
+      return;
+    }
+
+    const { elements, current } = hintsState;
+    if (current < elements.length) {
+      const { frame } = elements[current];
+      this.sendWorkerMessage(
+        { type: "FocusTextInput", index: frame.index },
+        { tabId, frameId: frame.id }
+      );
     }
+
+    // No text inputs results in the “no hints” shruggie.
+    this.sendRendererMessage(
+      {
+        type: "Render",
+        elements: elements.map((element, index) => ({
+          hintMeasurements: element.hintMeasurements,
+          hint: (index + 1).toString(),
+          highlighted: index === current,
+          invertedZIndex: index + 1,
+        })),
+        mixedCase: false,
+      },
+      { tabId }
+    );
+
+    // Just like after activating a hint, keys typed right after switching the
+    // focus might have been meant for the previous text input.
+    this.updateWorkerStateAfterHintActivation({
+      tabId,
+      preventOverTyping: current < elements.length,
+    });
+  }
+
+  handleMediaControlsInput(tabId: number, input: HintInput): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    if (hintsState.type !== "ControllingMedia" || input.type !== "Input") {
+      return;
+    }
+
+    const command = getMediaCommand(input.keypress);
+    if (command === undefined) {
+      return;
+    }
+
+    this.sendWorkerMessage(
+      { type: "ControlMedia", index: hintsState.frame.index, command },
+      { tabId, frameId: hintsState.frame.id }
+    );
   }
 
   enterHintsMode({
@@ -1860,6 +3368,7 @@ export default class BackgroundProgram {
       type: "Idle",
       highlighted: tabState.hintsState.highlighted,
     };
+    this.notifyHintsModeExited(tabId, tabState);
 
     if (sendMessages) {
       this.sendWorkerMessage(this.makeWorkerState(tabState), {
@@ -1909,6 +3418,7 @@ export default class BackgroundProgram {
                 hidden: true,
               })),
             enteredText: "",
+            highlightedText: [],
           },
           { tabId }
         );
@@ -1934,6 +3444,13 @@ export default class BackgroundProgram {
         hideDoneWaiting({ refresh: true });
         break;
       }
+
+      // The hints were unrendered when the tab switcher or media controls were
+      // rendered, and the text input hints replaced them.
+      case "SwitchingTab":
+      case "ControllingMedia":
+      case "FocusingInput":
+        break;
     }
   }
 
@@ -1989,6 +3506,17 @@ export default class BackgroundProgram {
       this.updateOptionsPageData();
     }
 
+    if (changeInfo.status === "complete") {
+      const pendingCommand = this.pendingCommands.get(tabId);
+      this.pendingCommands.delete(tabId);
+      if (
+        pendingCommand !== undefined &&
+        Date.now() - pendingCommand.timestamp <= t.PENDING_COMMAND_TIMEOUT.value
+      ) {
+        this.runCommand(pendingCommand.action, tabId);
+      }
+    }
+
     if (tabState !== undefined && changeInfo.pinned !== undefined) {
       tabState.isPinned = changeInfo.pinned;
       this.sendWorkerMessage(this.makeWorkerState(tabState), {
@@ -1996,9 +3524,25 @@ export default class BackgroundProgram {
         frameId: "all_frames",
       });
     }
+
+    // Single page apps can change the URL without reloading the page, which
+    // might make another site rule apply.
+    if (tabState !== undefined && changeInfo.url !== undefined) {
+      tabState.url = changeInfo.url;
+      this.sendWorkerMessage(this.makeWorkerState(tabState), {
+        tabId,
+        frameId: "all_frames",
+      });
+      fireAndForget(
+        this.updateIcon(tabId),
+        "BackgroundProgram#onTabUpdated->updateIcon",
+        tabId
+      );
+    }
   }
 
   onTabRemoved(tabId: number): void {
+    this.pendingCommands.delete(tabId);
     this.deleteTabState(tabId);
   }
 
@@ -2023,12 +3567,14 @@ export default class BackgroundProgram {
   async updateIcon(tabId: number): Promise<void> {
     const tabState = this.tabState.get(tabId);
     let enabled = tabState !== undefined ? tabState.isOptionsPage : false;
+    let siteRule: SiteRule | undefined = undefined;
 
     if (!enabled) {
       try {
         // Check if we can access the tab without executing code
-        await browser.tabs.get(tabId);
-        enabled = true;
+        const tab = await browser.tabs.get(tabId);
+        siteRule = getSiteRule(this.options.values.siteRules, tab.url);
+        enabled = siteRule === undefined || !siteRule.disabled;
       } catch {
         enabled = false;
       }
@@ -2038,6 +3584,15 @@ export default class BackgroundProgram {
     
     log("log", "BackgroundProgram#updateIcon", tabId, enabled ? "normal" : "disabled");
     await browser.action.setIcon({ path: iconPaths, tabId });
+    await browser.action.setTitle({
+      title:
+        siteRule === undefined
+          ? META_NAME
+          : siteRule.disabled
+          ? `${META_NAME} (disabled by site rule: ${siteRule.pattern})`
+          : `${META_NAME} (site rule: ${siteRule.pattern})`,
+      tabId,
+    });
   }
 
   updateBadge(tabId: number): void {
@@ -2047,11 +3602,12 @@ export default class BackgroundProgram {
     }
 
     const { hintsState } = tabState;
+    const { textFilter } = this.getTabOptions(tabState);
 
     fireAndForget(
       (async () => {
           await browser.action.setBadgeText({
-            text: getBadgeText(hintsState),
+            text: getBadgeText(hintsState, textFilter),
             tabId,
           });
       })(),
@@ -2079,26 +3635,72 @@ export default class BackgroundProgram {
     const info = await browser.runtime.getPlatformInfo();
     const mac = info.os === "mac";
     const defaults = getDefaults({ mac });
-    const rawOptions = await getRawOptions();
-    const defaulted = { ...flattenOptions(defaults), ...rawOptions };
-    const [unflattened, map] = unflattenOptions(defaulted);
-    const options = decode(Options, unflattened, map);
+    const profiles = await getProfiles();
+    const profileName = await getActiveProfileName();
+    const profile = profiles.find(({ name }) => name === profileName);
+    // The active profile might have been deleted on another device.
+    const profileErrors =
+      profile === undefined
+        ? [
+            `The “${profileName}” profile no longer exists. Using the “${DEFAULT_PROFILE}” profile instead.`,
+          ]
+        : [];
+    const activeProfile = profile ?? profiles[0];
+    const { raw: storedOptions, errors: storageErrors } =
+      await getRawProfileOptions(activeProfile);
+    const {
+      options: rawOptions,
+      version,
+      errors: migrationErrors,
+    } = migrateOptions(storedOptions);
+
+    // Store the upgraded options, so that the migrations only run once.
+    if (version < OPTIONS_VERSION) {
+      const { keysToRemove, optionsToSet } = diffOptions(
+        {},
+        { ...rawOptions, [OPTIONS_VERSION_KEY]: OPTIONS_VERSION },
+        storedOptions
+      );
+      try {
+        await saveRawProfileOptions(activeProfile, keysToRemove, optionsToSet);
+      } catch (errorAny) {
+        const error = errorAny as Error;
+        migrationErrors.push(
+          `Failed to save the upgraded options: ${error.message}`
+        );
+      }
+    }
+
+    const { options, errors: decodeErrors } = decodeFlatOptions(
+      flattenOptions(defaults),
+      rawOptions
+    );
 
     log("log", "BackgroundProgram#updateOptions", {
       defaults,
+      profile: activeProfile,
+      storedOptions,
+      version,
       rawOptions,
-      defaulted,
-      unflattened,
       options,
-      decodeErrors: [],
+      storageErrors,
+      migrationErrors,
+      decodeErrors,
     });
 
     this.options = {
       values: options,
       defaults,
       raw: rawOptions,
-      errors: [],
+      errors: [
+        ...profileErrors,
+        ...storageErrors,
+        ...migrationErrors,
+        ...decodeErrors,
+      ],
       mac,
+      profile: activeProfile.name,
+      profiles,
     };
 
     log.level = options.logLevel;
@@ -2112,19 +3714,25 @@ export default class BackgroundProgram {
     // flattening `partialOptions` and storing that would mean that you couldn't
     // remove any `options.keys`, for example.
     try {
-      const rawOptions = await getRawOptions();
+      const profile = this.getProfile(this.options.profile);
+      const { raw: storedOptions } = await getRawProfileOptions(profile);
+      const { [OPTIONS_VERSION_KEY]: version, ...rawOptions } = storedOptions;
       const { keysToRemove, optionsToSet } = diffOptions(
         flattenOptions(this.options.defaults),
         flattenOptions({ ...this.options.values, ...partialOptions }),
         rawOptions
       );
+      // Mark the options as being of the current version, unless a newer
+      // version on another device has already upgraded them.
+      if (!(typeof version === "number" && version >= OPTIONS_VERSION)) {
+        optionsToSet[OPTIONS_VERSION_KEY] = OPTIONS_VERSION;
+      }
       log("log", "BackgroundProgram#saveOptions", {
         partialOptions,
         keysToRemove,
         optionsToSet,
       });
-      await browser.storage.sync.remove(keysToRemove);
-      await browser.storage.sync.set(optionsToSet);
+      await saveRawProfileOptions(profile, keysToRemove, optionsToSet);
       await this.updateOptions();
     } catch (errorAny) {
       const error = errorAny as Error;
@@ -2134,12 +3742,174 @@ export default class BackgroundProgram {
 
   async resetOptions(): Promise<void> {
     try {
-      await browser.storage.sync.clear();
+      await clearProfile(this.getProfile(this.options.profile));
+      // Reset the tweakables as well.
+      const items = await browser.storage.sync.get();
+      await browser.storage.sync.remove(
+        Object.keys(items).filter((key) => key.startsWith(DEBUG_PREFIX))
+      );
+      await this.updateOptions();
+    } catch (errorAny) {
+      const error = errorAny as Error;
+      this.options.errors = [error.message];
+    }
+  }
+
+  getProfile(name: string): Profile {
+    const profile = this.options.profiles.find(
+      (profile2) => profile2.name === name
+    );
+    if (profile === undefined) {
+      throw new Error(`There is no profile called “${name}”.`);
+    }
+    return profile;
+  }
+
+  async switchProfile(name: string): Promise<void> {
+    await setActiveProfileName(this.getProfile(name).name);
+  }
+
+  // Runs a change to the profiles, and then loads the options of the (possibly
+  // new) active profile.
+  async changeProfiles(change: () => Promise<void>): Promise<void> {
+    try {
+      await change();
       await this.updateOptions();
     } catch (errorAny) {
       const error = errorAny as Error;
       this.options.errors = [error.message];
     }
+    this.updateTabsAfterOptionsChange();
+  }
+
+  // Options can also change from another device via `storage.sync`, or from
+  // another window of the options page.
+  onStorageChanged(
+    changes: Record<string, Storage.StorageChange>,
+    areaName: string
+  ): void {
+    const keys = Object.keys(changes);
+    // Tweakables, and other things stored in `storage.local` (such as the
+    // options page scroll position), are handled elsewhere.
+    const isOptionsChange =
+      areaName === "sync"
+        ? keys.some((key) => !key.startsWith(DEBUG_PREFIX))
+        : keys.some(isProfileStorageKey);
+    if (isOptionsChange) {
+      fireAndForget(
+        this.reloadOptions(),
+        "BackgroundProgram#onStorageChanged->reloadOptions"
+      );
+    }
+
+    // The options page can clear the activation history.
+    const historyChange = changes[ACTIVATION_HISTORY_KEY];
+    if (areaName === "local" && historyChange !== undefined) {
+      try {
+        this.activationHistory = decodeActivationHistory(
+          historyChange.newValue
+        );
+      } catch (error) {
+        log(
+          "error",
+          "BackgroundProgram#onStorageChanged",
+          "Failed to decode activation history.",
+          error
+        );
+      }
+    }
+
+    // The options page can clear the perf history.
+    const perfHistoryChange = changes[PERF_HISTORY_KEY];
+    if (areaName === "local" && perfHistoryChange !== undefined) {
+      try {
+        this.perfHistory = decodePerfHistory(perfHistoryChange.newValue);
+      } catch (error) {
+        log(
+          "error",
+          "BackgroundProgram#onStorageChanged",
+          "Failed to decode perf history.",
+          error
+        );
+      }
+    }
+  }
+
+  recordPerfRun(tabState: TabState, run: PerfRun): void {
+    const origin = getHistoryOrigin(tabState.url);
+    // Replays should not affect anything outside the tab.
+    if (
+      !this.getTabOptions(tabState).recordPerfHistory ||
+      origin === undefined ||
+      tabState.replay !== undefined
+    ) {
+      return;
+    }
+    this.perfHistory = addPerfRun(this.perfHistory, origin, run);
+    if (this.perfHistorySaveTimeoutId === undefined) {
+      this.perfHistorySaveTimeoutId = setTimeout(() => {
+        this.perfHistorySaveTimeoutId = undefined;
+        fireAndForget(
+          browser.storage.local.set({ [PERF_HISTORY_KEY]: this.perfHistory }),
+          "BackgroundProgram#recordPerfRun->storage.local.set"
+        );
+      }, t.PERF_HISTORY_SAVE_DELAY.value);
+    }
+  }
+
+  // Returns a function giving the factor to multiply the weight of elements
+  // with, based on how often they have been activated on the current site.
+  makeWeightBoostGetter(
+    tabState: TabState
+  ): (element: ExtendedElementReport) => number {
+    const origin = getHistoryOrigin(tabState.url);
+    if (
+      !this.getTabOptions(tabState).adaptiveWeights ||
+      origin === undefined ||
+      tabState.replay !== undefined
+    ) {
+      return () => 1;
+    }
+    const now = Date.now();
+    return (element) => {
+      const fingerprint = getElementFingerprint(element);
+      return fingerprint === undefined
+        ? 1
+        : getWeightBoost(this.activationHistory, origin, fingerprint, now);
+    };
+  }
+
+  recordActivation(tabState: TabState, element: ElementWithHint): void {
+    const origin = getHistoryOrigin(tabState.url);
+    const fingerprint = getElementFingerprint(element);
+    // Replays should not affect anything outside the tab.
+    if (
+      !this.getTabOptions(tabState).adaptiveWeights ||
+      origin === undefined ||
+      fingerprint === undefined ||
+      tabState.replay !== undefined
+    ) {
+      return;
+    }
+    this.activationHistory = addActivation(
+      this.activationHistory,
+      origin,
+      fingerprint,
+      Date.now()
+    );
+    fireAndForget(
+      saveActivationHistory(this.activationHistory),
+      "BackgroundProgram#recordActivation->saveActivationHistory"
+    );
+  }
+
+  async reloadOptions(): Promise<void> {
+    const previous = this.options;
+    await this.updateOptions();
+    // Our own saves also end up here. Those have already been handled.
+    if (!deepEqual(previous, this.options)) {
+      this.updateTabsAfterOptionsChange();
+    }
   }
 
   updateTabsAfterOptionsChange(): void {
@@ -2148,25 +3918,56 @@ export default class BackgroundProgram {
       logLevel: log.level,
       options: this.options,
     });
-    for (const tabId of this.tabState.keys()) {
+    for (const [tabId, tabState] of this.tabState) {
       // This also does a "StateSync" for all workers.
       this.exitHintsMode({ tabId });
-      this.sendRendererMessage(
-        {
-          type: "StateSync",
-          css: this.options.values.css,
-          logLevel: log.level,
-        },
-        { tabId }
+      this.sendRendererMessage(this.makeRendererState(tabState), { tabId });
+      fireAndForget(
+        this.updateIcon(tabId),
+        "BackgroundProgram#updateTabsAfterOptionsChange->updateIcon",
+        tabId
       );
     }
   }
 
+  // The options with the site rule (if any) for the tab’s URL applied.
+  // When replaying a recording, use the recorded options and URL instead, so
+  // that the hints come out the same as when recording.
+  getTabOptions(tabState: TabState): Options {
+    const { replay } = tabState;
+    const options = replay === undefined ? this.options.values : replay.options;
+    return applySiteRule(options, this.getTabSiteRule(tabState));
+  }
+
+  // The site rule (if any) for the tab’s URL, or for the recorded URL when
+  // replaying.
+  getTabSiteRule(tabState: TabState): SiteRule | undefined {
+    const { replay } = tabState;
+    return replay === undefined
+      ? getSiteRule(this.options.values.siteRules, tabState.url)
+      : getSiteRule(replay.options.siteRules, replay.url);
+  }
+
+  makeRendererState(tabState: TabState): ToRenderer {
+    const options = this.getTabOptions(tabState);
+    return {
+      type: "StateSync",
+      css: options.css,
+      hintTheme: options.hintTheme,
+      darkHintTheme: options.darkHintTheme,
+      darkThemeDetection: options.darkThemeDetection,
+      spreadHints: options.spreadHints,
+      logLevel: log.level,
+    };
+  }
+
   makeWorkerState(
     tabState: TabState,
     { refreshToken = true }: { refreshToken?: boolean } = {}
   ): ToWorker {
     const { hintsState } = tabState;
+    const options = this.getTabOptions(tabState);
+    const siteRule = this.getTabSiteRule(tabState);
 
     if (refreshToken) {
       this.oneTimeWindowMessageToken = makeRandomTokenSW();
@@ -2174,20 +3975,29 @@ export default class BackgroundProgram {
 
     const common = {
       logLevel: log.level,
-      keyTranslations: this.options.values.useKeyTranslations
-        ? this.options.values.keyTranslations
+      keyTranslations: options.useKeyTranslations
+        ? options.keyTranslations
         : {},
+      sequenceTimeout: options.sequenceTimeout,
       oneTimeWindowMessageToken: this.oneTimeWindowMessageToken,
       mac: this.options.mac,
       isPinned: tabState.isPinned,
+      includeSelectors: siteRule?.includeSelectors ?? [],
+      excludeSelectors: siteRule?.excludeSelectors ?? [],
     };
 
     const getKeyboardShortcuts = (
       shortcuts: Array<KeyboardMapping>
     ): Array<KeyboardMapping> =>
       tabState.keyboardMode.type === "PreventOverTyping"
-        ? shortcuts.filter((shortcut) =>
-            PREVENT_OVERTYPING_ALLOWED_KEYBOARD_ACTIONS.has(shortcut.action)
+        ? shortcuts.filter(
+            (shortcut) =>
+              PREVENT_OVERTYPING_ALLOWED_KEYBOARD_ACTIONS.has(
+                shortcut.action
+              ) ||
+              // Keep cycling between text inputs quickly with Tab.
+              (hintsState.type === "FocusingInput" &&
+                FOCUS_INPUT_KEYBOARD_ACTIONS.has(shortcut.action))
           )
         : shortcuts;
 
@@ -2196,12 +4006,32 @@ export default class BackgroundProgram {
         ? mode
         : tabState.keyboardMode.type;
 
-    return hintsState.type === "Hinting"
+    // Typing goes to the focused text input, so use normal mode but with some
+    // of the hints mode shortcuts.
+    if (hintsState.type === "FocusingInput") {
+      return {
+        type: "StateSync",
+        clearElements: false,
+        keyboardShortcuts: getKeyboardShortcuts(
+          options.hintsKeyboardShortcuts
+            .filter((shortcut) =>
+              FOCUS_INPUT_KEYBOARD_ACTIONS.has(shortcut.action)
+            )
+            .concat(options.normalKeyboardShortcuts)
+        ),
+        keyboardMode: getKeyboardMode("Normal"),
+        ...common,
+      };
+    }
+
+    return hintsState.type === "Hinting" ||
+      hintsState.type === "SwitchingTab" ||
+      hintsState.type === "ControllingMedia"
       ? {
           type: "StateSync",
           clearElements: false,
           keyboardShortcuts: getKeyboardShortcuts(
-            this.options.values.hintsKeyboardShortcuts
+            options.hintsKeyboardShortcuts
           ),
           keyboardMode: getKeyboardMode("Hints"),
           ...common,
@@ -2210,7 +4040,7 @@ export default class BackgroundProgram {
           type: "StateSync",
           clearElements: hintsState.type === "Idle",
           keyboardShortcuts: getKeyboardShortcuts(
-            this.options.values.normalKeyboardShortcuts
+            options.normalKeyboardShortcuts
           ),
           keyboardMode: getKeyboardMode("Normal"),
           ...common,
@@ -2355,6 +4185,11 @@ function makeEmptyTabState(tabId: number | undefined): TabState {
     perf: [],
     isOptionsPage: false,
     isPinned: false,
+    url: undefined,
+    copyFormat: "Url",
+    copiedTexts: [],
+    replay: undefined,
+    externalClient: undefined,
   };
 
   if (tabId !== undefined) {
@@ -2369,6 +4204,9 @@ function makeEmptyTabState(tabId: number | undefined): TabState {
       .get(tabId)
       .then((tab) => {
         tabState.isPinned = tab.pinned;
+        if (tabState.url === undefined) {
+          tabState.url = tab.url;
+        }
       })
       .catch((error) => {
         log("error", "makeEmptyTabState", `Failed to get tab ${tabId}.`, error);
@@ -2378,6 +4216,14 @@ function makeEmptyTabState(tabId: number | undefined): TabState {
   return tabState;
 }
 
+const COPY_FORMAT_NOTES: Record<CopyFormat, string> = {
+  Url: "Copy as URL",
+  Text: "Copy as text",
+  Markdown: "Copy as Markdown link",
+  Html: "Copy as HTML link",
+  Media: "Copy image/media source",
+};
+
 const CLICK_TYPES: ElementTypes = [
   "clickable",
   "clickable-event",
@@ -2399,14 +4245,39 @@ function getElementTypes(mode: HintsMode): ElementTypes {
     case "ForegroundTab":
       return TAB_TYPES;
 
+    case "Hover":
+      return CLICK_TYPES;
+
+    case "Copy":
+      return "selectable";
+
+    case "ManyCopy":
+      return "selectable";
+
     case "ManyClick":
       return CLICK_TYPES;
 
     case "ManyTab":
       return TAB_TYPES;
 
+    case "Scrollable":
+      return "scrollable";
+
+    case "Media":
+      return "media";
+
+    // Only text inputs are kept (see `enterFocusInput`).
+    case "FocusInput":
+      return ["clickable", "textarea"];
+
     case "Select":
       return "selectable";
+
+    case "SelectRange":
+      return "selectable";
+
+    case "ExtendSelection":
+      return "selectable";
   }
 }
 
@@ -2426,6 +4297,17 @@ function getCombiningUrl(
     case "ForegroundTab":
       return element.url;
 
+    // Hovering elements with the same URL might still do different things.
+    case "Hover":
+      return undefined;
+
+    // Elements with the same URL might still have different texts.
+    case "Copy":
+      return undefined;
+
+    case "ManyCopy":
+      return undefined;
+
     case "ManyClick":
       return shouldCombineHintsForClick(element)
         ? element.urlWithTarget
@@ -2434,8 +4316,50 @@ function getCombiningUrl(
     case "ManyTab":
       return element.url;
 
+    // Nested scrollable areas are different scroll targets.
+    case "Scrollable":
+      return undefined;
+
+    case "Media":
+      return undefined;
+
+    case "FocusInput":
+      return undefined;
+
     case "Select":
       return undefined;
+
+    // Elements with the same URL might still be in different places in the
+    // text.
+    case "SelectRange":
+      return undefined;
+
+    case "ExtendSelection":
+      return undefined;
+  }
+}
+
+// Holding alt while activating a hint opens links in a new tab, except in
+// modes where alt means something else or nothing at all.
+function altOpensNewTab(mode: HintsMode): boolean {
+  switch (mode) {
+    case "BackgroundTab":
+    case "Click":
+    case "ForegroundTab":
+    case "ManyClick":
+    case "ManyTab":
+      return true;
+
+    case "Copy":
+    case "ExtendSelection":
+    case "FocusInput":
+    case "Hover":
+    case "ManyCopy":
+    case "Media":
+    case "Scrollable":
+    case "Select":
+    case "SelectRange":
+      return false;
   }
 }
 
@@ -2451,51 +4375,35 @@ function shouldCombineHintsForClick(element: ElementWithHint): boolean {
   return url !== undefined && !url.includes("#") && !hasClickListener;
 }
 
-type RunAt = 'document_end' | 'document_idle' | 'document_start';
-
-type InjectDetails = {
-  file?: string;
-  allFrames?: boolean;
-  matchAboutBlank?: boolean;
-  runAt?: RunAt;
-}
+type ContentScript = {
+  matches?: Array<string>;
+  js?: Array<string>;
+  all_frames?: boolean;
+};
 
-async function runContentScripts(
-  tabs: Array<Tabs.Tab>
-): Promise<Array<Array<unknown>>> {
+async function runContentScripts(tabs: Array<Tabs.Tab>): Promise<void> {
   const manifest = browser.runtime.getManifest();
-  type ContentScript = {
-    matches?: Array<string>;
-    js?: Array<string>;
-    all_frames?: boolean;
-    match_about_blank?: boolean;
-    run_at?: RunAt;
-  };
-
-  const detailsList = (manifest.content_scripts as Array<ContentScript> | undefined)
-    ?.filter((script) => script.matches?.includes("<all_urls>"))
-    .flatMap((script) =>
-      script.js?.map((file) => ({
-        file,
-        allFrames: script.all_frames,
-        matchAboutBlank: script.match_about_blank,
-        runAt: script.run_at ,
-      })) ?? []
-    ) ?? [];
-
-  return Promise.all(
-    tabs.flatMap((tab) =>
-      detailsList.map(async (details: InjectDetails) => {
-        if (tab.id === undefined) {
-          return [];
-        }
+  const contentScripts = (
+    (manifest.content_scripts ?? []) as Array<ContentScript>
+  ).filter((script) => script.matches?.includes("<all_urls>") === true);
+
+  await Promise.all(
+    tabs.map(async (tab) => {
+      if (tab.id === undefined) {
+        return;
+      }
+      for (const script of contentScripts) {
         try {
-          return await browser.tabs.executeScript(tab.id, details);
+          await browser.scripting.executeScript({
+            target: { tabId: tab.id, allFrames: script.all_frames ?? false },
+            files: script.js ?? [],
+          });
         } catch {
-          return [];
+          // Extensions are not allowed to run content scripts in some tabs,
+          // such as `about:` pages and web stores.
         }
-      })
-    )
+      }
+    })
   );
 }
 
@@ -2589,7 +4497,46 @@ function comparePositions(a: HintMeasurements, b: HintMeasurements): number {
   return a.x - b.x || a.y - b.y;
 }
 
-function getBadgeText(hintsState: HintsState): string {
+// Top to bottom, left to right.
+function compareReadingOrder(a: HintMeasurements, b: HintMeasurements): number {
+  // eslint-disable-next-line @typescript-eslint/strict-boolean-expressions
+  return a.y - b.y || a.x - b.x;
+}
+
+function describeHintsState(hintsState: HintsState): string {
+  switch (hintsState.type) {
+    case "Idle":
+      return "Idle";
+
+    case "Collecting":
+      return `Collecting (${hintsState.mode}): ${hintsState.pendingElements.elements.length} elements so far`;
+
+    case "Hinting": {
+      const { mode, elementsWithHints, enteredChars, enteredText } = hintsState;
+      const numVisible = elementsWithHints.filter(
+        (element) => !element.hidden && element.hint.startsWith(enteredChars)
+      ).length;
+      return `Hinting (${mode}): ${numVisible} visible hints, entered chars: ${JSON.stringify(
+        enteredChars
+      )}, entered text: ${JSON.stringify(enteredText)}`;
+    }
+
+    case "SwitchingTab":
+      return `Switching tab (${hintsState.action}): ${
+        getVisibleTabs(hintsState).length
+      } visible tabs`;
+
+    case "ControllingMedia":
+      return `Controlling media (frame ${hintsState.frame.id}, index ${hintsState.frame.index})`;
+
+    case "FocusingInput":
+      return `Focusing input ${hintsState.current + 1} of ${
+        hintsState.elements.length
+      }`;
+  }
+}
+
+function getBadgeText(hintsState: HintsState, textFilter: TextFilter): string {
   switch (hintsState.type) {
     case "Idle":
       return "";
@@ -2604,20 +4551,99 @@ function getBadgeText(hintsState: HintsState): string {
         ? "…"
         : "";
 
-    case "Hinting": {
-      const { enteredChars, enteredText } = hintsState;
-      const words = splitEnteredText(enteredText);
-      return hintsState.elementsWithHints
-        .filter(
-          (element) =>
-            // "Hidden" elements have been removed from the DOM or moved off-screen.
-            !element.hidden &&
-            matchesText(element.text, words) &&
-            element.hint.startsWith(enteredChars)
-        )
-        .length.toString();
-    }
+    case "Hinting":
+      return getMatchingElements({
+        elementsWithHints: hintsState.elementsWithHints,
+        enteredChars: hintsState.enteredChars,
+        enteredText: hintsState.enteredText,
+        textFilter,
+      }).length.toString();
+
+    case "SwitchingTab":
+      return getVisibleTabs(hintsState).length.toString();
+
+    case "ControllingMedia":
+      return "";
+
+    case "FocusingInput":
+      return hintsState.elements.length.toString();
+  }
+}
+
+function getMatchingElements({
+  elementsWithHints,
+  enteredChars,
+  enteredText,
+  textFilter,
+}: {
+  elementsWithHints: Array<ElementWithHint>;
+  enteredChars: string;
+  enteredText: string;
+  textFilter: TextFilter;
+}): Array<ElementWithHint> {
+  const words = splitEnteredText(enteredText);
+  return elementsWithHints.filter(
+    (element) =>
+      // "Hidden" elements have been removed from the DOM or moved off-screen.
+      !element.hidden &&
+      matchText(element.text, words, textFilter) !== undefined &&
+      element.hint.startsWith(enteredChars)
+  );
+}
+
+function getExternalHintId(element: ElementWithHint): string {
+  return `${element.frame.id}:${element.index}`;
+}
+
+function notHinting(hintsState: HintsState): ExternalResponse {
+  return {
+    type: "Error",
+    message:
+      hintsState.type === "Collecting"
+        ? "Hints mode is still collecting elements. Try again in a moment."
+        : "Not in hints mode.",
+  };
+}
+
+function getVisibleTabs({
+  tabs,
+  enteredChars,
+}: {
+  tabs: Array<SwitchableTab>;
+  enteredChars: string;
+}): Array<SwitchableTab> {
+  return tabs.filter((tab) => !tab.hidden && tab.hint.startsWith(enteredChars));
+}
+
+// Recently used tabs get the shortest hints. The current tab comes last, since
+// there’s little point in switching to it.
+function assignTabHints(
+  tabs: Array<SwitchableTab>,
+  { chars, hintLabels }: { chars: string; hintLabels: HintLabels }
+): Array<SwitchableTab> {
+  const ranked = tabs
+    .filter((tab) => !tab.hidden)
+    .sort(
+      (a, b) =>
+        // eslint-disable-next-line @typescript-eslint/strict-boolean-expressions
+        Number(a.current) - Number(b.current) || b.lastAccessed - a.lastAccessed
+    );
+
+  const items = ranked.map((tab, index) => ({
+    tab,
+    weight: ranked.length - index,
+  }));
+
+  if (hintLabels === "ReadingOrder") {
+    items.sort((a, b) => a.tab.index - b.tab.index);
   }
+
+  const hints = new Map<number, string>();
+  assignHintLabels(items, hintLabels, chars, (item, label) => {
+    hints.set(item.tab.id, label);
+  });
+
+  return tabs.map((tab) => ({ ...tab, hint: hints.get(tab.id) ?? "" }));
 }
 
 class Combined {
@@ -2662,12 +4688,20 @@ function assignHints(
   {
     mode,
     chars,
-    hasEnteredText,
-  }: { mode: HintsMode; chars: string; hasEnteredText: boolean }
+    hintLabels,
+    textMatches,
+  }: {
+    mode: HintsMode;
+    chars: string;
+    hintLabels: HintLabels;
+    // `undefined` if no text has been entered.
+    textMatches: Map<ElementWithHint, TextMatch> | undefined;
+  }
 ): Array<ElementWithHint> {
-  const largestTextWeight = hasEnteredText
-    ? Math.max(1, ...passedElements.map((element) => element.textWeight))
-    : 0;
+  const largestTextWeight =
+    textMatches !== undefined
+      ? Math.max(1, ...passedElements.map((element) => element.textWeight))
+      : 0;
 
   // Sort the elements so elements with more weight get higher z-index.
   const elements: Array<ElementWithHint> = passedElements
@@ -2675,49 +4709,66 @@ function assignHints(
       ...element,
       // When filtering by text, give better hints to elements with shorter
       // text. The more of the text that is matched, the more likely to be what
-      // the user is looking for.
-      weight: hasEnteredText
-        ? largestTextWeight - element.textWeight + 1
-        : element.hintMeasurements.weight,
+      // the user is looking for. Fuzzy matches are first ranked by how well
+      // they match (strict matches all have a score of 0).
+      weight:
+        textMatches !== undefined
+          ? (textMatches.get(element)?.score ?? 0) * (largestTextWeight + 1) +
+            largestTextWeight -
+            element.textWeight +
+            1
+          : element.hintMeasurements.weight,
       // This is set to the real thing below.
       hint: "",
     }))
-    .sort(
-      (a, b) =>
-        // Higher weights first.
-        // eslint-disable-next-line @typescript-eslint/strict-boolean-expressions
-        b.weight - a.weight ||
-        // If the weights are the same, sort by on-screen position, left to
-        // right and then top to bottom (reading order in LTR languages).
-        // eslint-disable-next-line @typescript-eslint/strict-boolean-expressions
-        comparePositions(a.hintMeasurements, b.hintMeasurements) ||
-        // `hintsState.elementsWithHints` changes order as
-        // `hintsState.enteredText` come and go. Sort on `.index` if all other
-        // things are equal, so that elements don't unexpectedly swap hints after
-        // erasing some text chars.
-        a.index - b.index
-    );
-
-  const combined = combineByHref(elements, mode);
-
-  const tree = huffman.createTree(combined, chars.length, {
-    // Even though we sorted `elements` above, `combined` might not be sorted.
-    sorted: false,
+    .sort(compareElements);
+
+  // Even though we sorted `elements` above, `combined` might not be sorted.
+  // Only the weighted labels sort by themselves.
+  const combined = combineByHref(elements, mode).sort((a, b) => {
+    const firstA = getFirstElement(a);
+    const firstB = getFirstElement(b);
+    return hintLabels === "ReadingOrder"
+      ? // eslint-disable-next-line @typescript-eslint/strict-boolean-expressions
+        compareReadingOrder(firstA.hintMeasurements, firstB.hintMeasurements) ||
+          compareElements(firstA, firstB)
+      : compareElements(firstA, firstB);
   });
 
-  tree.assignCodeWords(chars, (item, codeWord) => {
+  assignHintLabels(combined, hintLabels, chars, (item, label) => {
     if (item instanceof Combined) {
       for (const child of item.children) {
-        child.hint = codeWord;
+        child.hint = label;
       }
     } else {
-      item.hint = codeWord;
+      item.hint = label;
     }
   });
 
   return elements;
 }
 
+function compareElements(a: ElementWithHint, b: ElementWithHint): number {
+  return (
+    // Higher weights first.
+    // eslint-disable-next-line @typescript-eslint/strict-boolean-expressions
+    b.weight - a.weight ||
+    // If the weights are the same, sort by on-screen position, left to
+    // right and then top to bottom (reading order in LTR languages).
+    // eslint-disable-next-line @typescript-eslint/strict-boolean-expressions
+    comparePositions(a.hintMeasurements, b.hintMeasurements) ||
+    // `hintsState.elementsWithHints` changes order as
+    // `hintsState.enteredText` come and go. Sort on `.index` if all other
+    // things are equal, so that elements don't unexpectedly swap hints after
+    // erasing some text chars.
+    a.index - b.index
+  );
+}
+
+function getFirstElement(item: Combined | ElementWithHint): ElementWithHint {
+  return item instanceof Combined ? item.children[0] : item;
+}
+
 function makeMessageInfo(
   sender: browser.Runtime.MessageSender
 ): MessageInfo | undefined {
@@ -2726,6 +4777,42 @@ function makeMessageInfo(
     : undefined;
 }
 
+// Updates the entered chars – either text chars or hint chars. Returns
+// `undefined` if the input should be ignored.
+function updateEnteredChars(
+  { enteredChars, enteredText }: { enteredChars: string; enteredText: string },
+  input: HintInput,
+  chars: string
+): { enteredChars: string; enteredText: string } | undefined {
+  // Ignore unknown/non-text keys.
+  if (input.type === "Input" && input.keypress.printableKey === undefined) {
+    return undefined;
+  }
+
+  const isHintKey =
+    (input.type === "Input" &&
+      input.keypress.printableKey !== undefined &&
+      chars.includes(input.keypress.printableKey)) ||
+    (input.type === "Backspace" && enteredChars !== "");
+
+  // Disallow filtering by text after having started entering hint chars.
+  if (!isHintKey && input.type !== "ActivateHint" && enteredChars !== "") {
+    return undefined;
+  }
+
+  const updated = updateChars(isHintKey ? enteredChars : enteredText, input);
+  return isHintKey
+    ? { enteredChars: updated, enteredText }
+    : {
+        enteredChars,
+        enteredText: updated
+          .toLowerCase()
+          // Trim leading whitespace and allow only one trailing space.
+          .replace(/^\s+/, "")
+          .replace(/\s+$/, " "),
+      };
+}
+
 function updateChars(chars: string, input: HintInput): string {
   switch (input.type) {
     case "Input": {
@@ -2746,6 +4833,8 @@ function updateHints({
   elementsWithHints: passedElementsWithHints,
   highlighted,
   chars,
+  hintLabels,
+  textFilter,
   autoActivate: autoActivateOption,
   matchHighlighted,
   updateMeasurements,
@@ -2756,6 +4845,8 @@ function updateHints({
   elementsWithHints: Array<ElementWithHint>;
   highlighted: Highlighted;
   chars: string;
+  hintLabels: HintLabels;
+  textFilter: TextFilter;
   autoActivate: boolean;
   matchHighlighted: boolean;
   updateMeasurements: boolean;
@@ -2767,22 +4858,32 @@ function updateHints({
     | undefined;
   updates: Array<HintUpdate>;
   words: Array<string>;
+  highlightedText: Array<TextSegment>;
 } {
   const hasEnteredText = enteredText !== "";
   const hasEnteredTextOnly = hasEnteredText && enteredChars === "";
   const words = splitEnteredText(enteredText);
 
+  const textMatches = new Map<ElementWithHint, TextMatch>();
+  for (const element of passedElementsWithHints) {
+    const textMatch = matchText(element.text, words, textFilter);
+    if (textMatch !== undefined) {
+      textMatches.set(element, textMatch);
+    }
+  }
+
   // Filter away elements/hints not matching by text.
   const [matching, nonMatching] = partition(
     passedElementsWithHints,
-    (element) => matchesText(element.text, words)
+    (element) => textMatches.has(element)
   );
 
   // Update the hints after the above filtering.
   const elementsWithHintsAndMaybeHidden = assignHints(matching, {
     mode,
     chars,
-    hasEnteredText,
+    hintLabels,
+    textMatches: hasEnteredText ? textMatches : undefined,
   });
 
   // Filter away elements that have become hidden _after_ assigning hints, so
@@ -2812,6 +4913,14 @@ function updateHints({
       (matchHighlighted && element.hint === highlightedHint)
   );
 
+  const highlightedElement = elementsWithHints.find(
+    (element) => element.hint === highlightedHint
+  );
+  const highlightedTextMatch =
+    highlightedElement === undefined
+      ? undefined
+      : matchText(highlightedElement.text, words, textFilter);
+
   const highlightedKeys = new Set(
     highlighted.map(({ element }) => elementKey(element))
   );
@@ -2879,6 +4988,14 @@ function updateHints({
           },
     updates,
     words,
+    highlightedText:
+      highlightedElement === undefined || highlightedTextMatch === undefined
+        ? []
+        : getTextSegments(
+            highlightedElement.text,
+            highlightedTextMatch.ranges,
+            t.STATUS_TEXT_CONTEXT_LENGTH.value
+          ),
   };
 }
 
@@ -2917,6 +5034,7 @@ function mergeElements(
       // Keep the original text weight so that hints don't change.
       textWeight: element.textWeight,
       isTextInput: update.isTextInput,
+      lastFocused: update.lastFocused,
       hasClickListener: update.hasClickListener,
       frame: element.frame,
       hidden: false,
@@ -2926,11 +5044,6 @@ function mergeElements(
   });
 }
 
-function matchesText(passedText: string, words: Array<string>): boolean {
-  const text = passedText.toLowerCase();
-  return words.every((word) => text.includes(word));
-}
-
 // Service worker version of makeRandomToken using self instead of window
 function makeRandomTokenSW(): string {
   const array = new Uint32Array(3);
@@ -1,4 +1,5 @@
 import config from "../project.config";
+import { BROWSER_COMMANDS } from "./shared/keyboard";
 
 type IconsList = Array<[number, string]>;
 type Icons = { svg: IconsList; png: IconsList };
@@ -23,6 +24,7 @@ export default (): string =>
       "tabs",
       "activeTab"
     ],
+    // Same as `HOST_PERMISSIONS` in `shared/main.ts`.
     host_permissions: [
       "<all_urls>"
     ],
@@ -34,10 +36,8 @@ export default (): string =>
       page: config.optionsHtml,
       open_in_tab: true,
     },
-    background: {
-      service_worker: "service-worker.js",
-      type: "module"
-    },
+    commands: getCommands(),
+    background: getBackground(config.browser),
     content_scripts: [
       {
         matches: ["<all_urls>"],
@@ -64,6 +64,15 @@ function toJSON(obj: Record<string, unknown>): string {
   return JSON.stringify(obj, undefined, 2);
 }
 
+// Browser-level shortcuts, handled in `BackgroundProgram#onCommand`. No keys
+// are suggested, since browsers only allow a few, and they could clash with the
+// in-page shortcuts or with other extensions.
+function getCommands(): Record<string, { description: string }> {
+  return Object.fromEntries(
+    BROWSER_COMMANDS.map(({ action, description }) => [action, { description }])
+  );
+}
+
 function getBrowserSpecificSettings(browser: Browser | undefined): unknown {
   switch (browser) {
     case "chrome":
@@ -74,11 +83,37 @@ function getBrowserSpecificSettings(browser: Browser | undefined): unknown {
       return {
         gecko: {
           id: config.meta.geckoId,
+          // Manifest V3 works from 109, but Firefox for Android needs 120 for
+          // `permissions.request`.
+          strict_min_version: "120.0",
         },
       };
   }
 }
 
+function getBackground(browser: Browser | undefined): unknown {
+  switch (browser) {
+    case "chrome":
+      return {
+        service_worker: config.background.output,
+        type: "module",
+      };
+
+    case "firefox":
+      return {
+        scripts: [config.backgroundScript.output],
+      };
+
+    // Development builds are run in both browsers. Chrome ignores `scripts`
+    // when there is a `service_worker`, and Firefox ignores `service_worker`.
+    case undefined:
+      return {
+        service_worker: config.background.output,
+        scripts: [config.backgroundScript.output],
+      };
+  }
+}
+
 function makeSizes(icons: Array<[number, string]>): IconSizes {
   return Object.fromEntries(
     icons.map(([size, path]) => [size.toString(), path])
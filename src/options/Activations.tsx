@@ -0,0 +1,84 @@
+import { h, VNode } from "preact";
+
+import {
+  ActivationHistory,
+  getDecayedScore,
+  parseElementFingerprint,
+} from "../shared/history";
+
+// How many of the most activated elements to show per site.
+const MAX_SHOWN_ENTRIES = 5;
+
+export default function Activations({
+  history,
+  onClear,
+}: {
+  history: ActivationHistory;
+  // `undefined` clears all sites.
+  onClear: (origin: string | undefined) => void;
+}): VNode {
+  const now = Date.now();
+
+  const sites = Object.entries(history)
+    .map(([origin, entries]) => ({
+      origin,
+      entries: Object.entries(entries)
+        .map(([fingerprint, entry]) => ({
+          ...parseElementFingerprint(fingerprint),
+          score: getDecayedScore(entry, now),
+        }))
+        .sort((a, b) => b.score - a.score),
+    }))
+    .sort((a, b) => a.origin.localeCompare(b.origin));
+
+  if (sites.length === 0) {
+    return <p className="TextSmall">Nothing learned yet.</p>;
+  }
+
+  return (
+    <div className="SpacedVertical">
+      <ul className="Activations TextSmall">
+        {sites.map(({ origin, entries }) => (
+          <li key={origin} className="SpacedVertical">
+            <div className="Spaced Spaced--center">
+              <strong>{origin}</strong>
+              <span>
+                (
+                {entries.length === 1
+                  ? "1 element"
+                  : `${entries.length} elements`}
+                )
+              </span>
+              <button
+                type="button"
+                style={{ marginLeft: "auto" }}
+                onClick={() => {
+                  onClear(origin);
+                }}
+              >
+                Forget
+              </button>
+            </div>
+            <ol className="Activations-entries">
+              {entries.slice(0, MAX_SHOWN_ENTRIES).map((entry, index) => (
+                <li key={index} title={entry.url}>
+                  {entry.text === "" ? entry.url : entry.text} (
+                  {entry.score.toFixed(1)})
+                </li>
+              ))}
+            </ol>
+          </li>
+        ))}
+      </ul>
+
+      <button
+        type="button"
+        onClick={() => {
+          onClear(undefined);
+        }}
+      >
+        Forget all sites
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+import { h, VNode } from "preact";
+import { array, fieldsAuto, optional, string } from "tiny-decoders";
+
+import {
+  BROWSER_COMMANDS,
+  KeyboardAction,
+  KeyboardMapping,
+  Shortcut,
+} from "../shared/keyboard";
+import { decode, fireAndForget } from "../shared/main";
+import KeyboardShortcut, { hasShift } from "./KeyboardShortcut";
+import { describeKeyboardAction } from "./KeyboardShortcuts";
+
+// A browser-level shortcut, as set in the browser’s extension shortcut
+// settings. `shortcut` is empty if no key has been assigned.
+export type BrowserCommand = {
+  action: KeyboardAction;
+  shortcut: string;
+};
+
+const RawCommands = array(
+  fieldsAuto(
+    {
+      name: optional(string),
+      shortcut: optional(string),
+    },
+    { exact: "allow extra" }
+  )
+);
+
+// Chrome describes keys by name in `commands.getAll()`.
+const KEY_NAMES: Record<string, string> = {
+  Comma: ",",
+  Period: ".",
+  Space: " ",
+  Up: "ArrowUp",
+  Down: "ArrowDown",
+  Left: "ArrowLeft",
+  Right: "ArrowRight",
+};
+
+export async function getBrowserCommands(): Promise<Array<BrowserCommand>> {
+  const commands = decode(RawCommands, await browser.commands.getAll());
+  return BROWSER_COMMANDS.map(({ action }) => ({
+    action,
+    shortcut: commands.find(({ name }) => name === action)?.shortcut ?? "",
+  }));
+}
+
+// Shortcuts come as for example "Alt+Shift+J", or "⇧⌘J" in Chrome on macOS.
+// Like in the `commands` manifest key, "Ctrl" means Command on macOS.
+function parseCommandShortcut(shortcutString: string, mac: boolean): Shortcut {
+  const parts = shortcutString.includes("+")
+    ? shortcutString.split("+")
+    : Array.from(shortcutString);
+  const modifiers = new Set(parts.slice(0, -1));
+  const key = parts[parts.length - 1];
+  const shift = modifiers.has("Shift") || modifiers.has("⇧");
+  const keyName = KEY_NAMES[key] ?? key;
+  return {
+    key:
+      keyName.length === 1
+        ? shift
+          ? keyName.toUpperCase()
+          : keyName.toLowerCase()
+        : keyName,
+    alt: modifiers.has("Alt") || modifiers.has("⌥"),
+    cmd:
+      modifiers.has("Command") ||
+      modifiers.has("⌘") ||
+      (mac && modifiers.has("Ctrl")),
+    ctrl:
+      modifiers.has("MacCtrl") ||
+      modifiers.has("⌃") ||
+      (!mac && modifiers.has("Ctrl")),
+    shift,
+  };
+}
+
+function isSameShortcut(a: Shortcut, b: Shortcut): boolean {
+  return (
+    a.sequence === undefined &&
+    b.sequence === undefined &&
+    a.key.toLowerCase() === b.key.toLowerCase() &&
+    a.alt === b.alt &&
+    a.cmd === b.cmd &&
+    a.ctrl === b.ctrl &&
+    hasShift(a) === hasShift(b)
+  );
+}
+
+export default function BrowserCommands({
+  mac,
+  commands,
+  mappings,
+}: {
+  mac: boolean;
+  commands: Array<BrowserCommand>;
+  // The in-page main keyboard shortcuts.
+  mappings: Array<KeyboardMapping>;
+}): VNode {
+  return (
+    <div className="SpacedVertical">
+      <table className="ShortcutsTable">
+        <tbody>
+          {commands.map((command) => {
+            const { action } = command;
+            const shortcut =
+              command.shortcut === ""
+                ? undefined
+                : parseCommandShortcut(command.shortcut, mac);
+            // The browser gets the keypress first, so in-page shortcuts with
+            // the same keys never fire.
+            const conflicts =
+              shortcut === undefined
+                ? []
+                : mappings.filter(
+                    (mapping) =>
+                      mapping.action !== action &&
+                      isSameShortcut(mapping.shortcut, shortcut)
+                  );
+            return (
+              <tr key={action}>
+                <th>
+                  <p>{describeKeyboardAction(action).name}</p>
+                  {conflicts.map((mapping) => (
+                    <p key={mapping.action} className="TextSmall Error">
+                      Hides in-page shortcut for “
+                      {describeKeyboardAction(mapping.action).name}”
+                    </p>
+                  ))}
+                </th>
+                <td>
+                  {shortcut === undefined ? (
+                    <span className="TextSmall">Not set</span>
+                  ) : (
+                    <KeyboardShortcut mac={mac} shortcut={shortcut} />
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {BROWSER === "chrome" ? (
+        <button
+          type="button"
+          style={{ alignSelf: "flex-start" }}
+          onClick={() => {
+            fireAndForget(
+              browser.tabs
+                .create({ url: "chrome://extensions/shortcuts" })
+                .then(() => {
+                  // Ignore the tab.
+                }),
+              "BrowserCommands open shortcut settings"
+            );
+          }}
+        >
+          Change browser-level shortcuts
+        </button>
+      ) : (
+        <p className="TextSmall">
+          Change browser-level shortcuts in the add-ons manager: Click the gear
+          icon and choose “Manage Extension Shortcuts.”
+        </p>
+      )}
+    </div>
+  );
+}
@@ -4,10 +4,12 @@ import Shadow from "preact-shadow-root";
 
 import {
   CSS,
+  getThemeCSS,
   HAS_MATCHED_CHARS_CLASS,
   HIDDEN_CLASS,
   HIGHLIGHTED_HINT_CLASS,
   HINT_CLASS,
+  HintTheme,
   MATCHED_CHARS_CLASS,
   MAX_Z_INDEX,
   MIN_Z_INDEX,
@@ -16,13 +18,17 @@ import {
   ROOT_CLASS,
   SHRUGGIE,
   STATUS_CLASS,
+  STATUS_MATCHED_TEXT_CLASS,
+  STATUS_TEXT_CLASS,
   TEXT_RECT_CLASS,
 } from "../shared/css";
 import {
   Box,
   classlist,
   getTextRects,
+  getTextSegments,
   isMixedCase,
+  matchText,
   splitEnteredText,
 } from "../shared/main";
 
@@ -54,15 +60,27 @@ const FILTER_BY_TEXT = (
     to filter.
   </p>
 );
+const FILTER_BY_TEXT_STRING = "Nearby example TEXT to filter.";
 const ENTERED_TEXT = "filter by text ex";
+const HIGHLIGHTED_TEXT = getTextSegments(
+  FILTER_BY_TEXT_STRING,
+  matchText(FILTER_BY_TEXT_STRING, splitEnteredText(ENTERED_TEXT), "Strict")
+    ?.ranges ?? [],
+  10
+);
 
 export default function CSSPreview({
   chars,
   css,
+  theme,
+  dark,
   peek,
 }: {
   chars: string;
   css: string;
+  theme: HintTheme;
+  // Show the hints on a dark sample page.
+  dark: boolean;
   peek: boolean;
 }): VNode {
   const containerRef = useRef<HTMLDivElement>(null);
@@ -82,7 +100,8 @@ export default function CSSPreview({
     const newTextRects = getTextRects({
       element: filterByTextElement,
       viewports: [],
-      words: new Set(splitEnteredText(ENTERED_TEXT)),
+      words: splitEnteredText(ENTERED_TEXT),
+      textFilter: "Strict",
       checkElementAtPoint: false,
     }).map((box) => ({
       ...box,
@@ -139,7 +158,7 @@ export default function CSSPreview({
 
   return (
     <div
-      className="Preview"
+      className={classlist("Preview", { "is-dark": dark })}
       style={{
         height: HINT_Y_OFFSET * 2 + HINT_Y * (HINT_VARIATIONS.length + 2),
         zIndex: MAX_Z_INDEX,
@@ -180,6 +199,17 @@ export default function CSSPreview({
               }}
             >
               {ENTERED_TEXT}
+              <span className={STATUS_TEXT_CLASS}>
+                {HIGHLIGHTED_TEXT.map(({ text, matched }, index) =>
+                  matched ? (
+                    <span key={index} className={STATUS_MATCHED_TEXT_CLASS}>
+                      {text}
+                    </span>
+                  ) : (
+                    text
+                  )
+                )}
+              </span>
             </div>
 
             {chars.split("").map((char, index) =>
@@ -224,7 +254,7 @@ export default function CSSPreview({
               />
             ))}
 
-            <style>{`${CSS}\n\n${css}`}</style>
+            <style>{`${CSS}\n\n${getThemeCSS(theme)}\n\n${css}`}</style>
           </div>
         </Shadow>
       </div>
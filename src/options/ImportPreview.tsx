@@ -0,0 +1,129 @@
+import { h, VNode } from "preact";
+
+import type { ImportChange } from "../shared/options";
+
+export default function ImportPreview({
+  changes,
+  accepted,
+  tweakable,
+  errors,
+  onAcceptedChange,
+  onApply,
+  onCancel,
+}: {
+  changes: Array<ImportChange>;
+  accepted: Array<boolean>;
+  tweakable: number;
+  errors: number;
+  onAcceptedChange: (accepted: Array<boolean>) => void;
+  onApply: () => void;
+  onCancel: () => void;
+}): VNode {
+  const acceptedCount = accepted.filter(Boolean).length;
+  const nothingToApply = acceptedCount === 0 && tweakable === 0;
+
+  return (
+    <div className="SpacedVertical" style={{ width: 400 }}>
+      {changes.length === 0 ? (
+        <p>The file contains no changes to your options.</p>
+      ) : (
+        <div className="Spaced Spaced--center">
+          <p>
+            Pick the changes to import ({acceptedCount}/{changes.length}):
+          </p>
+          <button
+            type="button"
+            className="TextSmall"
+            onClick={() => {
+              onAcceptedChange(changes.map(() => acceptedCount === 0));
+            }}
+          >
+            {acceptedCount === 0 ? "All" : "None"}
+          </button>
+        </div>
+      )}
+
+      {changes.length > 0 && (
+        <ul className="ImportPreview TextSmall">
+          {changes.map((change, index) => (
+            <li key={change.key}>
+              <label className="ImportPreview-change">
+                <input
+                  type="checkbox"
+                  checked={accepted[index]}
+                  onChange={(event) => {
+                    const { checked } = event.currentTarget;
+                    onAcceptedChange(
+                      accepted.map((item, index2) =>
+                        index2 === index ? checked : item
+                      )
+                    );
+                  }}
+                />
+                <span>
+                  <code>{change.key}</code>
+                  <br />
+                  {change.before === undefined ? (
+                    "(added)"
+                  ) : (
+                    <del>{formatValue(change.before)}</del>
+                  )}
+                  {" → "}
+                  {change.after === undefined ? (
+                    "(removed)"
+                  ) : (
+                    <ins>{formatValue(change.after)}</ins>
+                  )}
+                </span>
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {tweakable > 0 && (
+        <p>
+          ℹ️&ensp;
+          {tweakable === 1 ? "1 debug value" : `${tweakable} debug values`} will
+          be written.
+        </p>
+      )}
+
+      {errors > 0 && (
+        <p>
+          ❌&ensp;{errors === 1 ? "1 error" : `${errors} errors`} found. Those
+          values are skipped.
+        </p>
+      )}
+
+      <div className="Spaced">
+        <button
+          type="button"
+          disabled={nothingToApply}
+          onClick={() => {
+            onApply();
+          }}
+        >
+          Import
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            onCancel();
+          }}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const MAX_VALUE_LENGTH = 60;
+
+function formatValue(value: unknown): string {
+  const json = JSON.stringify(value);
+  return json.length > MAX_VALUE_LENGTH
+    ? `${json.slice(0, MAX_VALUE_LENGTH - 1)}…`
+    : json;
+}
@@ -11,6 +11,17 @@ export default function KeyboardShortcut({
   mac: boolean;
   shortcut: Partial<Shortcut>;
 }): VNode {
+  const { sequence, ...last } = shortcut;
+  if (sequence !== undefined && sequence.length > 0) {
+    return (
+      <span className="KeyboardShortcutSequence">
+        {[...sequence, last].map((part, index) => (
+          <KeyboardShortcut key={index} mac={mac} shortcut={part} />
+        ))}
+      </span>
+    );
+  }
+
   const { key = "" } = shortcut;
   return (
     <span className="KeyboardShortcut">
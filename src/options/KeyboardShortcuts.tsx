@@ -1,11 +1,13 @@
 import { Component, h, VNode } from "preact";
 
 import {
+  getSequenceKeys,
   KeyboardAction,
   KeyboardMapping,
   NormalizedKeypress,
   serializeShortcut,
   Shortcut,
+  SingleShortcut,
 } from "../shared/keyboard";
 import { classlist, deepEqual } from "../shared/main";
 import ButtonWithPopup from "./ButtonWithPopup";
@@ -17,6 +19,7 @@ type ShortcutError =
   | { type: "MacOptionKey"; printableKey: string; hasOtherModifier: boolean }
   | { type: "MissingModifier"; shift: boolean }
   | { type: "OtherShortcutConflict"; otherMapping: KeyboardMapping }
+  | { type: "SequencePrefixConflict"; otherMapping: KeyboardMapping }
   | { type: "UnrecognizedKey" };
 
 type Mode = "Hints" | "Normal";
@@ -43,6 +46,9 @@ type Props = {
 
 type State = {
   addingAction: KeyboardAction | undefined;
+  // The keys pressed so far when adding a key sequence. `undefined` when adding
+  // a regular shortcut.
+  addingSequence: Array<SingleShortcut> | undefined;
   shortcutError:
     | {
         shortcut: Shortcut;
@@ -54,6 +60,7 @@ type State = {
 export default class KeyboardShortcuts extends Component<Props, State> {
   override state: State = {
     addingAction: undefined,
+    addingSequence: undefined,
     shortcutError: undefined,
   };
 
@@ -83,9 +90,9 @@ export default class KeyboardShortcuts extends Component<Props, State> {
       }
 
       const capturedKeypress = capturedKeypressWithTimestamp.keypress;
-      const { shortcutError } = this.state;
+      const { shortcutError, addingSequence } = this.state;
 
-      const shortcut: Shortcut = {
+      const shortcut: SingleShortcut = {
         key: capturedKeypress.key,
         alt: capturedKeypress.alt,
         cmd: capturedKeypress.cmd,
@@ -116,6 +123,7 @@ export default class KeyboardShortcuts extends Component<Props, State> {
       if (shortcut.key === "Space" && !hasModifier(shortcut)) {
         this.setState({
           addingAction: undefined,
+          addingSequence: undefined,
           shortcutError: undefined,
         });
         onAddChange(false);
@@ -132,6 +140,16 @@ export default class KeyboardShortcuts extends Component<Props, State> {
         return;
       }
 
+      // Key sequences are checked when saving, since it’s not known until then
+      // which key is the last one.
+      if (addingSequence !== undefined) {
+        this.setState({
+          addingSequence: addingSequence.concat(shortcut),
+          shortcutError: undefined,
+        });
+        return;
+      }
+
       if (
         mode === "Normal" &&
         !(hasModifier(shortcut) || isAllowedWithShiftOnly(shortcut))
@@ -207,6 +225,67 @@ export default class KeyboardShortcuts extends Component<Props, State> {
     }
   }
 
+  saveSequence(): void {
+    const { mappings } = this.props;
+    const { addingAction, addingSequence, shortcutError } = this.state;
+
+    if (
+      addingAction === undefined ||
+      addingSequence === undefined ||
+      addingSequence.length < 2
+    ) {
+      return;
+    }
+
+    const shortcut: Shortcut = {
+      ...addingSequence[addingSequence.length - 1],
+      sequence: addingSequence.slice(0, -1),
+    };
+
+    const conflictingMapping = mappings.find((mapping) =>
+      deepEqual(mapping.shortcut, shortcut)
+    );
+    if (conflictingMapping !== undefined) {
+      const newShortcutError = {
+        shortcut,
+        error: {
+          type: "OtherShortcutConflict",
+          otherMapping: conflictingMapping,
+        } as const,
+      };
+      // Saving again confirms replacing the other shortcut.
+      if (
+        conflictingMapping.action === addingAction ||
+        deepEqual(shortcutError, newShortcutError)
+      ) {
+        this.saveMapping({ shortcut, action: addingAction });
+      } else {
+        this.setState({ shortcutError: newShortcutError });
+      }
+      return;
+    }
+
+    // Sequences fire as soon as they are complete, so a sequence that starts
+    // with another one would never fire.
+    const overlappingMapping = mappings.find((mapping) =>
+      isSequencePrefix(mapping.shortcut, shortcut)
+    );
+    if (overlappingMapping !== undefined) {
+      this.setState({
+        shortcutError: {
+          shortcut,
+          error: {
+            type: "SequencePrefixConflict",
+            otherMapping: overlappingMapping,
+          },
+        },
+      });
+      return;
+    }
+
+    this.saveMapping({ shortcut, action: addingAction });
+  }
+
   saveMapping(newMapping: KeyboardMapping): void {
     const { mappings, onChange, onAddChange } = this.props;
     const newMappings = mappings
@@ -215,6 +294,7 @@ export default class KeyboardShortcuts extends Component<Props, State> {
 
     this.setState({
       addingAction: undefined,
+      addingSequence: undefined,
       shortcutError: undefined,
     });
 
@@ -236,7 +316,7 @@ export default class KeyboardShortcuts extends Component<Props, State> {
       onChange,
       onAddChange,
     } = this.props;
-    const { addingAction, shortcutError } = this.state;
+    const { addingAction, addingSequence, shortcutError } = this.state;
 
     return (
       <Field
@@ -330,6 +410,7 @@ export default class KeyboardShortcuts extends Component<Props, State> {
                                   addingAction: open
                                     ? defaultMapping.action
                                     : undefined,
+                                  addingSequence: undefined,
                                 });
                                 onAddChange(open);
                               }}
@@ -338,11 +419,28 @@ export default class KeyboardShortcuts extends Component<Props, State> {
                                   className="SpacedVertical"
                                   style={{ width: 450 }}
                                 >
-                                  {shortcutError === undefined ? (
-                                    <ShortcutAddDisplay
+                                  {addingSequence !== undefined ? (
+                                    <SequenceAddDisplay
                                       mac={mac}
-                                      defaultMapping={defaultMapping}
+                                      sequence={addingSequence}
+                                      onSave={() => {
+                                        this.saveSequence();
+                                      }}
+                                      onClear={() => {
+                                        this.setState({
+                                          addingSequence: [],
+                                          shortcutError: undefined,
+                                        });
+                                      }}
                                     />
+                                  ) : null}
+                                  {shortcutError === undefined ? (
+                                    addingSequence === undefined && (
+                                      <ShortcutAddDisplay
+                                        mac={mac}
+                                        defaultMapping={defaultMapping}
+                                      />
+                                    )
                                   ) : (
                                     <div className="SpacedVertical">
                                       <KeyboardShortcut
@@ -357,6 +455,22 @@ export default class KeyboardShortcuts extends Component<Props, State> {
                                       />
                                     </div>
                                   )}
+                                  {mode === "Normal" &&
+                                    addingSequence === undefined && (
+                                      <p className="TextSmall">
+                                        <button
+                                          type="button"
+                                          onClick={() => {
+                                            this.setState({
+                                              addingSequence: [],
+                                              shortcutError: undefined,
+                                            });
+                                          }}
+                                        >
+                                          Add a key sequence instead
+                                        </button>
+                                      </p>
+                                    )}
                                   <p className="TextSmall">
                                     <em>
                                       Press{" "}
@@ -420,6 +534,66 @@ function ShortcutAddDisplay({
   );
 }
 
+function SequenceAddDisplay({
+  mac,
+  sequence,
+  onSave,
+  onClear,
+}: {
+  mac: boolean;
+  sequence: Array<SingleShortcut>;
+  onSave: () => void;
+  onClear: () => void;
+}): VNode {
+  return (
+    <div className="SpacedVertical">
+      <p>
+        <strong>Press the keys of the sequence, one at a time!</strong>
+      </p>
+
+      <p>
+        {sequence.length === 0 ? (
+          <em>No keys yet.</em>
+        ) : (
+          sequence.map((shortcut, index) => (
+            <span key={index}>
+              {index > 0 && " "}
+              <KeyboardShortcut mac={mac} shortcut={shortcut} />
+            </span>
+          ))
+        )}
+      </p>
+
+      <div className="Spaced">
+        <button
+          type="button"
+          disabled={sequence.length < 2}
+          onClick={() => {
+            onSave();
+          }}
+        >
+          Save
+        </button>
+        <button
+          type="button"
+          disabled={sequence.length === 0}
+          onClick={() => {
+            onClear();
+          }}
+        >
+          Start over
+        </button>
+      </div>
+
+      <p className="TextSmall">
+        Sequences need at least two keys, such as <code>g f</code>. They don’t
+        need modifiers since they never fire while typing in a text input. Wait
+        too long between the keys and the sequence starts over.
+      </p>
+    </div>
+  );
+}
+
 function ShortcutErrorDisplay({
   mac,
   mode,
@@ -479,6 +653,25 @@ function ShortcutErrorDisplay({
         </div>
       );
 
+    case "SequencePrefixConflict":
+      return (
+        <div>
+          <p>
+            <strong>
+              This sequence overlaps with the one for:{" "}
+              <span style={{ whiteSpace: "nowrap" }}>
+                “{describeKeyboardAction(error.otherMapping.action).name}.”
+              </span>
+            </strong>
+          </p>
+          <p>
+            Sequences fire as soon as they are complete, so only the shorter one
+            would work. Start over with other keys, or remove the other
+            sequence!
+          </p>
+        </div>
+      );
+
     case "CommonTextEditingShortcutConflict":
       return (
         <div>
@@ -600,6 +793,56 @@ export function describeKeyboardAction(
         name: "Select element",
       };
 
+    case "EnterHintsMode_SelectRange":
+      return {
+        name: "Select text between two elements",
+      };
+
+    case "EnterHintsMode_ExtendSelection":
+      return {
+        name: "Extend text selection to element",
+      };
+
+    case "EnterHintsMode_Copy":
+      return {
+        name: "Copy element",
+      };
+
+    case "EnterHintsMode_ManyCopy":
+      return {
+        name: "Copy many elements",
+      };
+
+    case "EnterHintsMode_Hover":
+      return {
+        name: "Hover element",
+      };
+
+    case "EnterHintsMode_Unhover":
+      return {
+        name: "Unhover the last hovered element",
+      };
+
+    case "EnterHintsMode_Scrollable":
+      return {
+        name: "Focus scrollable area",
+      };
+
+    case "EnterHintsMode_SwitchTab":
+      return {
+        name: "Switch tab",
+      };
+
+    case "EnterHintsMode_Media":
+      return {
+        name: "Control video or audio",
+      };
+
+    case "FocusInput":
+      return {
+        name: "Focus text input (Tab cycles)",
+      };
+
     case "ExitHintsMode":
       return {
         name: "Exit hints mode",
@@ -625,6 +868,46 @@ export function describeKeyboardAction(
         name: "Toggle peek mode",
       };
 
+    case "SetCopyFormat_Url":
+      return {
+        name: "Copy as URL",
+      };
+
+    case "SetCopyFormat_Text":
+      return {
+        name: "Copy as text",
+      };
+
+    case "SetCopyFormat_Markdown":
+      return {
+        name: "Copy as Markdown link",
+      };
+
+    case "SetCopyFormat_Html":
+      return {
+        name: "Copy as HTML link",
+      };
+
+    case "SetCopyFormat_Media":
+      return {
+        name: "Copy image/media source",
+      };
+
+    case "SetTabAction_Activate":
+      return {
+        name: "Tab switcher: Switch to tab",
+      };
+
+    case "SetTabAction_Close":
+      return {
+        name: "Tab switcher: Close tab",
+      };
+
+    case "SetTabAction_Move":
+      return {
+        name: "Tab switcher: Move tab next to the current one",
+      };
+
     case "Escape":
       return {
         name: "Exit hints mode, blur elements and clear selection",
@@ -640,11 +923,31 @@ export function describeKeyboardAction(
         name: "Activate highlighted hint in a new tab",
       };
 
+    case "ActivateAllMatching":
+      return {
+        name: "Open all matching links in new tabs",
+      };
+
+    case "ActivateAllMatching_Click":
+      return {
+        name: "Click all matching elements",
+      };
+
     case "Backspace":
       return {
         name: "Erase last entered character",
       };
 
+    case "GoToNextPage":
+      return {
+        name: "Go to next page",
+      };
+
+    case "GoToPreviousPage":
+      return {
+        name: "Go to previous page",
+      };
+
     case "ReverseSelection":
       return {
         name: "Swap which end of a text selection to work on",
@@ -672,6 +975,18 @@ function isAllowedWithShiftOnly(shortcut: Shortcut): boolean {
   );
 }
 
+// Whether one of the shortcuts is a key sequence that starts with all the keys
+// of the other one (in either direction).
+function isSequencePrefix(a: Shortcut, b: Shortcut): boolean {
+  const keysA = getSequenceKeys(a);
+  const keysB = getSequenceKeys(b);
+  const length = Math.min(keysA.length, keysB.length);
+  return (
+    length > 0 &&
+    keysA.slice(0, length).every((key, index) => deepEqual(key, keysB[index]))
+  );
+}
+
 export function isRecognized(key: string): boolean {
   return key !== "Dead" && key !== "Unidentified";
 }
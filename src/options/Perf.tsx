@@ -1,7 +1,13 @@
 import { Fragment, h, VNode } from "preact";
 
 import { classlist } from "../shared/main";
-import { Durations, MAX_PERF_ENTRIES, Stats, TabsPerf } from "../shared/perf";
+import {
+  Durations,
+  MAX_PERF_ENTRIES,
+  Stats,
+  sumDurations,
+  TabsPerf,
+} from "../shared/perf";
 
 export default function Perf({
   perf,
@@ -222,19 +228,6 @@ function sumStats(
   });
 }
 
-function sumDurations(allDurations: Array<Durations>): Durations {
-  const result = new Map<string, number>();
-
-  for (const durations of allDurations) {
-    for (const [label, duration] of durations) {
-      const previous = result.get(label) ?? 0;
-      result.set(label, previous + duration);
-    }
-  }
-
-  return Array.from(result);
-}
-
 function durationsToRows(
   allDurations: Array<Durations>
 ): Array<{ heading: string; values: Array<string> }> {
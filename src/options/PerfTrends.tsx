@@ -0,0 +1,180 @@
+import { h, VNode } from "preact";
+import { useState } from "preact/hooks";
+
+import { classlist } from "../shared/main";
+import {
+  getDuration,
+  MAX_PERF_HISTORY_RUNS,
+  Percentiles,
+  PerfHistory,
+  PerfRun,
+  summarizePerfRuns,
+} from "../shared/perf";
+
+const CHART_WIDTH = 400;
+const CHART_HEIGHT = 100;
+
+export default function PerfTrends({
+  history,
+  onExport,
+  onClear,
+}: {
+  history: PerfHistory;
+  onExport: () => void;
+  onClear: () => void;
+}): VNode {
+  const origins = Object.keys(history).sort();
+  const [selectedOrigin, setSelectedOrigin] = useState<string | undefined>(
+    undefined
+  );
+
+  if (origins.length === 0) {
+    return (
+      <p className="TextSmall">
+        No runs stored yet. Turn on recording above and enter hints mode on a
+        site to start tracking it.
+      </p>
+    );
+  }
+
+  const origin =
+    selectedOrigin !== undefined && origins.includes(selectedOrigin)
+      ? selectedOrigin
+      : origins[0];
+  const runs = history[origin] ?? [];
+
+  return (
+    <div className="SpacedVertical">
+      <p className="TextSmall">
+        The last {MAX_PERF_HISTORY_RUNS} runs per site are kept across browser
+        restarts and updates, so that versions can be compared. Export them to
+        load in the Performance panel of the Chrome DevTools.
+      </p>
+
+      <div className="Spaced Spaced--center">
+        <select
+          value={origin}
+          onChange={(event) => {
+            setSelectedOrigin(event.currentTarget.value);
+          }}
+        >
+          {origins.map((origin2) => (
+            <option key={origin2} value={origin2}>
+              {origin2} ({history[origin2].length})
+            </option>
+          ))}
+        </select>
+
+        <button
+          type="button"
+          style={{ marginLeft: "auto" }}
+          onClick={() => {
+            onExport();
+          }}
+        >
+          Export trace
+        </button>
+
+        <button
+          type="button"
+          onClick={() => {
+            onClear();
+          }}
+        >
+          Clear history
+        </button>
+      </div>
+
+      <PerfChart runs={runs} />
+
+      <table className="PerfTable TextSmall">
+        <thead>
+          <tr>
+            <th>Version</th>
+            <th>Runs</th>
+            <th>First paint p50/p95</th>
+            <th>Collect p50/p95</th>
+            <th>Render p50/p95</th>
+          </tr>
+        </thead>
+        <tbody>
+          {summarizePerfRuns(runs).map((summary, index) => (
+            <tr
+              key={summary.version}
+              className={classlist({ "PerfTable-alternate": index % 2 === 0 })}
+            >
+              <td>{summary.version}</td>
+              <td>{summary.numRuns}</td>
+              <td>{formatPercentiles(summary.timeToFirstPaint)}</td>
+              <td>{formatPercentiles(summary.collect)}</td>
+              <td>{formatPercentiles(summary.render)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Collect and render time of each run, oldest to the left. Dashed lines mark
+// where a new version was used for the first time.
+function PerfChart({ runs }: { runs: Array<PerfRun> }): VNode {
+  const series = [
+    {
+      name: "collect",
+      values: runs.map((run) => getDuration(run.topDurations, "collect")),
+    },
+    {
+      name: "render",
+      values: runs.map((run) => getDuration(run.topDurations, "render")),
+    },
+  ];
+
+  const max = Math.max(1, ...series.flatMap(({ values }) => values));
+  const getX = (index: number): number =>
+    runs.length <= 1 ? 0 : (index / (runs.length - 1)) * CHART_WIDTH;
+  const getY = (value: number): number =>
+    CHART_HEIGHT - (value / max) * CHART_HEIGHT;
+
+  return (
+    <figure className="PerfChart TextSmall">
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+      >
+        {runs.map((run, index) =>
+          index > 0 && run.version !== runs[index - 1].version ? (
+            <line
+              key={`version-${index}`}
+              className="PerfChart-version"
+              x1={getX(index)}
+              x2={getX(index)}
+              y1={0}
+              y2={CHART_HEIGHT}
+            >
+              <title>{run.version}</title>
+            </line>
+          ) : null
+        )}
+        {series.map(({ name, values }) => (
+          <polyline
+            key={name}
+            className={`PerfChart-${name}`}
+            points={values
+              .map((value, index) => `${getX(index)},${getY(value)}`)
+              .join(" ")}
+          />
+        ))}
+      </svg>
+      <figcaption className="Spaced">
+        <span className="PerfChart-legend PerfChart-collect">collect</span>
+        <span className="PerfChart-legend PerfChart-render">render</span>
+        <span style={{ marginLeft: "auto" }}>max: {Math.round(max)} ms</span>
+      </figcaption>
+    </figure>
+  );
+}
+
+function formatPercentiles({ p50, p95 }: Percentiles): string {
+  return `${Math.round(p50)} / ${Math.round(p95)}`;
+}
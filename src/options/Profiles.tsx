@@ -0,0 +1,162 @@
+import { h, VNode } from "preact";
+import { useState } from "preact/hooks";
+
+import { DEFAULT_PROFILE, Profile, ProfileName } from "../shared/profiles";
+import ButtonWithPopup from "./ButtonWithPopup";
+
+export default function Profiles({
+  id,
+  profiles,
+  active,
+  onSwitch,
+  onCreate,
+  onDelete,
+  onSyncChange,
+}: {
+  id: string;
+  profiles: Array<Profile>;
+  active: string;
+  onSwitch: (name: string) => void;
+  onCreate: (profile: Profile, copyCurrent: boolean) => void;
+  onDelete: (name: string) => void;
+  onSyncChange: (name: string, sync: boolean) => void;
+}): VNode {
+  const [name, setName] = useState<string>("");
+  const [sync, setSync] = useState<boolean>(true);
+  const [copyCurrent, setCopyCurrent] = useState<boolean>(true);
+
+  const activeProfile = profiles.find((profile) => profile.name === active);
+  const isDefault = active === DEFAULT_PROFILE;
+  const trimmed = name.trim();
+  const error = getNameError(trimmed, profiles);
+
+  return (
+    <div className="SpacedVertical" style={{ maxWidth: 320 }}>
+      <select
+        id={id}
+        value={active}
+        onChange={(event) => {
+          onSwitch(event.currentTarget.value);
+        }}
+      >
+        {profiles.map((profile) => (
+          <option key={profile.name} value={profile.name}>
+            {profile.name}
+            {profile.sync ? "" : " (this device only)"}
+          </option>
+        ))}
+      </select>
+
+      <label className="Spaced Spaced--center TextSmall">
+        <input
+          type="checkbox"
+          checked={activeProfile === undefined || activeProfile.sync}
+          disabled={isDefault}
+          onChange={(event) => {
+            onSyncChange(active, event.currentTarget.checked);
+          }}
+        />
+        <span>
+          {isDefault
+            ? "The default profile is always synced"
+            : "Sync between devices"}
+        </span>
+      </label>
+
+      <div className="Spaced">
+        <ButtonWithPopup
+          style={{ flex: "1 1 50%" }}
+          buttonContent="New profile"
+          popupContent={({ close }) => (
+            <form
+              className="SpacedVertical"
+              onSubmit={(event) => {
+                event.preventDefault();
+                if (error === undefined) {
+                  onCreate({ name: trimmed, sync }, copyCurrent);
+                  setName("");
+                  close();
+                }
+              }}
+            >
+              <input
+                type="text"
+                placeholder="Name, such as laptop"
+                value={name}
+                onInput={(event) => {
+                  setName(event.currentTarget.value);
+                }}
+              />
+              <label className="Spaced Spaced--center">
+                <input
+                  type="checkbox"
+                  checked={copyCurrent}
+                  onChange={(event) => {
+                    setCopyCurrent(event.currentTarget.checked);
+                  }}
+                />
+                <span>Start from the current options</span>
+              </label>
+              <label className="Spaced Spaced--center">
+                <input
+                  type="checkbox"
+                  checked={sync}
+                  onChange={(event) => {
+                    setSync(event.currentTarget.checked);
+                  }}
+                />
+                <span>Sync between devices</span>
+              </label>
+              {trimmed !== "" && error !== undefined && (
+                <p className="Error">{error}</p>
+              )}
+              <button type="submit" disabled={error !== undefined}>
+                Create and switch
+              </button>
+            </form>
+          )}
+        />
+
+        <ButtonWithPopup
+          style={{ flex: "1 1 50%" }}
+          disabled={isDefault}
+          buttonContent="Delete"
+          popupContent={({ close }) => (
+            <div className="SpacedVertical">
+              <p>
+                <strong>
+                  This will delete the “{active}” profile
+                  {activeProfile?.sync === true ? " on all devices" : ""}.
+                </strong>
+              </p>
+              <button
+                type="button"
+                onClick={() => {
+                  onDelete(active);
+                  close();
+                }}
+              >
+                Yes, delete the profile
+              </button>
+            </div>
+          )}
+        />
+      </div>
+    </div>
+  );
+}
+
+function getNameError(
+  name: string,
+  profiles: Array<Profile>
+): string | undefined {
+  try {
+    ProfileName(name);
+  } catch (errorAny) {
+    const error = errorAny as Error;
+    return error.message;
+  }
+  return profiles.some((profile) => profile.name === name)
+    ? "There is already a profile with that name."
+    : undefined;
+}
@@ -12,13 +12,28 @@ import {
 
 import {
   CSS,
+  DarkThemeDetection,
+  HINT_THEMES,
+  HintTheme,
   MAX_Z_INDEX,
   SUGGESTION_FONT_SIZE,
   SUGGESTION_VIMIUM,
 } from "../shared/css";
+import { assignHintLabels, HintLabels } from "../shared/hints";
 import {
+  ACTIVATION_HISTORY_KEY,
+  ActivationHistory,
+  clearActivationHistory,
+  decodeActivationHistory,
+  loadActivationHistory,
+} from "../shared/history";
+import {
+  detectKeyboardLayout,
+  getUntypableChars,
   isModifierKey,
+  KEYBOARD_LAYOUTS,
   keyboardEventToKeypress,
+  KeyboardLayoutMatch,
   KeyboardMapping,
   KeyPair,
   Keypress,
@@ -33,11 +48,13 @@ import {
   decode,
   deepEqual,
   fireAndForget,
+  isMixedCase,
   log,
   LOG_LEVELS,
   LogLevel,
   normalizeUnsignedInt,
   Resets,
+  TextFilter,
 } from "../shared/main";
 import type {
   FromBackground,
@@ -45,17 +62,38 @@ import type {
   ToBackground,
 } from "../shared/messages";
 import {
+  applyImportChanges,
+  getHintChars,
+  ImportChange,
   importOptions,
   normalizeChars,
+  normalizeExtensionIds,
+  normalizePageWords,
+  OPTIONS_VERSION,
+  OPTIONS_VERSION_KEY,
   OptionsData,
   PartialOptions,
 } from "../shared/options";
-import type { TabsPerf } from "../shared/perf";
+import {
+  decodePerfHistory,
+  PERF_HISTORY_KEY,
+  PerfHistory,
+  perfHistoryToTrace,
+  TabsPerf,
+} from "../shared/perf";
+import { isProfileStorageKey } from "../shared/profiles";
+import { Recording } from "../shared/recording";
+import Activations from "./Activations";
 import Attachment from "./Attachment";
+import BrowserCommands, {
+  BrowserCommand,
+  getBrowserCommands,
+} from "./BrowserCommands";
 import ButtonWithPopup from "./ButtonWithPopup";
 import CSSPreview from "./CSSPreview";
 import Details from "./Details";
 import Field from "./Field";
+import ImportPreview from "./ImportPreview";
 import ImportSummary from "./ImportSummary";
 import KeyboardShortcut, { viewKey } from "./KeyboardShortcut";
 import KeyboardShortcuts, {
@@ -65,6 +103,10 @@ import KeyboardShortcuts, {
   isRecognized,
 } from "./KeyboardShortcuts";
 import Perf from "./Perf";
+import PerfTrends from "./PerfTrends";
+import Profiles from "./Profiles";
+import Replay from "./Replay";
+import SiteRules from "./SiteRules";
 import TestLinks from "./TestLinks";
 import TextInput from "./TextInput";
 import Tweakable, {
@@ -87,6 +129,34 @@ const CSS_SUGGESTIONS = [
   { name: "Vimium", value: SUGGESTION_VIMIUM },
 ];
 
+const TEXT_FILTERS: Array<{ name: string; value: TextFilter }> = [
+  { name: "Strict (default)", value: "Strict" },
+  { name: "Fuzzy", value: "Fuzzy" },
+];
+
+const DARK_THEME_DETECTIONS: Array<{
+  name: string;
+  value: DarkThemeDetection;
+}> = [
+  { name: "Never (default)", value: "Off" },
+  { name: "When the page background is dark", value: "PageBackground" },
+  { name: "When the system uses dark mode", value: "PrefersColorScheme" },
+];
+
+const HINT_LABELS_PRESETS: Array<{ name: string; value: HintLabels }> = [
+  { name: "Weighted (default)", value: "Weighted" },
+  { name: "Fixed length", value: "FixedLength" },
+  { name: "Reading order", value: "ReadingOrder" },
+  { name: "Numbers", value: "Numbers" },
+];
+
+// Pretend that there are this many elements on the page, with the first ones
+// being more important, when previewing hint labels.
+const HINT_LABELS_PREVIEW_WEIGHTS = Array.from(
+  { length: 30 },
+  (_, index) => 30 - index
+);
+
 const getLayoutMap =
   navigator.keyboard !== undefined && navigator.keyboard !== null
     ? navigator.keyboard.getLayoutMap.bind(navigator.keyboard)
@@ -116,6 +186,9 @@ type State = {
         numNotUpdated: number;
       }
     | undefined;
+  layoutDetect: Error | KeyboardLayoutMatch | undefined;
+  // The current keyboard layout, if the browser supports reading it.
+  layoutMap: Map<string, string> | undefined;
   capturedKeypressWithTimestamp:
     | {
         timestamp: number;
@@ -123,17 +196,45 @@ type State = {
       }
     | undefined;
   peek: boolean;
+  previewDark: boolean;
+  activationHistory: ActivationHistory;
+  expandedActivations: boolean;
   cssSuggestion: string;
   importData: {
     successCount: number | undefined;
     tweakableCount: number | undefined;
     errors: Array<string>;
   };
+  // Set while the user picks which changes of an import to apply.
+  importPreview:
+    | {
+        changes: Array<ImportChange>;
+        accepted: Array<boolean>;
+        tweakableData: Record<string, unknown>;
+      }
+    | undefined;
   perf: TabsPerf;
   expandedPerfTabIds: Array<string>;
   expandedPerf: boolean;
+  perfHistory: PerfHistory;
+  expandedPerfHistory: boolean;
   expandedDebug: boolean;
   localStorageCleared: Date | undefined;
+  isRecording: boolean;
+  // The tabs that can be recorded, most recently used first.
+  recordingTabs: Array<{ id: number; title: string }>;
+  recordingTabId: number | undefined;
+  replay:
+    | {
+        recording: Recording;
+        tabId: number;
+        position: number | undefined;
+        lastStep: string | undefined;
+        hintsState: string | undefined;
+      }
+    | undefined;
+  replayError: string | undefined;
+  browserCommands: Array<BrowserCommand>;
 };
 
 export default class OptionsProgram extends Component<Props, State> {
@@ -155,19 +256,33 @@ export default class OptionsProgram extends Component<Props, State> {
       lastKeypress: undefined,
     },
     keyboardDetect: undefined,
+    layoutDetect: undefined,
+    layoutMap: undefined,
     capturedKeypressWithTimestamp: undefined,
     peek: false,
+    previewDark: false,
+    activationHistory: {},
+    expandedActivations: false,
     cssSuggestion: CSS_SUGGESTIONS[0].value,
     importData: {
       successCount: undefined,
       tweakableCount: undefined,
       errors: [],
     },
+    importPreview: undefined,
     perf: {},
     expandedPerfTabIds: [],
     expandedPerf: false,
+    perfHistory: {},
+    expandedPerfHistory: false,
     expandedDebug: false,
     localStorageCleared: undefined,
+    isRecording: false,
+    recordingTabs: [],
+    recordingTabId: undefined,
+    replay: undefined,
+    replayError: undefined,
+    browserCommands: [],
   };
 
   start(): void {
@@ -178,6 +293,35 @@ export default class OptionsProgram extends Component<Props, State> {
         browser.runtime.onMessage,
         this.onMessage.bind(this),
         "OptionsProgram#onMessage"
+      ),
+      addListener(
+        browser.storage.onChanged,
+        (changes, areaName) => {
+          const historyChange = changes[ACTIVATION_HISTORY_KEY];
+          if (areaName === "local" && historyChange !== undefined) {
+            this.setActivationHistory(historyChange.newValue);
+          }
+          const perfHistoryChange = changes[PERF_HISTORY_KEY];
+          if (areaName === "local" && perfHistoryChange !== undefined) {
+            this.setPerfHistory(perfHistoryChange.newValue);
+          }
+        },
+        "OptionsProgram storage.onChanged listener"
+      )
+    );
+
+    this.resets.add(
+      // The browser-level shortcuts might have been changed in another tab.
+      addEventListener(
+        window,
+        "focus",
+        () => {
+          fireAndForget(
+            this.loadBrowserCommands(),
+            "OptionsProgram focus->loadBrowserCommands"
+          );
+        },
+        "OptionsProgram window focus listener"
       )
     );
 
@@ -195,6 +339,92 @@ export default class OptionsProgram extends Component<Props, State> {
     document.documentElement.classList.add(BROWSER);
 
     this.sendMessage({ type: "OptionsScriptAdded" });
+
+    if (getLayoutMap !== undefined) {
+      fireAndForget(
+        this.loadLayoutMap(),
+        "OptionsProgram#start->loadLayoutMap"
+      );
+    }
+
+    fireAndForget(
+      loadActivationHistory().then((history) => {
+        this.setState({ activationHistory: history });
+      }),
+      "OptionsProgram#start->loadActivationHistory"
+    );
+
+    fireAndForget(
+      browser.storage.local
+        .get(PERF_HISTORY_KEY)
+        .then(({ [PERF_HISTORY_KEY]: value }) => {
+          this.setPerfHistory(value);
+        }),
+      "OptionsProgram#start->loadPerfHistory"
+    );
+
+    fireAndForget(
+      this.loadBrowserCommands(),
+      "OptionsProgram#start->loadBrowserCommands"
+    );
+
+    fireAndForget(
+      this.loadRecordingTabs(),
+      "OptionsProgram#start->loadRecordingTabs"
+    );
+  }
+
+  async loadRecordingTabs(): Promise<void> {
+    const [tabs, currentTab] = await Promise.all([
+      browser.tabs.query({}),
+      browser.tabs.getCurrent(),
+    ]);
+    const recordingTabs = tabs
+      .filter((tab) => tab.id !== undefined && tab.id !== currentTab?.id)
+      .sort((a, b) => (b.lastAccessed ?? 0) - (a.lastAccessed ?? 0))
+      .map((tab) => ({
+        id: tab.id ?? -1,
+        title: tab.title ?? tab.url ?? String(tab.id),
+      }));
+    this.setState((state) => ({
+      recordingTabs,
+      // Default to the tab used just before coming to the options page.
+      recordingTabId: recordingTabs.some(
+        (tab) => tab.id === state.recordingTabId
+      )
+        ? state.recordingTabId
+        : recordingTabs[0]?.id,
+    }));
+  }
+
+  async loadBrowserCommands(): Promise<void> {
+    this.setState({ browserCommands: await getBrowserCommands() });
+  }
+
+  setActivationHistory(value: unknown): void {
+    try {
+      this.setState({ activationHistory: decodeActivationHistory(value) });
+    } catch (error) {
+      log(
+        "error",
+        "OptionsProgram#setActivationHistory",
+        "Failed to decode activation history.",
+        error
+      );
+    }
+  }
+
+  setPerfHistory(value: unknown): void {
+    try {
+      this.setState({ perfHistory: decodePerfHistory(value) });
+    } catch (error) {
+      log(
+        "error",
+        "OptionsProgram#setPerfHistory",
+        "Failed to decode perf history.",
+        error
+      );
+    }
   }
 
   stop(): void {
@@ -244,7 +474,8 @@ export default class OptionsProgram extends Component<Props, State> {
             errors: errorsHidden ? [] : message.options.errors,
           },
           customChars:
-            state.options === undefined
+            state.options === undefined ||
+            state.options.profile !== message.options.profile
               ? message.options.values.chars
               : state.customChars,
         }));
@@ -279,6 +510,32 @@ export default class OptionsProgram extends Component<Props, State> {
           }
         );
         break;
+
+      case "RecordingDone":
+        saveFile(
+          `${JSON.stringify(message.recording, undefined, 2)}\n`,
+          `${META_SLUG}-recording-${toISODateString(new Date())}.json`,
+          "application/json"
+        );
+        break;
+
+      case "RecordingState":
+        this.setState({ isRecording: message.isRecording });
+        break;
+
+      case "ReplayUpdate":
+        this.setState((state) => ({
+          replay:
+            state.replay === undefined
+              ? undefined
+              : {
+                  ...state.replay,
+                  position: message.position,
+                  lastStep: message.lastStep,
+                  hintsState: message.hintsState,
+                },
+        }));
+        break;
     }
   }
 
@@ -327,6 +584,8 @@ export default class OptionsProgram extends Component<Props, State> {
     });
   }
 
+  // Nothing is applied until the user has reviewed the changes – see
+  // `applyImport`.
   async importOptions(): Promise<void> {
     const { options: optionsData } = this.state;
     if (optionsData === undefined) {
@@ -339,29 +598,61 @@ export default class OptionsProgram extends Component<Props, State> {
       const [tweakableData, otherData] = partitionTweakable(
         multi({ object: (x) => x })(data)
       );
-      const {
-        options: newOptions,
-        successCount,
-        errors,
-      } = importOptions(otherData, options);
+      const { changes, errors } = importOptions(otherData, options);
       this.setState({
         importData: {
-          successCount,
-          tweakableCount: Object.keys(tweakableData).length,
+          successCount: undefined,
+          tweakableCount: undefined,
           errors,
         },
+        importPreview: {
+          changes,
+          accepted: changes.map(() => true),
+          tweakableData,
+        },
       });
-      if (newOptions !== undefined) {
-        this.saveOptions(newOptions);
+    } catch (errorAny) {
+      const error = errorAny as Error;
+      this.setState((state) => ({
+        importData: {
+          ...state.importData,
+          errors: [`The file is invalid: ${error.message}`],
+        },
+      }));
+    }
+  }
+
+  async applyImport(): Promise<void> {
+    const { options: optionsData, importPreview } = this.state;
+    if (optionsData === undefined || importPreview === undefined) {
+      return;
+    }
+    const { changes, accepted, tweakableData } = importPreview;
+    const acceptedChanges = changes.filter((_, index) => accepted[index]);
+    try {
+      if (acceptedChanges.length > 0) {
+        this.saveOptions(
+          applyImportChanges(optionsData.values, acceptedChanges)
+        );
       }
+      this.setState((state) => ({
+        importData: {
+          ...state.importData,
+          successCount: acceptedChanges.length,
+          tweakableCount: Object.keys(tweakableData).length,
+        },
+        importPreview: undefined,
+      }));
       await saveTweakable(tweakableData);
     } catch (errorAny) {
       const error = errorAny as Error;
       this.setState((state) => ({
         importData: {
           ...state.importData,
-          errors: [`The file is invalid: ${error.message}`],
+          successCount: 0,
+          errors: [...state.importData.errors, error.message],
         },
+        importPreview: undefined,
       }));
     }
   }
@@ -372,6 +663,7 @@ export default class OptionsProgram extends Component<Props, State> {
     const tweakableExport = getTweakableExport();
 
     const data = {
+      [OPTIONS_VERSION_KEY]: OPTIONS_VERSION,
       ...(optionsData !== undefined ? optionsData.raw : {}),
       ...tweakableExport,
     };
@@ -383,8 +675,41 @@ export default class OptionsProgram extends Component<Props, State> {
     );
   }
 
+  async loadRecording(): Promise<void> {
+    try {
+      const file = await selectFile("application/json");
+      const data = await readAsJson(file);
+      const recording = decode(Recording, data);
+      if (recording.entries.length === 0) {
+        throw new Error("The recording is empty.");
+      }
+      if (this.state.replay?.position !== undefined) {
+        this.sendMessage({ type: "StopReplay" });
+      }
+      this.setState({
+        replay: {
+          recording,
+          tabId: recording.entries[0].tabId,
+          position: undefined,
+          lastStep: undefined,
+          hintsState: undefined,
+        },
+        replayError: undefined,
+      });
+    } catch (errorAny) {
+      const error = errorAny as Error;
+      this.setState({
+        replayError: `The file is invalid: ${error.message}`,
+      });
+    }
+  }
+
   async resetLocalStorage(): Promise<void> {
-    await browser.storage.local.clear();
+    // Local-only profiles are options rather than cached data – keep them.
+    const items = await browser.storage.local.get();
+    await browser.storage.local.remove(
+      Object.keys(items).filter((key) => !isProfileStorageKey(key))
+    );
     this.setState({ localStorageCleared: new Date() });
   }
 
@@ -395,15 +720,29 @@ export default class OptionsProgram extends Component<Props, State> {
       customChars,
       keyTranslationsInput,
       keyboardDetect,
+      layoutDetect,
+      layoutMap,
       capturedKeypressWithTimestamp,
       peek,
+      activationHistory,
+      expandedActivations,
+      previewDark,
       cssSuggestion,
       importData,
+      importPreview,
       perf,
       expandedPerfTabIds,
       expandedPerf,
+      perfHistory,
+      expandedPerfHistory,
       expandedDebug,
       localStorageCleared,
+      isRecording,
+      recordingTabs,
+      recordingTabId,
+      replay,
+      replayError,
+      browserCommands,
     } = this.state;
 
     if (optionsData === undefined) {
@@ -422,10 +761,26 @@ export default class OptionsProgram extends Component<Props, State> {
       { name: "Colemak", value: "tnseriaoplfuwydhvmck" },
     ];
 
+    const hintChars = getHintChars(options);
+    const numLearnedSites = Object.keys(activationHistory).length;
+
+    // Without key translations, the hint chars are typed using the current
+    // layout of the OS – check against that if the browser can tell.
+    const unshiftedKeys = options.useKeyTranslations
+      ? Object.values(options.keyTranslations).map(([key]) => key)
+      : layoutMap !== undefined
+      ? Array.from(layoutMap.values())
+      : undefined;
+
+    const untypableChars =
+      unshiftedKeys === undefined
+        ? []
+        : getUntypableChars(hintChars, unshiftedKeys);
+
     const conflictingActions = getConflictingKeyboardActions(
       defaults.hintsKeyboardShortcuts,
       options.hintsKeyboardShortcuts,
-      options.chars
+      hintChars
     );
 
     const customIndex = charsPresets.length;
@@ -443,6 +798,10 @@ export default class OptionsProgram extends Component<Props, State> {
       defaults.keyTranslations
     );
 
+    const layoutIndex = KEYBOARD_LAYOUTS.findIndex((layout) =>
+      deepEqual(layout.keyTranslations, options.keyTranslations)
+    );
+
     const { lastKeypress } = keyTranslationsInput;
 
     return (
@@ -451,6 +810,7 @@ export default class OptionsProgram extends Component<Props, State> {
           <Field
             key="chars"
             id="chars"
+            connected
             label="Hint characters"
             description={
               <>
@@ -464,6 +824,12 @@ export default class OptionsProgram extends Component<Props, State> {
                       : {chars.join(", ")}
                     </p>
                   ))}
+                {untypableChars.length > 0 && (
+                  <p className="Error">
+                    Not on your keyboard layout (or needs modifiers):{" "}
+                    {untypableChars.join(" ")}
+                  </p>
+                )}
                 <p>
                   Use the characters you find the easiest to type. Put the best
                   ones further to the left. All <em>other</em> characters are
@@ -540,6 +906,106 @@ export default class OptionsProgram extends Component<Props, State> {
             )}
           />
 
+          <Field
+            key="hintLabels"
+            id="hintLabels"
+            connected
+            label="Hint labels"
+            description={
+              <p>
+                <em>Weighted</em> gives shorter hints to larger elements.{" "}
+                <em>Fixed length</em> makes all hints equally long.{" "}
+                <em>Reading order</em> gives the shortest hints to the elements
+                at the top. <em>Numbers</em> uses digits instead of the hint
+                characters, so that all letters filter by text – you can then
+                type the number of the highlighted hint or just press{" "}
+                <ActivateHighlightedKey
+                  mac={mac}
+                  mappings={options.hintsKeyboardShortcuts}
+                  defaultMappings={defaults.hintsKeyboardShortcuts}
+                />
+                .
+              </p>
+            }
+            changed={options.hintLabels !== defaults.hintLabels}
+            render={({ id }) => (
+              <div className="Spaced">
+                <select
+                  id={id}
+                  style={{ flex: "1 1 50%" }}
+                  value={options.hintLabels}
+                  onChange={(event) => {
+                    const { value } = event.currentTarget;
+                    try {
+                      const hintLabels = decode(HintLabels, value);
+                      this.saveOptions({ hintLabels });
+                    } catch (error) {
+                      log(
+                        "error",
+                        "OptionsProgram#render",
+                        "Failed to decode hintLabels.",
+                        error
+                      );
+                    }
+                  }}
+                >
+                  {HINT_LABELS_PRESETS.map(({ name, value }) => (
+                    <option key={value} value={value}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+
+                <Attachment label="Preview" style={{ flex: "1 1 50%" }}>
+                  <code className="TextSmall">
+                    {getHintLabelsPreview(options.hintLabels, hintChars)}
+                  </code>
+                </Attachment>
+              </div>
+            )}
+          />
+
+          <Field
+            key="textFilter"
+            id="textFilter"
+            label="Filtering by text"
+            description={
+              <p>
+                <em>Strict</em> matches elements whose text contain all the
+                words you type. <em>Fuzzy</em> also lets you skip characters –
+                “stngs” matches “Settings” – and highlights the best match. Both
+                ignore diacritics, so “oppna” matches “Öppna”.
+              </p>
+            }
+            changed={options.textFilter !== defaults.textFilter}
+            render={({ id }) => (
+              <select
+                id={id}
+                value={options.textFilter}
+                onChange={(event) => {
+                  const { value } = event.currentTarget;
+                  try {
+                    const textFilter = decode(TextFilter, value);
+                    this.saveOptions({ textFilter });
+                  } catch (error) {
+                    log(
+                      "error",
+                      "OptionsProgram#render",
+                      "Failed to decode textFilter.",
+                      error
+                    );
+                  }
+                }}
+              >
+                {TEXT_FILTERS.map(({ name, value }) => (
+                  <option key={value} value={value}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            )}
+          />
+
           <Field
             key="autoActivate"
             id="autoActivate"
@@ -615,6 +1081,61 @@ export default class OptionsProgram extends Component<Props, State> {
             )}
           />
 
+          <Field
+            key="adaptiveWeights"
+            id="adaptiveWeights"
+            label="Learn from activated hints"
+            description={
+              <p>
+                Remember which elements you activate on each site, and give them
+                shorter hints next time. Works best with <em>Weighted</em> hint
+                labels. The history is only stored on this device, and slowly
+                fades if you stop using an element.
+              </p>
+            }
+            changed={options.adaptiveWeights !== defaults.adaptiveWeights}
+            render={({ id }) => (
+              <div className="SpacedVertical">
+                <label className="Spaced Spaced--center">
+                  <input
+                    type="checkbox"
+                    id={id}
+                    checked={options.adaptiveWeights}
+                    onChange={(event) => {
+                      this.saveOptions({
+                        adaptiveWeights: event.currentTarget.checked,
+                      });
+                    }}
+                  />
+                  <span>Enabled</span>
+                </label>
+
+                <Details
+                  summary={
+                    numLearnedSites === 1
+                      ? "Learned elements (1 site)"
+                      : `Learned elements (${numLearnedSites} sites)`
+                  }
+                  open={expandedActivations}
+                  onChange={(newOpen) => {
+                    this.setState({ expandedActivations: newOpen });
+                  }}
+                >
+                  <Activations
+                    history={activationHistory}
+                    onClear={(origin) => {
+                      fireAndForget(
+                        clearActivationHistory(origin),
+                        "OptionsProgram#render->clearActivationHistory",
+                        origin
+                      );
+                    }}
+                  />
+                </Details>
+              </div>
+            )}
+          />
+
           <Field
             key="useKeyTranslations"
             id="useKeyTranslations"
@@ -871,13 +1392,44 @@ export default class OptionsProgram extends Component<Props, State> {
                             buttonContent="Detect"
                             popupContent={() => (
                               <div style={{ width: 320 }}>
-                                {keyboardDetect === undefined ? (
+                                {layoutDetect instanceof Error ? (
+                                  <div className="SpacedVertical Error">
+                                    <p>Failed to detect keyboard layout:</p>
+                                    <p>{layoutDetect.message}</p>
+                                  </div>
+                                ) : layoutDetect !== undefined ? (
+                                  <div className="SpacedVertical">
+                                    <p>
+                                      Switched to the closest preset:{" "}
+                                      <strong>
+                                        {layoutDetect.layout.name}
+                                      </strong>
+                                    </p>
+                                    <p>
+                                      Matching keys: {layoutDetect.matched}/
+                                      {layoutDetect.total}
+                                    </p>
+                                  </div>
+                                ) : keyboardDetect === undefined ? (
                                   <div className="SpacedVertical">
                                     <p>
                                       Your browser allows detecting{" "}
                                       <em>parts</em> of your <em>current</em>{" "}
-                                      keyboard layout.
+                                      keyboard layout. Either switch to the
+                                      closest preset, or update the translations
+                                      with the detected parts.
                                     </p>
+                                    <button
+                                      type="button"
+                                      onClick={() => {
+                                        fireAndForget(
+                                          this.detectKeyboardLayout(),
+                                          "OptionsProgram#render->detectKeyboardLayout"
+                                        );
+                                      }}
+                                    >
+                                      Use closest preset
+                                    </button>
                                     <button
                                       type="button"
                                       onClick={() => {
@@ -927,29 +1479,36 @@ export default class OptionsProgram extends Component<Props, State> {
                               if (!open) {
                                 this.setState({
                                   keyboardDetect: undefined,
+                                  layoutDetect: undefined,
                                 });
                               }
                             }}
                           />
                         )}
 
-                        {keyTranslationsChanged ? (
-                          <button
-                            type="button"
-                            onClick={() => {
-                              this.saveOptions({
-                                keyTranslations: defaults.keyTranslations,
-                              });
-                              if (this.keysTableRef.current !== null) {
-                                this.keysTableRef.current.scrollTop = 0;
-                              }
-                            }}
-                          >
-                            Reset to defaults (en-US QWERTY)
-                          </button>
-                        ) : (
-                          <em>Using defaults (en-US QWERTY)</em>
-                        )}
+                        <select
+                          value={layoutIndex}
+                          title="Key translations preset"
+                          onChange={(event) => {
+                            const layout =
+                              KEYBOARD_LAYOUTS[
+                                Number(event.currentTarget.value)
+                              ];
+                            if (layout !== undefined) {
+                              this.saveKeyTranslations(layout.keyTranslations);
+                            }
+                          }}
+                        >
+                          {KEYBOARD_LAYOUTS.map((layout, index) => (
+                            <option key={layout.name} value={index}>
+                              {layout.name}
+                              {index === 0 ? " (default)" : ""}
+                            </option>
+                          ))}
+                          {layoutIndex === -1 && (
+                            <option value={-1}>Custom</option>
+                          )}
+                        </select>
                       </div>
                     }
                     style={{ flex: "1 1 50%" }}
@@ -1054,6 +1613,23 @@ export default class OptionsProgram extends Component<Props, State> {
                   />{" "}
                   instead copies the text or link address of the element.
                 </p>
+                <p>
+                  For “
+                  {describeKeyboardAction("EnterHintsMode_SelectRange").name}
+                  ,” the first hint marks where the selection starts and the
+                  second where it ends. Hold{" "}
+                  <KeyboardShortcut
+                    mac={mac}
+                    shortcut={{ alt: !mac, ctrl: mac }}
+                  />{" "}
+                  while activating the second hint to also copy the selected
+                  text. The same goes for “
+                  {
+                    describeKeyboardAction("EnterHintsMode_ExtendSelection")
+                      .name
+                  }
+                  .”
+                </p>
               </>
             }
             chars=""
@@ -1068,6 +1644,67 @@ export default class OptionsProgram extends Component<Props, State> {
             onAddChange={this.onKeyboardShortcutAddChange}
           />
 
+          <Field
+            key="browserCommands"
+            id="browserCommands"
+            fullWidth
+            label="Browser-level shortcuts"
+            span
+            description={
+              <p>
+                The shortcuts above are in-page shortcuts: The page sees the
+                keypresses first, so they don’t work while the page is still
+                loading, or on pages that swallow keypresses. These
+                browser-level shortcuts work in those cases too, but are set in
+                the browser’s settings. They can’t be key sequences, and need a
+                modifier key. On pages where extensions aren’t allowed, such as
+                the browser’s own pages, they open the toolbar button popup
+                instead, which has a tab switcher.
+              </p>
+            }
+            changed={false}
+            render={() => (
+              <BrowserCommands
+                mac={mac}
+                commands={browserCommands}
+                mappings={options.normalKeyboardShortcuts}
+              />
+            )}
+          />
+
+          <Field
+            key="sequenceTimeout"
+            id="sequenceTimeout"
+            label="Key sequence timeout"
+            span
+            description={
+              <p>
+                Main keyboard shortcuts can also be key sequences, such as{" "}
+                <code>g f</code>. They are pressed one key at a time, and start
+                over if you wait longer than this between the keys. The keys
+                pressed so far are shown in the bottom right corner. Key
+                sequences never fire while typing in a text input.
+              </p>
+            }
+            changed={options.sequenceTimeout !== defaults.sequenceTimeout}
+            render={({ id }) => (
+              <div className="Spaced Spaced--center">
+                <TextInput
+                  id={id}
+                  style={{ flex: "1 1 50%" }}
+                  savedValue={options.sequenceTimeout.toString()}
+                  normalize={(value) =>
+                    normalizeUnsignedInt(value, defaults.sequenceTimeout)
+                  }
+                  save={(value) => {
+                    this.saveOptions({ sequenceTimeout: Number(value) });
+                  }}
+                />
+                <span style={{ flex: "1 1 50%" }}>milliseconds</span>
+              </div>
+            )}
+          />
+
           <KeyboardShortcuts
             key="hints"
             id="hints"
@@ -1075,7 +1712,7 @@ export default class OptionsProgram extends Component<Props, State> {
             mac={mac}
             useKeyTranslations={options.useKeyTranslations}
             name="Hints mode keyboard shortcuts"
-            chars={options.chars}
+            chars={hintChars}
             mappings={options.hintsKeyboardShortcuts}
             defaultMappings={defaults.hintsKeyboardShortcuts}
             capturedKeypressWithTimestamp={capturedKeypressWithTimestamp}
@@ -1087,13 +1724,219 @@ export default class OptionsProgram extends Component<Props, State> {
             onAddChange={this.onKeyboardShortcutAddChange}
           />
 
+          <Field
+            key="activateAllConfirmCount"
+            id="activateAllConfirmCount"
+            label="Ask before activating more than"
+            span
+            description={
+              <p>
+                “{describeKeyboardAction("ActivateAllMatching").name}” and “
+                {describeKeyboardAction("ActivateAllMatching_Click").name}”
+                activate every hint matching what you have typed so far. Links
+                to the same address are only opened once. When that is more
+                elements than this, you are asked first.
+              </p>
+            }
+            changed={
+              options.activateAllConfirmCount !==
+              defaults.activateAllConfirmCount
+            }
+            render={({ id }) => (
+              <div className="Spaced Spaced--center">
+                <TextInput
+                  id={id}
+                  style={{ flex: "1 1 50%" }}
+                  savedValue={options.activateAllConfirmCount.toString()}
+                  normalize={(value) =>
+                    normalizeUnsignedInt(
+                      value,
+                      defaults.activateAllConfirmCount
+                    )
+                  }
+                  save={(value) => {
+                    this.saveOptions({
+                      activateAllConfirmCount: Number(value),
+                    });
+                  }}
+                />
+                <span style={{ flex: "1 1 50%" }}>elements</span>
+              </div>
+            )}
+          />
+
+          <Field
+            key="pageWords"
+            id="pageWords"
+            label="Next and previous page"
+            span
+            description={
+              <p>
+                “{describeKeyboardAction("GoToNextPage").name}” and “
+                {describeKeyboardAction("GoToPreviousPage").name}” follow{" "}
+                <code>rel="next"</code> and <code>rel="prev"</code> links if the
+                page has them. Otherwise they click the visible link or button
+                best matching these words – one per line, earlier lines first.
+                Case and diacritics are ignored. Link text wins over labels,
+                titles and image alt texts, which win over class names. A number
+                after the current page number also counts.
+              </p>
+            }
+            changed={
+              !deepEqual(options.nextPageWords, defaults.nextPageWords) ||
+              !deepEqual(options.previousPageWords, defaults.previousPageWords)
+            }
+            render={() => (
+              <div className="Spaced">
+                {(
+                  [
+                    { key: "nextPageWords", label: "Next page" },
+                    { key: "previousPageWords", label: "Previous page" },
+                  ] as const
+                ).map(({ key, label }) => (
+                  <Attachment
+                    key={key}
+                    label={label}
+                    style={{ flex: "1 1 50%" }}
+                  >
+                    <TextInput
+                      textarea
+                      className="TextSmall"
+                      style={{ flexGrow: 1, height: 150 }}
+                      savedValue={options[key].join("\n")}
+                      normalize={(value) =>
+                        normalizePageWords(value, defaults[key]).join("\n")
+                      }
+                      save={(value) => {
+                        this.saveOptions({
+                          [key]: normalizePageWords(value, defaults[key]),
+                        });
+                      }}
+                    />
+                  </Attachment>
+                ))}
+              </div>
+            )}
+            onReset={() => {
+              this.saveOptions({
+                nextPageWords: defaults.nextPageWords,
+                previousPageWords: defaults.previousPageWords,
+              });
+            }}
+          />
+
+          <SiteRules
+            key="siteRules"
+            id="siteRules"
+            mac={mac}
+            options={options}
+            defaults={defaults}
+            capturedKeypressWithTimestamp={capturedKeypressWithTimestamp}
+            onChange={(siteRules) => {
+              this.saveOptions({ siteRules });
+            }}
+            onAddChange={this.onKeyboardShortcutAddChange}
+          />
+
           <Field
             key="css"
             id="css"
             label="Appearance"
-            changed={options.css !== defaults.css}
+            changed={
+              options.css !== defaults.css ||
+              options.hintTheme !== defaults.hintTheme ||
+              options.darkHintTheme !== defaults.darkHintTheme ||
+              options.darkThemeDetection !== defaults.darkThemeDetection
+            }
             render={({ id }) => (
               <div className="SpacedVertical">
+                <div className="Spaced">
+                  <Attachment label="Theme" style={{ flex: "1 1 33%" }}>
+                    <select
+                      value={options.hintTheme}
+                      onChange={(event) => {
+                        const { value } = event.currentTarget;
+                        try {
+                          const hintTheme = decode(HintTheme, value);
+                          this.saveOptions({ hintTheme });
+                        } catch (error) {
+                          log(
+                            "error",
+                            "OptionsProgram#render",
+                            "Failed to decode hintTheme.",
+                            error
+                          );
+                        }
+                      }}
+                    >
+                      {HINT_THEMES.map(({ name, value }) => (
+                        <option key={value} value={value}>
+                          {name}
+                        </option>
+                      ))}
+                    </select>
+                  </Attachment>
+
+                  <Attachment
+                    label="Use dark theme"
+                    style={{ flex: "1 1 33%" }}
+                  >
+                    <select
+                      value={options.darkThemeDetection}
+                      onChange={(event) => {
+                        const { value } = event.currentTarget;
+                        try {
+                          const darkThemeDetection = decode(
+                            DarkThemeDetection,
+                            value
+                          );
+                          this.saveOptions({ darkThemeDetection });
+                        } catch (error) {
+                          log(
+                            "error",
+                            "OptionsProgram#render",
+                            "Failed to decode darkThemeDetection.",
+                            error
+                          );
+                        }
+                      }}
+                    >
+                      {DARK_THEME_DETECTIONS.map(({ name, value }) => (
+                        <option key={value} value={value}>
+                          {name}
+                        </option>
+                      ))}
+                    </select>
+                  </Attachment>
+
+                  <Attachment label="Dark theme" style={{ flex: "1 1 33%" }}>
+                    <select
+                      value={options.darkHintTheme}
+                      disabled={options.darkThemeDetection === "Off"}
+                      onChange={(event) => {
+                        const { value } = event.currentTarget;
+                        try {
+                          const darkHintTheme = decode(HintTheme, value);
+                          this.saveOptions({ darkHintTheme });
+                        } catch (error) {
+                          log(
+                            "error",
+                            "OptionsProgram#render",
+                            "Failed to decode darkHintTheme.",
+                            error
+                          );
+                        }
+                      }}
+                    >
+                      {HINT_THEMES.map(({ name, value }) => (
+                        <option key={value} value={value}>
+                          {name}
+                        </option>
+                      ))}
+                    </select>
+                  </Attachment>
+                </div>
+
                 <div className="Spaced">
                   <TextInput
                     textarea
@@ -1153,6 +1996,12 @@ export default class OptionsProgram extends Component<Props, State> {
                   </Attachment>
                 </div>
 
+                <p className="TextSmall">
+                  The theme is applied first, so your CSS overrides can tweak
+                  it. The dark theme is used instead on dark pages, if enabled.
+                  Site rules can add CSS for specific sites as well.
+                </p>
+
                 <p className="TextSmall">
                   To the left, you can add or copy and paste CSS overrides to
                   change the look of things. To the right, you’ll find the base
@@ -1168,6 +2017,19 @@ export default class OptionsProgram extends Component<Props, State> {
                       className="Spaced Spaced--center"
                       style={{ marginLeft: "auto" }}
                     >
+                      <span>Dark page</span>
+                      <input
+                        type="checkbox"
+                        checked={previewDark}
+                        onChange={(event) => {
+                          this.setState({
+                            previewDark: event.currentTarget.checked,
+                          });
+                        }}
+                      />
+                    </label>
+
+                    <label className="Spaced Spaced--center">
                       <span>Peek</span>
                       <input
                         type="checkbox"
@@ -1180,15 +2042,94 @@ export default class OptionsProgram extends Component<Props, State> {
                   </div>
 
                   <CSSPreview
-                    chars={options.chars}
+                    chars={hintChars}
                     css={options.css}
                     peek={peek}
+                    theme={
+                      previewDark && options.darkThemeDetection !== "Off"
+                        ? options.darkHintTheme
+                        : options.hintTheme
+                    }
+                    dark={previewDark}
                   />
                 </div>
               </div>
             )}
           />
 
+          <Field
+            key="spreadHints"
+            id="spreadHints"
+            label="Spread out overlapping hints"
+            description={
+              <p>
+                When hints overlap, such as for small links close together, move
+                them apart a little so that all of them can be read. Moved hints
+                get a thin line to where they would have been. This takes a
+                little extra time on pages with many hints.
+              </p>
+            }
+            changed={options.spreadHints !== defaults.spreadHints}
+            render={({ id }) => (
+              <label className="Spaced Spaced--center">
+                <input
+                  type="checkbox"
+                  id={id}
+                  checked={options.spreadHints}
+                  onChange={(event) => {
+                    this.saveOptions({
+                      spreadHints: event.currentTarget.checked,
+                    });
+                  }}
+                />
+                <span>Enabled</span>
+              </label>
+            )}
+          />
+
+          <Field
+            key="externalExtensionIds"
+            id="externalExtensionIds"
+            label="Allowed extensions"
+            span
+            description={
+              <p>
+                Other extensions listed here (by ID, one per line) may enter
+                hints mode, list and activate hints, and get told when hints
+                mode exits. See the{" "}
+                <a
+                  href={`${META_HOMEPAGE}/blob/main/API.md`}
+                  target="_blank"
+                  rel="noreferrer"
+                >
+                  API documentation
+                </a>
+                . Only add extensions you trust.
+              </p>
+            }
+            changed={
+              !deepEqual(
+                options.externalExtensionIds,
+                defaults.externalExtensionIds
+              )
+            }
+            render={({ id }) => (
+              <TextInput
+                textarea
+                id={id}
+                className="TextSmall"
+                style={{ height: 100 }}
+                savedValue={options.externalExtensionIds.join("\n")}
+                normalize={(value) => normalizeExtensionIds(value).join("\n")}
+                save={(value) => {
+                  this.saveOptions({
+                    externalExtensionIds: normalizeExtensionIds(value),
+                  });
+                }}
+              />
+            )}
+          />
+
           <div className="SpacedVertical SpacedVertical--large">
             <Details
               summary="Performance"
@@ -1215,6 +2156,48 @@ export default class OptionsProgram extends Component<Props, State> {
                   this.setState({ perf: {} });
                 }}
               />
+
+              <Details
+                summary="History"
+                open={expandedPerfHistory}
+                onChange={(newOpen) => {
+                  this.setState({ expandedPerfHistory: newOpen });
+                }}
+              >
+                <div className="SpacedVertical">
+                  <label className="Spaced Spaced--center">
+                    <input
+                      type="checkbox"
+                      checked={options.recordPerfHistory}
+                      onChange={(event) => {
+                        this.saveOptions({
+                          recordPerfHistory: event.currentTarget.checked,
+                        });
+                      }}
+                    />
+                    <span>Record hints mode runs on every site</span>
+                  </label>
+
+                  <PerfTrends
+                    history={perfHistory}
+                    onExport={() => {
+                      saveFile(
+                        `${JSON.stringify(perfHistoryToTrace(perfHistory))}\n`,
+                        `${META_SLUG}-perf-trace-${toISODateString(
+                          new Date()
+                        )}.json`,
+                        "application/json"
+                      );
+                    }}
+                    onClear={() => {
+                      fireAndForget(
+                        browser.storage.local.remove(PERF_HISTORY_KEY),
+                        "OptionsProgram#render->clearPerfHistory"
+                      );
+                    }}
+                  />
+                </div>
+              </Details>
             </Details>
 
             <Details
@@ -1309,6 +2292,137 @@ export default class OptionsProgram extends Component<Props, State> {
                         this.saveOptions({ logLevel: defaults.logLevel });
                       }}
                     />
+
+                    <Field
+                      id="recording"
+                      label="Recording"
+                      changed={false}
+                      description={
+                        <p>
+                          Records what happens in the chosen tab while hinting,
+                          for attaching to bug reports. The recording is saved
+                          as a file when stopped. It contains the URLs and texts
+                          of the pages you hint in, so look through it before
+                          sharing.
+                        </p>
+                      }
+                      render={({ id }) => (
+                        <div className="Spaced Spaced--center">
+                          <select
+                            id={id}
+                            value={recordingTabId ?? ""}
+                            disabled={isRecording}
+                            style={{ flex: "1 1 50%", minWidth: 0 }}
+                            onFocus={() => {
+                              fireAndForget(
+                                this.loadRecordingTabs(),
+                                "OptionsProgram#render->loadRecordingTabs"
+                              );
+                            }}
+                            onChange={(event) => {
+                              this.setState({
+                                recordingTabId: Number(
+                                  event.currentTarget.value
+                                ),
+                              });
+                            }}
+                          >
+                            {recordingTabs.map((tab) => (
+                              <option key={tab.id} value={tab.id}>
+                                {tab.title}
+                              </option>
+                            ))}
+                          </select>
+                          <button
+                            type="button"
+                            disabled={
+                              !isRecording && recordingTabId === undefined
+                            }
+                            onClick={() => {
+                              if (isRecording) {
+                                this.sendMessage({ type: "StopRecording" });
+                              } else if (recordingTabId !== undefined) {
+                                this.sendMessage({
+                                  type: "StartRecording",
+                                  tabId: recordingTabId,
+                                });
+                              }
+                            }}
+                          >
+                            {isRecording ? "Stop and save" : "Start"}
+                          </button>
+                          {isRecording && <p>Recording…</p>}
+                        </div>
+                      )}
+                    />
+
+                    <Field
+                      id="replay"
+                      label="Replay"
+                      changed={false}
+                      description={
+                        <p>
+                          Steps through a recording in this tab, using the
+                          options from the recording. Hints are shown on top of
+                          this page but placed where they were in the recorded
+                          page.
+                        </p>
+                      }
+                      render={() => (
+                        <div className="SpacedVertical">
+                          <div className="Spaced Spaced--center">
+                            <button
+                              type="button"
+                              onClick={() => {
+                                fireAndForget(
+                                  this.loadRecording(),
+                                  "OptionsProgram#render->loadRecording"
+                                );
+                              }}
+                            >
+                              Load recording
+                            </button>
+                            {replayError !== undefined && <p>{replayError}</p>}
+                          </div>
+
+                          {replay !== undefined && (
+                            <Replay
+                              recording={replay.recording}
+                              tabId={replay.tabId}
+                              position={replay.position}
+                              lastStep={replay.lastStep}
+                              hintsState={replay.hintsState}
+                              onTabIdChange={(tabId) => {
+                                this.setState({
+                                  replay: { ...replay, tabId },
+                                });
+                              }}
+                              onStart={() => {
+                                this.sendMessage({
+                                  type: "StartReplay",
+                                  recording: replay.recording,
+                                  tabId: replay.tabId,
+                                });
+                              }}
+                              onStep={() => {
+                                this.sendMessage({ type: "StepReplay" });
+                              }}
+                              onStop={() => {
+                                this.sendMessage({ type: "StopReplay" });
+                                this.setState({
+                                  replay: {
+                                    ...replay,
+                                    position: undefined,
+                                    lastStep: undefined,
+                                    hintsState: undefined,
+                                  },
+                                });
+                              }}
+                            />
+                          )}
+                        </div>
+                      )}
+                    />
                   </>
                 }
               />
@@ -1382,6 +2496,45 @@ export default class OptionsProgram extends Component<Props, State> {
             </div>
           </div>
 
+          <div className="Paper">
+            <Field
+              id="profile"
+              label="Profile"
+              span
+              changed={false}
+              description={
+                <p>
+                  Profiles are separate sets of options. Synced profiles are
+                  available on all your devices, but which one is active is
+                  chosen per device.
+                </p>
+              }
+              render={({ id }) => (
+                <Profiles
+                  id={id}
+                  profiles={optionsData.profiles}
+                  active={optionsData.profile}
+                  onSwitch={(name) => {
+                    this.sendMessage({ type: "SwitchProfile", name });
+                  }}
+                  onCreate={(profile, copyCurrent) => {
+                    this.sendMessage({
+                      type: "CreateProfile",
+                      profile,
+                      copyCurrent,
+                    });
+                  }}
+                  onDelete={(name) => {
+                    this.sendMessage({ type: "DeleteProfile", name });
+                  }}
+                  onSyncChange={(name, sync) => {
+                    this.sendMessage({ type: "SetProfileSync", name, sync });
+                  }}
+                />
+              )}
+            />
+          </div>
+
           <div className="Paper">
             <Field
               id="allOptions"
@@ -1403,17 +2556,45 @@ export default class OptionsProgram extends Component<Props, State> {
                     </button>
                     <div className="SpacedVertical" style={{ flex: "1 1 50%" }}>
                       <ButtonWithPopup
-                        open={importData.successCount !== undefined}
+                        open={
+                          importPreview !== undefined ||
+                          importData.successCount !== undefined
+                        }
                         buttonContent="Import"
-                        popupContent={() => (
-                          <div style={{ whiteSpace: "nowrap" }}>
-                            <ImportSummary
-                              success={importData.successCount ?? 0}
-                              tweakable={importData.tweakableCount ?? 0}
+                        popupContent={() =>
+                          importPreview !== undefined ? (
+                            <ImportPreview
+                              changes={importPreview.changes}
+                              accepted={importPreview.accepted}
+                              tweakable={
+                                Object.keys(importPreview.tweakableData).length
+                              }
                               errors={importData.errors.length}
+                              onAcceptedChange={(accepted) => {
+                                this.setState({
+                                  importPreview: { ...importPreview, accepted },
+                                });
+                              }}
+                              onApply={() => {
+                                fireAndForget(
+                                  this.applyImport(),
+                                  "OptionsProgram#render->applyImport"
+                                );
+                              }}
+                              onCancel={() => {
+                                this.setState({ importPreview: undefined });
+                              }}
                             />
-                          </div>
-                        )}
+                          ) : (
+                            <div style={{ whiteSpace: "nowrap" }}>
+                              <ImportSummary
+                                success={importData.successCount ?? 0}
+                                tweakable={importData.tweakableCount ?? 0}
+                                errors={importData.errors.length}
+                              />
+                            </div>
+                          )
+                        }
                         onOpenChange={(open) => {
                           if (open) {
                             fireAndForget(
@@ -1426,6 +2607,7 @@ export default class OptionsProgram extends Component<Props, State> {
                                 ...importData,
                                 successCount: undefined,
                               },
+                              importPreview: undefined,
                             });
                           }
                         }}
@@ -1439,7 +2621,8 @@ export default class OptionsProgram extends Component<Props, State> {
                       <div className="SpacedVertical">
                         <p>
                           <strong>
-                            This will reset all options to their defaults.
+                            This will reset all options of the “
+                            {optionsData.profile}” profile to their defaults.
                           </strong>
                         </p>
                         <button
@@ -1578,6 +2761,41 @@ export default class OptionsProgram extends Component<Props, State> {
     }
   }
 
+  async loadLayoutMap(): Promise<void> {
+    if (getLayoutMap !== undefined) {
+      this.setState({ layoutMap: new Map(await getLayoutMap()) });
+    }
+  }
+
+  saveKeyTranslations(keyTranslations: KeyTranslations): void {
+    this.saveOptions({ keyTranslations });
+    if (this.keysTableRef.current !== null) {
+      this.keysTableRef.current.scrollTop = 0;
+    }
+  }
+
+  async detectKeyboardLayout(): Promise<void> {
+    try {
+      if (getLayoutMap === undefined) {
+        throw new Error(
+          "Your browser does not support detecting your keyboard layout after all."
+        );
+      }
+
+      const layoutMap = new Map(await getLayoutMap());
+      const match = detectKeyboardLayout(layoutMap);
+      if (match === undefined) {
+        throw new Error("None of the presets resemble your keyboard layout.");
+      }
+
+      this.saveKeyTranslations(match.layout.keyTranslations);
+      this.setState({ layoutDetect: match, layoutMap });
+    } catch (errorAny) {
+      const error = errorAny as Error;
+      this.setState({ layoutDetect: error });
+    }
+  }
+
   async detectKeyboard(): Promise<void> {
     try {
       if (getLayoutMap === undefined) {
@@ -1771,3 +2989,16 @@ function toISODateString(date: Date): string {
     date.getDate()
   )}`;
 }
+
+function getHintLabelsPreview(hintLabels: HintLabels, chars: string): string {
+  const labels: Array<string> = [];
+  assignHintLabels(
+    HINT_LABELS_PREVIEW_WEIGHTS.map((weight, index) => ({ weight, index })),
+    hintLabels,
+    chars,
+    (item, label) => {
+      labels[item.index] = isMixedCase(chars) ? label : label.toUpperCase();
+    }
+  );
+  return labels.join(" ");
+}
@@ -0,0 +1,109 @@
+import { h, VNode } from "preact";
+
+import { classlist } from "../shared/main";
+import { describeRecordedMessage, Recording } from "../shared/recording";
+
+export default function Replay({
+  recording,
+  tabId,
+  position,
+  lastStep,
+  hintsState,
+  onTabIdChange,
+  onStart,
+  onStep,
+  onStop,
+}: {
+  recording: Recording;
+  tabId: number;
+  // `undefined` means that the replay hasn’t been started.
+  position: number | undefined;
+  lastStep: string | undefined;
+  hintsState: string | undefined;
+  onTabIdChange: (tabId: number) => void;
+  onStart: () => void;
+  onStep: () => void;
+  onStop: () => void;
+}): VNode {
+  const tabIds = Array.from(
+    new Set(recording.entries.map((entry) => entry.tabId))
+  );
+  const entries = recording.entries.filter((entry) => entry.tabId === tabId);
+  const isStarted = position !== undefined;
+  const isDone = position !== undefined && position >= entries.length;
+
+  return (
+    <div className="SpacedVertical">
+      <div className="Spaced Spaced--center">
+        <select
+          value={tabId}
+          disabled={isStarted}
+          onChange={(event) => {
+            onTabIdChange(Number(event.currentTarget.value));
+          }}
+        >
+          {tabIds.map((id) => (
+            <option key={id} value={id}>
+              Tab #{id} (
+              {recording.entries.filter((entry) => entry.tabId === id).length}{" "}
+              entries)
+            </option>
+          ))}
+        </select>
+
+        {isStarted ? (
+          <button
+            type="button"
+            onClick={() => {
+              onStop();
+            }}
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            type="button"
+            disabled={entries.length === 0}
+            onClick={() => {
+              onStart();
+            }}
+          >
+            Start
+          </button>
+        )}
+
+        <button
+          type="button"
+          disabled={!isStarted || isDone}
+          onClick={() => {
+            onStep();
+          }}
+        >
+          Step
+        </button>
+      </div>
+
+      {isStarted && (
+        <div className="TextSmall">
+          <p>Last step: {lastStep ?? "(none)"}</p>
+          <p>Hints state: {hintsState ?? "(unknown)"}</p>
+        </div>
+      )}
+
+      <ol className="ReplayEntries TextSmall">
+        {entries.map((entry, index) => (
+          <li
+            key={index}
+            className={classlist({
+              "is-done": position !== undefined && index < position,
+            })}
+            title={entry.url}
+          >
+            {(entry.time / 1000).toFixed(3)} s – frame {entry.frameId} –{" "}
+            {describeRecordedMessage(entry.message)}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
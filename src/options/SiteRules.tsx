@@ -0,0 +1,482 @@
+import { Component, Fragment, h, VNode } from "preact";
+
+import type { ElementType } from "../shared/hints";
+import type { KeyboardMapping, NormalizedKeypress } from "../shared/keyboard";
+import {
+  applySiteRule,
+  getHintChars,
+  isValidSelector,
+  makeShortcutOverrides,
+  normalizeChars,
+  Options,
+  SiteRule,
+} from "../shared/options";
+import Attachment from "./Attachment";
+import Details from "./Details";
+import Field from "./Field";
+import KeyboardShortcuts from "./KeyboardShortcuts";
+import TextInput from "./TextInput";
+
+type Props = {
+  id: string;
+  mac: boolean;
+  options: Options;
+  defaults: Options;
+  capturedKeypressWithTimestamp:
+    | {
+        timestamp: number;
+        keypress: NormalizedKeypress;
+      }
+    | undefined;
+  onChange: (siteRules: Array<SiteRule>) => void;
+  onAddChange: (isOpen: boolean) => void;
+};
+
+type State = {
+  expandedIndex: number | undefined;
+  expandedSelectorsIndex: number | undefined;
+  expandedCSSIndex: number | undefined;
+};
+
+const INCLUDE_TYPES: Array<{ name: string; value: ElementType }> = [
+  { name: "Link", value: "link" },
+  { name: "Clickable", value: "clickable" },
+  { name: "Text input", value: "textarea" },
+  { name: "Selectable only", value: "selectable" },
+];
+
+export default class SiteRules extends Component<Props, State> {
+  override state: State = {
+    expandedIndex: undefined,
+    expandedSelectorsIndex: undefined,
+    expandedCSSIndex: undefined,
+  };
+
+  updateRule(index: number, partialRule: Partial<SiteRule>): void {
+    const { options, onChange } = this.props;
+    onChange(
+      options.siteRules.map((siteRule, index2) =>
+        index2 === index ? { ...siteRule, ...partialRule } : siteRule
+      )
+    );
+  }
+
+  renderSelectors(index: number, siteRule: SiteRule): VNode {
+    const { expandedSelectorsIndex } = this.state;
+    const { includeSelectors, excludeSelectors } = siteRule;
+    const numSelectors = includeSelectors.length + excludeSelectors.length;
+
+    return (
+      <Details
+        summary={`Elements (${
+          numSelectors === 0 ? "no selectors" : `${numSelectors} selectors`
+        })`}
+        open={expandedSelectorsIndex === index}
+        onChange={(newOpen) => {
+          this.setState({
+            expandedSelectorsIndex: newOpen ? index : undefined,
+          });
+        }}
+      >
+        <div className="SpacedVertical">
+          <p className="TextSmall">
+            Elements matching these CSS selectors always get hints (if visible)
+            – or never get hints. “Never” wins if both match. Applies in all
+            frames of the page.
+          </p>
+
+          <div className="SpacedVertical">
+            <p className="TinyLabel">Always hint</p>
+            {includeSelectors.map((item, selectorIndex) => (
+              <div key={selectorIndex} className="Spaced Spaced--center">
+                <TextInput
+                  style={{ flexGrow: 1 }}
+                  savedValue={item.selector}
+                  normalize={(value) => normalizeSelector(value, item.selector)}
+                  save={(value) => {
+                    this.updateRule(index, {
+                      includeSelectors: includeSelectors.map((item2, index2) =>
+                        index2 === selectorIndex
+                          ? { ...item2, selector: value }
+                          : item2
+                      ),
+                    });
+                  }}
+                />
+                <select
+                  value={item.type}
+                  onChange={(event) => {
+                    const { value } = event.currentTarget;
+                    this.updateRule(index, {
+                      includeSelectors: includeSelectors.map((item2, index2) =>
+                        index2 === selectorIndex
+                          ? {
+                              ...item2,
+                              type:
+                                INCLUDE_TYPES.find(
+                                  (type) => type.value === value
+                                )?.value ?? item2.type,
+                            }
+                          : item2
+                      ),
+                    });
+                  }}
+                >
+                  {INCLUDE_TYPES.map(({ name, value }) => (
+                    <option key={value} value={value}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+                <RemoveButton
+                  title="Remove this selector"
+                  onClick={() => {
+                    this.updateRule(index, {
+                      includeSelectors: includeSelectors.filter(
+                        (_, index2) => index2 !== selectorIndex
+                      ),
+                    });
+                  }}
+                />
+              </div>
+            ))}
+            <div>
+              <button
+                type="button"
+                onClick={() => {
+                  this.updateRule(index, {
+                    includeSelectors: includeSelectors.concat({
+                      selector: ".example",
+                      type: "clickable",
+                    }),
+                  });
+                }}
+              >
+                Add selector
+              </button>
+            </div>
+          </div>
+
+          <div className="SpacedVertical">
+            <p className="TinyLabel">Never hint</p>
+            {excludeSelectors.map((selector, selectorIndex) => (
+              <div key={selectorIndex} className="Spaced Spaced--center">
+                <TextInput
+                  style={{ flexGrow: 1 }}
+                  savedValue={selector}
+                  normalize={(value) => normalizeSelector(value, selector)}
+                  save={(value) => {
+                    this.updateRule(index, {
+                      excludeSelectors: excludeSelectors.map(
+                        (selector2, index2) =>
+                          index2 === selectorIndex ? value : selector2
+                      ),
+                    });
+                  }}
+                />
+                <RemoveButton
+                  title="Remove this selector"
+                  onClick={() => {
+                    this.updateRule(index, {
+                      excludeSelectors: excludeSelectors.filter(
+                        (_, index2) => index2 !== selectorIndex
+                      ),
+                    });
+                  }}
+                />
+              </div>
+            ))}
+            <div>
+              <button
+                type="button"
+                onClick={() => {
+                  this.updateRule(index, {
+                    excludeSelectors: excludeSelectors.concat(".example"),
+                  });
+                }}
+              >
+                Add selector
+              </button>
+            </div>
+          </div>
+        </div>
+      </Details>
+    );
+  }
+
+  renderCSS(index: number, siteRule: SiteRule): VNode {
+    const { expandedCSSIndex } = this.state;
+
+    return (
+      <Details
+        summary={`Appearance (${
+          siteRule.css.trim() === "" ? "same as main" : "extra CSS"
+        })`}
+        open={expandedCSSIndex === index}
+        onChange={(newOpen) => {
+          this.setState({
+            expandedCSSIndex: newOpen ? index : undefined,
+          });
+        }}
+      >
+        <div className="SpacedVertical">
+          <p className="TextSmall">
+            CSS applied after the main CSS (see “Appearance” below), for pages
+            where the hints are hard to see.
+          </p>
+          <TextInput
+            textarea
+            className="TextSmall"
+            placeholder="Write or copy and paste CSS overrides here…"
+            style={{ height: 150 }}
+            savedValue={siteRule.css}
+            save={(value) => {
+              this.updateRule(index, { css: value });
+            }}
+          />
+        </div>
+      </Details>
+    );
+  }
+
+  render(): VNode {
+    const {
+      id,
+      mac,
+      options,
+      defaults,
+      capturedKeypressWithTimestamp,
+      onChange,
+      onAddChange,
+    } = this.props;
+    const { expandedIndex } = this.state;
+
+    return (
+      <Field
+        id={id}
+        fullWidth
+        label="Site rules"
+        span
+        changed={options.siteRules.length > 0}
+        description={
+          <p>
+            Use <code>*</code> in URL patterns to match anything, such as{" "}
+            <code>*://mail.example.com/*</code>. The first matching rule is
+            used. A rule can disable Link Hints completely (letting the page’s
+            own keyboard shortcuts win), use other hint characters, add and
+            remove keyboard shortcuts, choose which elements get hints using CSS
+            selectors, or add CSS. The toolbar button shows when a rule is in
+            effect.
+          </p>
+        }
+        render={() => (
+          <div className="SpacedVertical">
+            {options.siteRules.map((siteRule, index) => {
+              const siteOptions = applySiteRule(options, {
+                ...siteRule,
+                // Show the shortcuts even if the rule disables Link Hints, so
+                // that they are kept when enabling again.
+                disabled: false,
+              });
+              const saveShortcuts = (
+                key: "hintsKeyboardShortcuts" | "normalKeyboardShortcuts",
+                mappings: Array<KeyboardMapping>
+              ): void => {
+                this.updateRule(index, {
+                  [key]: makeShortcutOverrides(options[key], mappings),
+                });
+              };
+              const numOverrides =
+                Object.keys(siteRule.normalKeyboardShortcuts).length +
+                Object.keys(siteRule.hintsKeyboardShortcuts).length;
+
+              return (
+                <div key={index} className="SpacedVertical">
+                  <div className="Spaced Spaced--center">
+                    <Attachment label="URL pattern" style={{ flex: "1 1 50%" }}>
+                      <TextInput
+                        style={{ flexGrow: 1 }}
+                        savedValue={siteRule.pattern}
+                        normalize={(value) =>
+                          value.replace(/\s/g, "") === ""
+                            ? siteRule.pattern
+                            : value.replace(/\s/g, "")
+                        }
+                        save={(value) => {
+                          this.updateRule(index, { pattern: value });
+                        }}
+                      />
+                    </Attachment>
+
+                    <Attachment
+                      label="Hint characters"
+                      style={{ flex: "1 1 25%" }}
+                    >
+                      <TextInput
+                        style={{ flexGrow: 1 }}
+                        placeholder={options.chars}
+                        disabled={siteRule.disabled}
+                        savedValue={siteRule.chars}
+                        normalize={(value) =>
+                          value.trim() === ""
+                            ? ""
+                            : normalizeChars(value, options.chars)
+                        }
+                        save={(value) => {
+                          this.updateRule(index, { chars: value });
+                        }}
+                      />
+                    </Attachment>
+
+                    <label className="Spaced Spaced--center">
+                      <input
+                        type="checkbox"
+                        checked={siteRule.disabled}
+                        onChange={(event) => {
+                          this.updateRule(index, {
+                            disabled: event.currentTarget.checked,
+                          });
+                        }}
+                      />
+                      <span>Disable</span>
+                    </label>
+
+                    <RemoveButton
+                      title="Remove this site rule"
+                      onClick={() => {
+                        onChange(
+                          options.siteRules.filter(
+                            (_, index2) => index2 !== index
+                          )
+                        );
+                        this.setState({
+                          expandedIndex: undefined,
+                          expandedSelectorsIndex: undefined,
+                          expandedCSSIndex: undefined,
+                        });
+                      }}
+                    />
+                  </div>
+
+                  {!siteRule.disabled && (
+                    <Details
+                      summary={`Keyboard shortcuts (${
+                        numOverrides === 0
+                          ? "same as main"
+                          : `${numOverrides} changed`
+                      })`}
+                      open={expandedIndex === index}
+                      onChange={(newOpen) => {
+                        this.setState({
+                          expandedIndex: newOpen ? index : undefined,
+                        });
+                      }}
+                    >
+                      <>
+                        <KeyboardShortcuts
+                          id={`${id}-${index}-normal`}
+                          mode="Normal"
+                          mac={mac}
+                          useKeyTranslations={options.useKeyTranslations}
+                          name="Main keyboard shortcuts"
+                          chars=""
+                          mappings={siteOptions.normalKeyboardShortcuts}
+                          defaultMappings={defaults.normalKeyboardShortcuts}
+                          capturedKeypressWithTimestamp={
+                            capturedKeypressWithTimestamp
+                          }
+                          onChange={(newMappings) => {
+                            saveShortcuts(
+                              "normalKeyboardShortcuts",
+                              newMappings
+                            );
+                          }}
+                          onAddChange={onAddChange}
+                        />
+
+                        <KeyboardShortcuts
+                          id={`${id}-${index}-hints`}
+                          mode="Hints"
+                          mac={mac}
+                          useKeyTranslations={options.useKeyTranslations}
+                          name="Hints mode keyboard shortcuts"
+                          chars={getHintChars(siteOptions)}
+                          mappings={siteOptions.hintsKeyboardShortcuts}
+                          defaultMappings={defaults.hintsKeyboardShortcuts}
+                          capturedKeypressWithTimestamp={
+                            capturedKeypressWithTimestamp
+                          }
+                          onChange={(newMappings) => {
+                            saveShortcuts(
+                              "hintsKeyboardShortcuts",
+                              newMappings
+                            );
+                          }}
+                          onAddChange={onAddChange}
+                        />
+                      </>
+                    </Details>
+                  )}
+
+                  {!siteRule.disabled && this.renderSelectors(index, siteRule)}
+
+                  {!siteRule.disabled && this.renderCSS(index, siteRule)}
+                </div>
+              );
+            })}
+
+            <div>
+              <button
+                type="button"
+                onClick={() => {
+                  onChange(
+                    options.siteRules.concat({
+                      pattern: "*://example.com/*",
+                      disabled: false,
+                      chars: "",
+                      normalKeyboardShortcuts: {},
+                      hintsKeyboardShortcuts: {},
+                      includeSelectors: [],
+                      excludeSelectors: [],
+                      css: "",
+                    })
+                  );
+                }}
+              >
+                Add site rule
+              </button>
+            </div>
+          </div>
+        )}
+        onReset={() => {
+          onChange(defaults.siteRules);
+        }}
+      />
+    );
+  }
+}
+
+function RemoveButton({
+  title,
+  onClick,
+}: {
+  title: string;
+  onClick: () => void;
+}): VNode {
+  return (
+    <button
+      type="button"
+      title={title}
+      className="RemoveButton"
+      onClick={onClick}
+    >
+      ×
+    </button>
+  );
+}
+
+// Keep the previous selector until a valid one has been typed.
+function normalizeSelector(value: string, previous: string): string {
+  const trimmed = value.trim();
+  return isValidSelector(trimmed) ? trimmed : previous;
+}
@@ -1,12 +1,24 @@
-import { addListener, fireAndForget, log, Resets } from "../shared/main";
+import {
+  addListener,
+  fireAndForget,
+  HOST_PERMISSIONS,
+  log,
+  Resets,
+  TextFilter,
+} from "../shared/main";
 import type {
   FromBackground,
   FromPopup,
   ToBackground,
+  ToPopup,
 } from "../shared/messages";
+import type { SiteRule } from "../shared/options";
+import type { Profile } from "../shared/profiles";
+import { matchesTab, SwitchableTab, TabAction } from "../shared/tabs";
 import { h } from "./static-preact";
 
 const CONTAINER_ID = "container";
+const TAB_FILTER_ID = "tabFilter";
 
 export default class PopupProgram {
   debugInfo = "Debug info was never loaded.";
@@ -68,12 +80,41 @@ export default class PopupProgram {
     switch (message.type) {
       case "Init":
         log.level = message.logLevel;
-        this.render({ isEnabled: message.isEnabled });
+        this.render({
+          isEnabled: message.isEnabled,
+          siteRule: message.siteRule,
+          profile: message.profile,
+          profiles: message.profiles,
+          hasOptionsErrors: message.hasOptionsErrors,
+          hasHostPermission: message.hasHostPermission,
+          tabSwitcher: message.tabSwitcher,
+        });
         break;
     }
   }
 
-  render({ isEnabled }: { isEnabled: boolean }): void {
+  render({
+    isEnabled,
+    siteRule,
+    profile,
+    profiles,
+    hasOptionsErrors,
+    hasHostPermission,
+    tabSwitcher,
+  }: {
+    isEnabled: boolean;
+    siteRule: SiteRule | undefined;
+    profile: string;
+    profiles: Array<Profile>;
+    hasOptionsErrors: boolean;
+    hasHostPermission: boolean;
+    tabSwitcher: ToPopup["tabSwitcher"];
+  }): void {
+    // Keep the tab filter when re-rendering after closing or moving a tab.
+    const previousFilter = document.getElementById(TAB_FILTER_ID);
+    const filter =
+      previousFilter instanceof HTMLInputElement ? previousFilter.value : "";
+
     const previous = document.getElementById(CONTAINER_ID);
 
     if (previous !== null) {
@@ -87,6 +128,20 @@ export default class PopupProgram {
         error !== undefined ? error.message : "An unknown error ocurred.";
     }
 
+    const profileSelect = (
+      <select id="profile" className="browser-style" />
+    ) as HTMLSelectElement;
+
+    for (const { name } of profiles) {
+      profileSelect.append(<option value={name}>{name}</option>);
+    }
+
+    profileSelect.value = profile;
+
+    profileSelect.onchange = () => {
+      this.sendMessage({ type: "SwitchProfile", name: profileSelect.value });
+    };
+
     const container = (
       <div id={CONTAINER_ID} className="Container">
         <div>
@@ -101,12 +156,68 @@ export default class PopupProgram {
           </p>
         </div>
 
-        {!isEnabled && (
+        {!hasHostPermission && (
+          <p>
+            <strong>
+              {META_NAME} needs access to all websites to show hints.
+            </strong>{" "}
+            <button
+              type="button"
+              className="browser-style"
+              onClick={() => {
+                // The popup might close while the browser asks for the
+                // permission. The background script takes care of running
+                // the content scripts in open tabs once it is granted.
+                browser.permissions
+                  .request({ origins: HOST_PERMISSIONS })
+                  .then((granted) => {
+                    if (granted) {
+                      this.sendMessage({ type: "PopupScriptAdded" });
+                    }
+                  })
+                  .catch((error: Error) => {
+                    showError(error);
+                  });
+              }}
+            >
+              Allow access
+            </button>
+          </p>
+        )}
+
+        {hasHostPermission && !isEnabled && (
           <p>
             <strong>Browser extensions are not allowed on this page.</strong>
           </p>
         )}
 
+        {tabSwitcher !== undefined &&
+          this.renderTabSwitcher(tabSwitcher, filter)}
+
+        {isEnabled && siteRule !== undefined && (
+          <p>
+            {siteRule.disabled ? (
+              <strong>Disabled on this page by a site rule:</strong>
+            ) : (
+              "Site rule in effect:"
+            )}{" "}
+            <code>{siteRule.pattern}</code>
+          </p>
+        )}
+
+        {profiles.length > 1 && (
+          <p>
+            <label for="profile">Profile:</label> {profileSelect}
+          </p>
+        )}
+
+        {hasOptionsErrors && (
+          <p className="Error">
+            Some of your options could not be read. See the options page for
+            details.
+          </p>
+        )}
+
         <p className="Buttons">
           <button
             type="button"
@@ -148,6 +259,100 @@ export default class PopupProgram {
     );
 
     document.body.append(container);
+    document.getElementById(TAB_FILTER_ID)?.focus();
+  }
+
+  // The tab switcher can’t be shown in pages where content scripts aren’t
+  // allowed, so it is shown here instead.
+  renderTabSwitcher(
+    {
+      tabs,
+      textFilter,
+    }: {
+      tabs: Array<SwitchableTab>;
+      textFilter: TextFilter;
+    },
+    filter: string
+  ): HTMLElement {
+    const performTabAction = (action: TabAction, tab: SwitchableTab): void => {
+      this.sendMessage({ type: "PerformTabAction", action, tabId: tab.id });
+    };
+
+    const list = <ul className="Tabs" />;
+
+    const input = (
+      <input
+        type="search"
+        id={TAB_FILTER_ID}
+        className="browser-style"
+        placeholder="Filter tabs"
+        value={filter}
+      />
+    ) as HTMLInputElement;
+
+    const getMatchingTabs = (): Array<SwitchableTab> =>
+      tabs.filter((tab) => matchesTab(tab, input.value, textFilter));
+
+    const renderList = (): void => {
+      list.replaceChildren(
+        ...getMatchingTabs().map((tab) => (
+          <li className={tab.current ? "Tab is-current" : "Tab"}>
+            <button
+              type="button"
+              className="Tab-title"
+              title={tab.url}
+              onClick={() => {
+                performTabAction("Activate", tab);
+              }}
+            >
+              {tab.favIconUrl !== undefined && (
+                <img className="Tab-icon" src={tab.favIconUrl} alt="" />
+              )}
+              {tab.title === "" ? tab.url : tab.title}
+            </button>
+            {!tab.current && (
+              <button
+                type="button"
+                title="Move next to the current tab"
+                onClick={() => {
+                  performTabAction("Move", tab);
+                }}
+              >
+                Move
+              </button>
+            )}
+            <button
+              type="button"
+              title="Close tab"
+              onClick={() => {
+                performTabAction("Close", tab);
+              }}
+            >
+              Close
+            </button>
+          </li>
+        ))
+      );
+    };
+
+    input.oninput = renderList;
+    input.onkeydown = (event) => {
+      if (event.key === "Enter") {
+        const [first] = getMatchingTabs();
+        if (first !== undefined) {
+          performTabAction("Activate", first);
+        }
+      }
+    };
+
+    renderList();
+
+    return (
+      <div>
+        {input}
+        {list}
+      </div>
+    );
   }
 }
 
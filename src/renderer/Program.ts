@@ -1,10 +1,15 @@
 import {
   CONTAINER_STYLES,
   CSS,
+  CURRENT_TAB_CLASS,
+  DarkThemeDetection,
+  getThemeCSS,
   HAS_MATCHED_CHARS_CLASS,
   HIDDEN_CLASS,
   HIGHLIGHTED_HINT_CLASS,
   HINT_CLASS,
+  HintTheme,
+  LEADER_LINE_CLASS,
   MATCHED_CHARS_CLASS,
   MAX_Z_INDEX,
   MIN_Z_INDEX,
@@ -14,6 +19,13 @@ import {
   SHRUGGIE,
   SHRUGGIE_CLASS,
   STATUS_CLASS,
+  STATUS_MATCHED_TEXT_CLASS,
+  STATUS_TEXT_CLASS,
+  TAB_CLASS,
+  TAB_ICON_CLASS,
+  TAB_SWITCHER_CLASS,
+  TAB_SWITCHER_HEADING_CLASS,
+  TAB_TITLE_CLASS,
   TEXT_RECT_CLASS,
 } from "../shared/css";
 import type {
@@ -21,16 +33,19 @@ import type {
   HintMeasurements,
   HintUpdate,
 } from "../shared/hints";
+import { serializeShortcut, SingleShortcut } from "../shared/keyboard";
 import {
   addEventListener,
   addListener,
   Box,
   CONTAINER_ID,
+  deepEqual,
   fireAndForget,
   getViewport,
   log,
   Resets,
   setStyles,
+  TextSegment,
 } from "../shared/main";
 import type {
   FromBackground,
@@ -38,6 +53,7 @@ import type {
   ToBackground,
 } from "../shared/messages";
 import { TimeTracker } from "../shared/perf";
+import type { SwitchableTab, TabAction } from "../shared/tabs";
 import { tweakable, unsignedInt } from "../shared/tweakable";
 import { applyStyles, parseCSS, Rule } from "./css";
 
@@ -47,10 +63,25 @@ type HintSize = {
   height: number;
 };
 
+type Offset = {
+  x: number;
+  y: number;
+};
+
+// Rects bucketed by the grid cells they touch, so that finding overlapping
+// hints does not mean comparing every hint with every other hint.
+type RectGrid = Map<string, Array<ClientRect>>;
+
 export const t = {
   MAX_IMMEDIATE_HINT_MOVEMENTS: unsignedInt(50),
+  // How far (in pixels) overlapping hints may be nudged with `spreadHints`.
+  MAX_HINT_SPREAD_DISTANCE: unsignedInt(40),
+  // How many spots to try per hint before giving up and leaving it in place.
+  MAX_HINT_SPREAD_ATTEMPTS: unsignedInt(20),
 };
 
+const GRID_CELL_SIZE = 100; // px
+
 export const tMeta = tweakable("Renderer", t);
 
 export default class RendererProgram {
@@ -58,6 +89,10 @@ export default class RendererProgram {
 
   rects = new Map<HTMLElement, ClientRect>();
 
+  leaderLines: Array<HTMLElement> = [];
+
+  spreadHints = false;
+
   enteredText = "";
 
   resets = new Resets();
@@ -68,6 +103,17 @@ export default class RendererProgram {
 
   statusText: Text;
 
+  statusHighlightedElement: HTMLElement;
+
+  highlightedText: Array<TextSegment> = [];
+
+  // Shown in the status while there is no entered text, such as the chosen
+  // copy format.
+  statusNote = "";
+
+  // Whether the container only shows a pending key sequence (no hints).
+  showsPendingSequence = false;
+
   hintSize: HintSize;
 
   container: {
@@ -86,6 +132,20 @@ export default class RendererProgram {
     parsed: undefined,
   };
 
+  // What makes up `css.text`. The theme is picked just before rendering, since
+  // the page might have been changed to dark mode since the last time.
+  cssParts: {
+    user: string;
+    hintTheme: HintTheme;
+    darkHintTheme: HintTheme;
+    darkThemeDetection: DarkThemeDetection;
+  } = {
+    user: "",
+    hintTheme: "Default",
+    darkHintTheme: "Default",
+    darkThemeDetection: "Off",
+  };
+
   constructor() {
     this.shruggieElement = createHintElement(SHRUGGIE);
     this.shruggieElement.classList.add(SHRUGGIE_CLASS);
@@ -101,6 +161,8 @@ export default class RendererProgram {
     this.statusElement.classList.add(STATUS_CLASS);
     this.statusText = document.createTextNode("");
     this.statusElement.append(this.statusText);
+    this.statusHighlightedElement = document.createElement("span");
+    this.statusHighlightedElement.classList.add(STATUS_TEXT_CLASS);
     setStyles(this.statusElement, {
       position: "absolute",
       "z-index": MAX_Z_INDEX.toString(),
@@ -232,20 +294,17 @@ export default class RendererProgram {
     log("log", "RendererProgram#onMessage", message.type, message);
 
     switch (message.type) {
-      case "StateSync": {
-        const newCSS = `${CSS}\n\n${message.css}`;
-        const changedCSS = this.css.text !== newCSS;
-        this.css.text = newCSS;
+      case "StateSync":
+        this.cssParts = {
+          user: message.css,
+          hintTheme: message.hintTheme,
+          darkHintTheme: message.darkHintTheme,
+          darkThemeDetection: message.darkThemeDetection,
+        };
+        this.spreadHints = message.spreadHints;
         log.level = message.logLevel;
-        if (
-          BROWSER === "firefox" &&
-          this.css.parsed !== undefined &&
-          changedCSS
-        ) {
-          this.css.parsed = parseCSS(this.css.text);
-        }
+        this.updateCSS();
         break;
-      }
 
       case "Render":
         fireAndForget(
@@ -256,7 +315,11 @@ export default class RendererProgram {
         break;
 
       case "UpdateHints":
-        this.updateHints(message.updates, message.enteredText);
+        this.updateHints(
+          message.updates,
+          message.enteredText,
+          message.highlightedText
+        );
         break;
 
       case "RemoveShruggie":
@@ -267,6 +330,23 @@ export default class RendererProgram {
         this.rotateHints({ forward: message.forward });
         break;
 
+      case "RenderPendingSequence":
+        this.renderPendingSequence(message.sequence);
+        break;
+
+      case "RenderStatusNote":
+        this.statusNote = message.note;
+        this.setStatus(this.enteredText, this.highlightedText);
+        break;
+
+      case "RenderMediaControls":
+        this.renderMediaControls(message.status);
+        break;
+
+      case "RenderTabSwitcher":
+        this.renderTabSwitcher(message);
+        break;
+
       case "RenderTextRects":
         this.unrenderTextRects(message.frameId);
         this.renderTextRects(message.rects, message.frameId);
@@ -393,58 +473,9 @@ export default class RendererProgram {
     time.start("prepare");
     this.unrender();
     const viewport = getViewport();
-    const { root, shadowRoot } = this.container;
-
-    // `style.sheet` below is only available after the container has been
-    // inserted into the DOM.
-    if (document.documentElement !== null) {
-      document.documentElement.append(this.container.element);
-      // Put the container in the top level. This is needed to stay on top of
-      // popovers and modal dialogs. See:
-      // https://developer.mozilla.org/en-US/docs/Glossary/Top_layer
-      // `.showPopover()` shipped in Firefox 125, released 2024-04-16.
-      // At the time of writing (2024-09-03) that was a bit too recent to be
-      // required, so we use `?.` to only call it if available.
-      // @ts-expect-error This method is missing in the TypeScript version we use.
-      // eslint-disable-next-line @typescript-eslint/no-unsafe-call
-      this.container.element.showPopover?.();
-    }
-
-    if (this.css.parsed === undefined) {
-      // Inserting a `<style>` element is way faster than doing
-      // `element.style.setProperty()` on every element.
-      const style = document.createElement("style");
-      style.append(document.createTextNode(this.css.text));
-      shadowRoot.append(style);
-
-      // Chrome nicely allows inline styles inserted by an extension regardless
-      // of CSP. I look forward to the day Firefox works this way too. See
-      // <bugzil.la/1267027>. If `style.sheet` is null in Firefox (it is always
-      // available in Chrome), it means that the style tag was blocked by CSP.
-      // Unlike the case with the script tag in ElementManager.ts, a data URI
-      // (`<link rel="stylesheet" href="data:text/css;utf8,...">`) does not work
-      // here (it causes no CSP warning in the console, but no styles are
-      // applied). The only workaround I could find was manually parsing and
-      // applying the CSS.
-      if (BROWSER === "firefox" && style.sheet === null) {
-        log("log", "RendererProgram#render", "parsing CSS due to CSP");
-        this.css.parsed = parseCSS(this.css.text);
-      }
-    }
-
-    shadowRoot.append(root);
-    this.maybeApplyStyles(root);
-    this.updateContainer(viewport);
+    const { root } = this.container;
+    this.mountContainer(viewport);
     this.updateHintSize();
-    this.container.intersectionObserver.observe(this.container.element);
-    this.container.resets.add(
-      addEventListener(
-        window,
-        "resize",
-        this.onResize.bind(this),
-        "RendererProgram#onResize"
-      )
-    );
 
     if (elements.length === 0) {
       root.append(this.shruggieElement);
@@ -526,11 +557,14 @@ export default class RendererProgram {
     await wait0();
     const moved = this.moveInsideViewport(restElements, viewport);
 
+    time.start("spread");
+    const spread = this.spreadHints && this.spreadOutHints(viewport);
+
     // Only measure the next paint if we actually moved any hints inside the
-    // viewport during the second round. This makes the performance report more
-    // relevant.
+    // viewport (or apart) during the second round. This makes the performance
+    // report more relevant.
     time.start("waitUntilBeforeNextRepaint 2");
-    if (moved) {
+    if (moved || spread) {
       await waitUntilBeforeNextRepaint();
     }
 
@@ -544,7 +578,193 @@ export default class RendererProgram {
     });
   }
 
-  updateHints(updates: Array<HintUpdate>, enteredText: string): void {
+  updateCSS(): void {
+    const { user, hintTheme, darkHintTheme, darkThemeDetection } =
+      this.cssParts;
+    const theme = shouldUseDarkTheme(darkThemeDetection)
+      ? darkHintTheme
+      : hintTheme;
+    const newCSS = [CSS, getThemeCSS(theme), user]
+      .filter((part) => part.trim() !== "")
+      .join("\n\n");
+    const changedCSS = this.css.text !== newCSS;
+    this.css.text = newCSS;
+    if (BROWSER === "firefox" && this.css.parsed !== undefined && changedCSS) {
+      this.css.parsed = parseCSS(this.css.text);
+    }
+  }
+
+  mountContainer(viewport: Box): void {
+    const { root, shadowRoot } = this.container;
+    this.updateCSS();
+
+    // `style.sheet` below is only available after the container has been
+    // inserted into the DOM.
+    if (document.documentElement !== null) {
+      document.documentElement.append(this.container.element);
+      // Put the container in the top level. This is needed to stay on top of
+      // popovers and modal dialogs. See:
+      // https://developer.mozilla.org/en-US/docs/Glossary/Top_layer
+      // `.showPopover()` shipped in Firefox 125, released 2024-04-16.
+      // At the time of writing (2024-09-03) that was a bit too recent to be
+      // required, so we use `?.` to only call it if available.
+      // @ts-expect-error This method is missing in the TypeScript version we use.
+      // eslint-disable-next-line @typescript-eslint/no-unsafe-call
+      this.container.element.showPopover?.();
+    }
+
+    if (this.css.parsed === undefined) {
+      // Inserting a `<style>` element is way faster than doing
+      // `element.style.setProperty()` on every element.
+      const style = document.createElement("style");
+      style.append(document.createTextNode(this.css.text));
+      shadowRoot.append(style);
+
+      // Chrome nicely allows inline styles inserted by an extension regardless
+      // of CSP. I look forward to the day Firefox works this way too. See
+      // <bugzil.la/1267027>. If `style.sheet` is null in Firefox (it is always
+      // available in Chrome), it means that the style tag was blocked by CSP.
+      // Unlike the case with the script tag in ElementManager.ts, a data URI
+      // (`<link rel="stylesheet" href="data:text/css;utf8,...">`) does not work
+      // here (it causes no CSP warning in the console, but no styles are
+      // applied). The only workaround I could find was manually parsing and
+      // applying the CSS.
+      if (BROWSER === "firefox" && style.sheet === null) {
+        log("log", "RendererProgram#mountContainer", "parsing CSS due to CSP");
+        this.css.parsed = parseCSS(this.css.text);
+      }
+    }
+
+    shadowRoot.append(root);
+    this.maybeApplyStyles(root);
+    this.updateContainer(viewport);
+    this.container.intersectionObserver.observe(this.container.element);
+    this.container.resets.add(
+      addEventListener(
+        window,
+        "resize",
+        this.onResize.bind(this),
+        "RendererProgram#onResize"
+      )
+    );
+  }
+
+  // Outside hints mode, show the keys pressed so far of a key sequence in the
+  // status area, so it’s clear that the page is waiting for more keys.
+  renderPendingSequence(sequence: Array<SingleShortcut>): void {
+    if (sequence.length === 0) {
+      if (this.showsPendingSequence) {
+        this.unrender();
+      }
+      return;
+    }
+
+    // Never replace hints that are being shown.
+    if (this.container.element.isConnected && !this.showsPendingSequence) {
+      return;
+    }
+
+    this.unrender();
+    this.mountContainer(getViewport());
+    this.showsPendingSequence = true;
+    this.setStatus(sequence.map(serializeShortcut).join(" "));
+    this.container.root.append(this.statusElement);
+    this.maybeApplyStyles(this.statusElement);
+  }
+
+  // While controlling a media element, only the status is shown.
+  renderMediaControls(status: string): void {
+    this.unrender();
+    this.mountContainer(getViewport());
+    this.setStatus(status);
+    this.container.root.append(this.statusElement);
+    this.maybeApplyStyles(this.statusElement);
+  }
+
+  // The tab switcher is small, so it is re-created from scratch on every
+  // update.
+  renderTabSwitcher({
+    tabs,
+    enteredChars,
+    enteredText,
+    action,
+  }: {
+    tabs: Array<SwitchableTab>;
+    enteredChars: string;
+    enteredText: string;
+    action: TabAction;
+  }): void {
+    this.unrender();
+    this.mountContainer(getViewport());
+
+    const list = document.createElement("div");
+    list.classList.add(TAB_SWITCHER_CLASS);
+    setStyles(list, {
+      position: "absolute",
+      top: "10%",
+      left: "50%",
+      transform: "translateX(-50%)",
+    });
+
+    const heading = document.createElement("div");
+    heading.classList.add(TAB_SWITCHER_HEADING_CLASS);
+    heading.append(document.createTextNode(TAB_ACTION_HEADINGS[action]));
+    list.append(heading);
+
+    for (const tab of tabs) {
+      if (!tab.hidden && tab.hint.startsWith(enteredChars)) {
+        list.append(this.createTabElement(tab, enteredChars));
+      }
+    }
+
+    this.container.root.append(list);
+    this.setStatus(enteredText);
+    this.container.root.append(this.statusElement);
+
+    for (const element of list.querySelectorAll<HTMLElement>("*")) {
+      this.maybeApplyStyles(element);
+    }
+    this.maybeApplyStyles(list);
+  }
+
+  createTabElement(tab: SwitchableTab, enteredChars: string): HTMLElement {
+    const element = document.createElement("div");
+    element.classList.add(TAB_CLASS);
+    element.classList.toggle(CURRENT_TAB_CLASS, tab.current);
+
+    const hint = createHintElement(tab.hint.slice(enteredChars.length));
+    if (enteredChars !== "") {
+      const matched = document.createElement("span");
+      matched.className = MATCHED_CHARS_CLASS;
+      matched.append(document.createTextNode(enteredChars));
+      hint.classList.add(HAS_MATCHED_CHARS_CLASS);
+      hint.prepend(matched);
+    }
+
+    // The page might not allow loading the favicon due to CSP. Then the image
+    // is just empty.
+    const icon = document.createElement("img");
+    icon.classList.add(TAB_ICON_CLASS);
+    icon.alt = "";
+    if (tab.favIconUrl !== undefined) {
+      icon.src = tab.favIconUrl;
+    }
+
+    const title = document.createElement("span");
+    title.classList.add(TAB_TITLE_CLASS);
+    title.append(
+      document.createTextNode(tab.title === "" ? tab.url : tab.title)
+    );
+
+    element.append(hint, icon, title);
+    return element;
+  }
+
+  updateHints(
+    updates: Array<HintUpdate>,
+    enteredText: string,
+    highlightedText: Array<TextSegment>
+  ): void {
     const viewport = getViewport();
     const maybeNeedsMoveInsideViewport = [];
 
@@ -648,12 +868,18 @@ export default class RendererProgram {
 
     this.maybeApplyStyles(this.shruggieElement);
 
-    this.setStatus(enteredText.replace(/\s/g, "\u00a0"));
+    this.setStatus(enteredText, highlightedText);
 
     if (maybeNeedsMoveInsideViewport.length > 0) {
       this.moveInsideViewport(maybeNeedsMoveInsideViewport, viewport);
     }
 
+    // Hidden and moved hints free up and take spots, so spread out all hints
+    // again.
+    if (this.spreadHints && updates.length > 0) {
+      this.spreadOutHints(viewport);
+    }
+
     this.enteredText = enteredText;
   }
 
@@ -693,11 +919,45 @@ export default class RendererProgram {
     }
   }
 
-  setStatus(status: string): void {
+  setStatus(
+    passedStatus: string,
+    highlightedText: Array<TextSegment> = []
+  ): void {
+    const status = (
+      passedStatus === "" ? this.statusNote : passedStatus
+    ).replace(/\s/g, "\u00a0");
+
     // Avoid unnecessary flashing in the devtools when inspecting the hints.
     if (this.statusText.data !== status) {
       this.statusText.data = status;
     }
+
+    if (!deepEqual(highlightedText, this.highlightedText)) {
+      this.highlightedText = highlightedText;
+      this.statusHighlightedElement.replaceChildren(
+        ...highlightedText.map((segment) => {
+          const text = document.createTextNode(
+            segment.text.replace(/\s/g, "\u00a0")
+          );
+          if (!segment.matched) {
+            return text;
+          }
+          const matched = document.createElement("span");
+          matched.className = STATUS_MATCHED_TEXT_CLASS;
+          matched.append(text);
+          this.maybeApplyStyles(matched);
+          return matched;
+        })
+      );
+      // Keep the status `:empty` when there’s no text.
+      if (highlightedText.length === 0) {
+        this.statusHighlightedElement.remove();
+      } else {
+        this.statusElement.append(this.statusHighlightedElement);
+      }
+    }
+
+    this.maybeApplyStyles(this.statusHighlightedElement);
     this.maybeApplyStyles(this.statusElement);
   }
 
@@ -709,11 +969,14 @@ export default class RendererProgram {
 
   unrender(): void {
     this.hints = [];
+    this.leaderLines = [];
+    this.showsPendingSequence = false;
     this.rects.clear();
 
     this.container.element.remove();
     this.container.root.classList.remove(PEEK_CLASS);
     this.maybeApplyStyles(this.shruggieElement);
+    this.statusNote = "";
     this.setStatus("");
     this.container.root.replaceChildren();
     this.container.shadowRoot.replaceChildren();
@@ -750,9 +1013,10 @@ export default class RendererProgram {
     let moved = false;
 
     for (const element of elements) {
-      // Reset `margin-right` before measuring. That’s the easiest way, and does
-      // not seem to be expensive performance wise.
-      setStyles(element, { "margin-right": "" });
+      // Reset `margin-right` (and the offset from `spreadOutHints`) before
+      // measuring. That’s the easiest way, and does not seem to be expensive
+      // performance wise.
+      setStyles(element, { "margin-right": "", transform: "" });
 
       const rect = element.getBoundingClientRect();
 
@@ -780,6 +1044,204 @@ export default class RendererProgram {
 
     return moved;
   }
+
+  // With the `spreadHints` option, hints overlapping other hints are nudged to
+  // a free spot nearby, still inside the viewport. Hints with higher `z-index`
+  // are placed first and keep their spots. A leader line ties each moved hint
+  // to where it would have been, next to its element. Hints without a free spot
+  // close enough are left where they are.
+  spreadOutHints(viewport: Box): boolean {
+    for (const line of this.leaderLines) {
+      line.remove();
+    }
+    this.leaderLines = [];
+
+    // Measure where the hints would be without being spread out.
+    for (const element of this.hints) {
+      setStyles(element, { transform: "" });
+    }
+
+    const entries = this.hints
+      .filter((element) => !element.classList.contains(HIDDEN_CLASS))
+      .map((element) => ({ element, rect: element.getBoundingClientRect() }))
+      .sort(
+        (a, b) =>
+          Number(b.element.style.zIndex) - Number(a.element.style.zIndex)
+      );
+
+    const grid: RectGrid = new Map();
+    let moved = false;
+
+    for (const { element, rect } of entries) {
+      const offset = findFreeOffset(rect, grid, viewport);
+
+      if (offset === undefined || (offset.x === 0 && offset.y === 0)) {
+        addToGrid(grid, rect);
+        // Save the rect for `rotateHints`.
+        this.rects.set(element, rect);
+        continue;
+      }
+
+      const newRect = translateRect(rect, offset);
+      addToGrid(grid, newRect);
+      this.rects.set(element, newRect);
+      // The offsets are whole pixels, so the hints don’t get blurry (see
+      // `getHintPosition`).
+      setStyles(element, {
+        transform: `translate(${offset.x}px, ${offset.y}px)`,
+      });
+      this.maybeApplyStyles(element);
+      this.renderLeaderLine(element, rect, newRect);
+      moved = true;
+    }
+
+    return moved;
+  }
+
+  renderLeaderLine(
+    element: HTMLElement,
+    from: ClientRect,
+    to: ClientRect
+  ): void {
+    // Hints are aligned to their element by the left or right edge, and are
+    // vertically centered (see `getHintPosition`). Draw the line from there to
+    // the closest point of the moved hint.
+    const x1 = element.style.left === "" ? from.right : from.left;
+    const y1 = from.top + from.height / 2;
+    const x2 = Math.max(to.left, Math.min(to.right, x1));
+    const y2 = Math.max(to.top, Math.min(to.bottom, y1));
+    const length = Math.hypot(x2 - x1, y2 - y1);
+
+    if (length < 1) {
+      return;
+    }
+
+    const line = document.createElement("div");
+    line.className = LEADER_LINE_CLASS;
+    setStyles(line, {
+      position: "absolute",
+      left: `${x1}px`,
+      top: `${y1}px`,
+      width: `${length}px`,
+      height: "0",
+      "transform-origin": "0 0",
+      transform: `rotate(${Math.atan2(y2 - y1, x2 - x1)}rad)`,
+      // Below all hints.
+      "z-index": MIN_Z_INDEX.toString(),
+    });
+    this.container.root.append(line);
+    this.leaderLines.push(line);
+    this.maybeApplyStyles(line);
+  }
+}
+
+// Find the closest offset that moves `rect` to a spot inside the viewport
+// where it does not overlap any rect in `grid`. The spots tried are just next
+// to the rects in the way, closest first.
+function findFreeOffset(
+  rect: ClientRect,
+  grid: RectGrid,
+  viewport: Box
+): Offset | undefined {
+  const seen = new Set<string>();
+  const queue: Array<Offset> = [{ x: 0, y: 0 }];
+
+  for (
+    let attempt = 0;
+    attempt < t.MAX_HINT_SPREAD_ATTEMPTS.value && queue.length > 0;
+    attempt += 1
+  ) {
+    queue.sort((a, b) => Math.hypot(a.x, a.y) - Math.hypot(b.x, b.y));
+    const offset = queue.shift() as Offset;
+    const movedRect = translateRect(rect, offset);
+    const isStart = offset.x === 0 && offset.y === 0;
+
+    if (!isStart && !isInsideViewport(movedRect, viewport)) {
+      continue;
+    }
+
+    const inTheWay = getNearbyRects(grid, movedRect).filter((other) =>
+      overlaps(other, movedRect)
+    );
+
+    if (inTheWay.length === 0) {
+      return offset;
+    }
+
+    for (const other of inTheWay) {
+      const nextOffsets = [
+        { x: 0, y: Math.ceil(other.bottom - movedRect.top) + 1 },
+        { x: 0, y: Math.floor(other.top - movedRect.bottom) - 1 },
+        { x: Math.ceil(other.right - movedRect.left) + 1, y: 0 },
+        { x: Math.floor(other.left - movedRect.right) - 1, y: 0 },
+      ].map((delta) => ({ x: offset.x + delta.x, y: offset.y + delta.y }));
+
+      for (const nextOffset of nextOffsets) {
+        const key = `${nextOffset.x},${nextOffset.y}`;
+        if (
+          !seen.has(key) &&
+          Math.hypot(nextOffset.x, nextOffset.y) <=
+            t.MAX_HINT_SPREAD_DISTANCE.value
+        ) {
+          seen.add(key);
+          queue.push(nextOffset);
+        }
+      }
+    }
+  }
+
+  return undefined;
+}
+
+function translateRect(rect: ClientRect, offset: Offset): ClientRect {
+  return new DOMRect(
+    rect.left + offset.x,
+    rect.top + offset.y,
+    rect.width,
+    rect.height
+  );
+}
+
+function isInsideViewport(rect: ClientRect, viewport: Box): boolean {
+  return (
+    rect.left >= 0 &&
+    rect.top >= 0 &&
+    rect.right <= viewport.width &&
+    rect.bottom <= viewport.height
+  );
+}
+
+function getGridKeys(rect: ClientRect): Array<string> {
+  const keys = [];
+  for (
+    let x = Math.floor(rect.left / GRID_CELL_SIZE);
+    x * GRID_CELL_SIZE <= rect.right;
+    x += 1
+  ) {
+    for (
+      let y = Math.floor(rect.top / GRID_CELL_SIZE);
+      y * GRID_CELL_SIZE <= rect.bottom;
+      y += 1
+    ) {
+      keys.push(`${x},${y}`);
+    }
+  }
+  return keys;
+}
+
+function addToGrid(grid: RectGrid, rect: ClientRect): void {
+  for (const key of getGridKeys(rect)) {
+    const rects = grid.get(key);
+    if (rects === undefined) {
+      grid.set(key, [rect]);
+    } else {
+      rects.push(rect);
+    }
+  }
+}
+
+function getNearbyRects(grid: RectGrid, rect: ClientRect): Array<ClientRect> {
+  return getGridKeys(rect).flatMap((key) => grid.get(key) ?? []);
 }
 
 function wrapMessage(message: FromRenderer): ToBackground {
@@ -789,6 +1251,12 @@ function wrapMessage(message: FromRenderer): ToBackground {
   };
 }
 
+const TAB_ACTION_HEADINGS: Record<TabAction, string> = {
+  Activate: "Switch to tab",
+  Close: "Close tab",
+  Move: "Move tab here",
+};
+
 function createHintElement(hint: string): HTMLElement {
   const element = document.createElement("div");
   element.className = HINT_CLASS;
@@ -917,6 +1385,51 @@ function getHintPosition({
   };
 }
 
+function shouldUseDarkTheme(darkThemeDetection: DarkThemeDetection): boolean {
+  switch (darkThemeDetection) {
+    case "Off":
+      return false;
+
+    case "PrefersColorScheme":
+      return window.matchMedia("(prefers-color-scheme: dark)").matches;
+
+    case "PageBackground":
+      return hasDarkBackground();
+  }
+}
+
+// Below this relative luminance, white text has better contrast than black.
+const DARK_LUMINANCE = 0.179;
+
+const RGB_REGEX =
+  /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+))?\s*\)$/;
+
+function hasDarkBackground(): boolean {
+  // Pages usually set their background color on `<body>` or `<html>`.
+  for (const element of [document.body, document.documentElement]) {
+    if (element === null) {
+      continue;
+    }
+    const match = RGB_REGEX.exec(getComputedStyle(element).backgroundColor);
+    if (match !== null && (match[4] === undefined || Number(match[4]) > 0)) {
+      const [red, green, blue] = match
+        .slice(1, 4)
+        .map((channel) => toLinear(Number(channel) / 255));
+      return 0.2126 * red + 0.7152 * green + 0.0722 * blue < DARK_LUMINANCE;
+    }
+  }
+
+  // Transparent all the way: The page is white.
+  return false;
+}
+
+// <https://www.w3.org/TR/WCAG21/#dfn-relative-luminance>
+function toLinear(channel: number): number {
+  return channel <= 0.03928
+    ? channel / 12.92
+    : ((channel + 0.055) / 1.055) ** 2.4;
+}
+
 async function waitUntilBeforeNextRepaint(): Promise<void> {
   return new Promise((resolve) => {
     requestAnimationFrame(() => {
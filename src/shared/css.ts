@@ -1,3 +1,5 @@
+import { stringUnion } from "tiny-decoders";
+
 export const ROOT_CLASS = "root";
 export const HINT_CLASS = "hint";
 export const HIGHLIGHTED_HINT_CLASS = "highlighted";
@@ -5,10 +7,19 @@ export const MIXED_CASE_CLASS = "mixedCase";
 export const HAS_MATCHED_CHARS_CLASS = "hasMatchedChars";
 export const MATCHED_CHARS_CLASS = "matchedChars";
 export const TEXT_RECT_CLASS = "matchedText";
+export const LEADER_LINE_CLASS = "leaderLine";
 export const SHRUGGIE_CLASS = "shruggie";
 export const STATUS_CLASS = "status";
+export const STATUS_TEXT_CLASS = "statusText";
+export const STATUS_MATCHED_TEXT_CLASS = "statusMatchedText";
 export const PEEK_CLASS = "peek";
 export const HIDDEN_CLASS = "hidden";
+export const TAB_SWITCHER_CLASS = "tabSwitcher";
+export const TAB_SWITCHER_HEADING_CLASS = "tabSwitcherHeading";
+export const TAB_CLASS = "tab";
+export const CURRENT_TAB_CLASS = "currentTab";
+export const TAB_ICON_CLASS = "tabIcon";
+export const TAB_TITLE_CLASS = "tabTitle";
 
 // The minimum and maximum z-index browsers support.
 export const MIN_Z_INDEX = -2147483648;
@@ -58,6 +69,10 @@ export const CSS = `
   box-sizing: border-box;
 }
 
+.${LEADER_LINE_CLASS} {
+  border-top: solid 1px rgba(0, 0, 0, 0.5);
+}
+
 .${STATUS_CLASS} {
   font-size: 14px;
   padding: 4px 6px;
@@ -69,7 +84,58 @@ export const CSS = `
   line-height: 1;
 }
 
-.${PEEK_CLASS} .${HINT_CLASS}:not(.${HAS_MATCHED_CHARS_CLASS}):not(.${HIGHLIGHTED_HINT_CLASS}) {
+.${STATUS_TEXT_CLASS} {
+  margin-left: 0.5em;
+  opacity: 0.7;
+}
+
+.${STATUS_MATCHED_TEXT_CLASS} {
+  text-decoration: underline 2px ${COLOR_PURPLE};
+}
+
+.${TAB_SWITCHER_CLASS} {
+  font-size: 14px;
+  width: 600px;
+  max-width: 90vw;
+  max-height: 80vh;
+  overflow: hidden;
+  padding: 4px;
+  color: black;
+  background-color: white;
+  border: solid 1px rgba(0, 0, 0, 0.5);
+  box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+}
+
+.${TAB_SWITCHER_HEADING_CLASS} {
+  padding: 4px;
+  font-weight: bold;
+}
+
+.${TAB_CLASS} {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  padding: 4px;
+}
+
+.${CURRENT_TAB_CLASS} {
+  opacity: 0.6;
+}
+
+.${TAB_ICON_CLASS} {
+  flex: none;
+  width: 16px;
+  height: 16px;
+}
+
+.${TAB_TITLE_CLASS} {
+  overflow: hidden;
+  white-space: nowrap;
+  text-overflow: ellipsis;
+}
+
+.${PEEK_CLASS} .${HINT_CLASS}:not(.${HAS_MATCHED_CHARS_CLASS}):not(.${HIGHLIGHTED_HINT_CLASS}),
+.${PEEK_CLASS} .${LEADER_LINE_CLASS} {
   opacity: 0.2;
 }
 
@@ -132,3 +198,134 @@ export const SUGGESTION_VIMIUM = `
   right: 150px;
 }
 `.trim();
+
+// Built-in themes, applied on top of `CSS` (and below the user’s CSS).
+export type HintTheme = ReturnType<typeof HintTheme>;
+export const HintTheme = stringUnion({
+  Compact: null,
+  Dark: null,
+  Default: null,
+  HighContrast: null,
+  Large: null,
+});
+
+// When to use the dark theme instead of the regular one.
+export type DarkThemeDetection = ReturnType<typeof DarkThemeDetection>;
+export const DarkThemeDetection = stringUnion({
+  // Never.
+  Off: null,
+  // When the page has a dark background.
+  PageBackground: null,
+  // When the OS or browser is set to dark mode.
+  PrefersColorScheme: null,
+});
+
+export const HINT_THEMES: Array<{
+  name: string;
+  value: HintTheme;
+  css: string;
+}> = [
+  { name: "Default", value: "Default", css: "" },
+  {
+    name: "High contrast",
+    value: "HighContrast",
+    css: `
+.${HINT_CLASS} {
+  color: black;
+  background-color: #ffff00;
+  border: solid 2px black;
+}
+
+.${HIGHLIGHTED_HINT_CLASS} {
+  background-color: #00ff00;
+}
+
+.${MATCHED_CHARS_CLASS} {
+  opacity: 0.5;
+}
+
+.${TEXT_RECT_CLASS} {
+  border-bottom: 3px solid #ff00ff;
+}
+
+.${STATUS_CLASS} {
+  border: solid 2px white;
+}
+
+.${TAB_SWITCHER_CLASS} {
+  border: solid 2px black;
+}
+`.trim(),
+  },
+  {
+    name: "Dark",
+    value: "Dark",
+    css: `
+.${HINT_CLASS} {
+  color: #f5f5f5;
+  background-color: #2b2b2b;
+  border: solid 1px rgba(255, 255, 255, 0.5);
+}
+
+.${HIGHLIGHTED_HINT_CLASS} {
+  color: black;
+  background-color: ${COLOR_GREEN};
+}
+
+.${MATCHED_CHARS_CLASS} {
+  opacity: 0.4;
+}
+
+.${LEADER_LINE_CLASS} {
+  border-top-color: rgba(255, 255, 255, 0.5);
+}
+
+.${STATUS_CLASS} {
+  color: black;
+  background-color: #f5f5f5;
+  box-shadow: 0 0 1px 0 rgba(0, 0, 0, 0.5);
+}
+
+.${TAB_SWITCHER_CLASS} {
+  color: #f5f5f5;
+  background-color: #2b2b2b;
+  border-color: rgba(255, 255, 255, 0.5);
+}
+`.trim(),
+  },
+  {
+    name: "Large",
+    value: "Large",
+    css: `
+.${HINT_CLASS} {
+  font-size: 16px;
+  padding: 3px 4px;
+}
+
+.${STATUS_CLASS} {
+  font-size: 18px;
+  padding: 6px 8px;
+}
+`.trim(),
+  },
+  {
+    name: "Compact",
+    value: "Compact",
+    css: `
+.${HINT_CLASS} {
+  font-size: 10px;
+  padding: 0 1px;
+  border-width: 0;
+}
+
+.${STATUS_CLASS} {
+  font-size: 12px;
+  padding: 2px 4px;
+}
+`.trim(),
+  },
+];
+
+export function getThemeCSS(theme: HintTheme): string {
+  return HINT_THEMES.find(({ value }) => value === theme)?.css ?? "";
+}
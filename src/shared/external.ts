@@ -0,0 +1,109 @@
+import {
+  boolean,
+  chain,
+  DecoderError,
+  fieldsAuto,
+  fieldsUnion,
+  number,
+  optional,
+  string,
+  stringUnion,
+} from "tiny-decoders";
+
+import type { ElementType } from "./hints";
+
+// The hints modes that other extensions can enter. The rest are either steps of
+// other modes (“ExtendSelection” needs an existing selection), or take over the
+// keyboard after choosing an element (“Media” and “FocusInput”).
+export type ExternalHintsMode = ReturnType<typeof ExternalHintsMode>;
+export const ExternalHintsMode = stringUnion({
+  BackgroundTab: null,
+  Click: null,
+  Copy: null,
+  ForegroundTab: null,
+  Hover: null,
+  ManyClick: null,
+  ManyCopy: null,
+  ManyTab: null,
+  Scrollable: null,
+  Select: null,
+  SelectRange: null,
+});
+
+// Messages that other extensions can send via `runtime.sendMessage` (received
+// in `runtime.onMessageExternal`). Only extensions listed in the
+// `externalExtensionIds` option are answered. See API.md for documentation.
+//
+// `tabId` defaults to the active tab of the current window.
+export type ExternalMessage = ReturnType<typeof ExternalMessage>;
+export const ExternalMessage = fieldsUnion("type", {
+  EnterHintsMode: fieldsAuto({
+    type: () => "EnterHintsMode" as const,
+    tabId: optional(number),
+    mode: ExternalHintsMode,
+  }),
+  GetHints: fieldsAuto({
+    type: () => "GetHints" as const,
+    tabId: optional(number),
+  }),
+  ActivateHint: chain(
+    fieldsAuto({
+      type: () => "ActivateHint" as const,
+      tabId: optional(number),
+      hint: optional(string),
+      id: optional(string),
+      alt: optional(boolean, false),
+    }),
+    validateActivateHint
+  ),
+  ExitHintsMode: fieldsAuto({
+    type: () => "ExitHintsMode" as const,
+    tabId: optional(number),
+  }),
+});
+
+function validateActivateHint<T extends { hint?: string; id?: string }>(
+  message: T
+): T {
+  if ((message.hint === undefined) === (message.id === undefined)) {
+    throw new DecoderError({
+      message: "Expected exactly one of `hint` and `id`",
+      value: message,
+    });
+  }
+
+  return message;
+}
+
+export type ExternalResponse =
+  | {
+      type: "Done";
+    }
+  | {
+      type: "Error";
+      message: string;
+    }
+  | {
+      type: "Hints";
+      hints: Array<ExternalHint>;
+    };
+
+export type ExternalHint = {
+  // The id to pass to `ActivateHint`. Stays the same while the hint
+  // characters change, but is only valid until hints mode exits.
+  id: string;
+  hint: string;
+  type: ElementType;
+  text: string;
+  url: string | undefined;
+  // Where the hint is shown, relative to the viewport of the top frame.
+  x: number;
+  y: number;
+};
+
+// Sent to the extension that entered hints mode, when hints mode exits – by a
+// hint being activated, by the user pressing Escape or by `ExitHintsMode`.
+export type ExternalNotification = {
+  type: "HintsModeExited";
+  tabId: number;
+};
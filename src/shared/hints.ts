@@ -1,3 +1,4 @@
+import huffman from "n-ary-huffman";
 import { array, multi, stringUnion } from "tiny-decoders";
 
 export type ElementType = ReturnType<typeof ElementType>;
@@ -6,6 +7,8 @@ export const ElementType = stringUnion({
   clickable: null,
   "sometimes-clickable": null, // <label>, <details>, <summary>
   link: null,
+  media: null, // <video>, <audio>
+  scrollable: null,
   selectable: null,
   textarea: null,
 });
@@ -14,10 +17,26 @@ export type ElementTypes = ReturnType<typeof ElementTypes>;
 export const ElementTypes = multi({
   array: array(ElementType),
   string: stringUnion({
+    media: null,
+    scrollable: null,
     selectable: null,
   }),
 });
 
+export type HintLabels = ReturnType<typeof HintLabels>;
+export const HintLabels = stringUnion({
+  // Elements with more weight (such as larger ones) get shorter hints.
+  Weighted: null,
+  // All hints have the same length.
+  FixedLength: null,
+  // Elements get hints left to right, top to bottom, shortest first.
+  ReadingOrder: null,
+  // Hints are numbers, so that all letters filter by text.
+  Numbers: null,
+});
+
+export const NUMBER_CHARS = "1234567890";
+
 export type Point = {
   x: number;
   y: number;
@@ -47,6 +66,8 @@ export type ElementReport = {
   textContent: boolean;
   textWeight: number;
   isTextInput: boolean;
+  // When the text input was last focused (`Date.now()`), or 0 if never.
+  lastFocused: number;
   hasClickListener: boolean;
 };
 
@@ -99,3 +120,93 @@ export type HintUpdate =
       highlighted: boolean;
       hidden: boolean;
     };
+
+// Calls `callback` with a hint label for each item. Only `"Weighted"` looks at
+// `.weight` – the other strategies give the first items the first labels, so
+// `items` must be sorted by priority. No label is a prefix of another.
+export function assignHintLabels<T extends { weight: number }>(
+  items: Array<T>,
+  hintLabels: HintLabels,
+  chars: string,
+  callback: (item: T, label: string) => void
+): void {
+  switch (hintLabels) {
+    case "Weighted": {
+      const tree = huffman.createTree(items, chars.length, {
+        // `items` might not be sorted by weight.
+        sorted: false,
+      });
+      tree.assignCodeWords(chars, callback);
+      return;
+    }
+
+    case "FixedLength":
+      assignInOrder(items, getFixedLengthLabels(chars, items.length), callback);
+      return;
+
+    case "ReadingOrder":
+    case "Numbers":
+      assignInOrder(items, getShortestLabels(chars, items.length), callback);
+      return;
+  }
+}
+
+function assignInOrder<T>(
+  items: Array<T>,
+  labels: Array<string>,
+  callback: (item: T, label: string) => void
+): void {
+  for (const [index, item] of items.entries()) {
+    callback(item, labels[index]);
+  }
+}
+
+// Keep replacing the last of the shortest labels with longer ones until there
+// are enough labels. This gives as short labels as possible. The replacing
+// mixes up the order, so sort them: Shortest first, and within each length in
+// the order of `chars` (like `getFixedLengthLabels`).
+function getShortestLabels(chars: string, count: number): Array<string> {
+  const labels = Array.from(chars);
+  while (labels.length < count) {
+    const shortestLength = labels[0].length;
+    const index = labels.findIndex((label) => label.length > shortestLength);
+    const [label] = labels.splice(
+      index === -1 ? labels.length - 1 : index - 1,
+      1
+    );
+    for (const char of chars) {
+      labels.push(`${label}${char}`);
+    }
+  }
+  return labels.sort((a, b) => compareLabels(a, b, chars)).slice(0, count);
+}
+
+function compareLabels(a: string, b: string, chars: string): number {
+  if (a.length !== b.length) {
+    return a.length - b.length;
+  }
+  for (const [index, char] of Array.from(a).entries()) {
+    const difference = chars.indexOf(char) - chars.indexOf(b[index]);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+function getFixedLengthLabels(chars: string, count: number): Array<string> {
+  let length = 1;
+  while (chars.length ** length < count) {
+    length++;
+  }
+  return Array.from({ length: count }, (_, index) =>
+    Array.from(
+      { length },
+      (__, position) =>
+        chars[
+          Math.floor(index / chars.length ** (length - position - 1)) %
+            chars.length
+        ]
+    ).join("")
+  );
+}
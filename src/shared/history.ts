@@ -0,0 +1,188 @@
+import { fieldsAuto, number, record } from "tiny-decoders";
+import browser from "webextension-polyfill";
+
+import type { ElementReport } from "./hints";
+import { decode } from "./main";
+
+// The activation history remembers which elements are activated often, per
+// origin, so that they can be given shorter hints. It is stored in
+// `storage.local` only – it is never synced, and it is not part of the options.
+//
+// Elements are identified by a fingerprint made of their type, URL and text,
+// since the same element gets a new DOM node on every page load.
+export const ACTIVATION_HISTORY_KEY = "activationHistory";
+
+// Keep the history reasonably small, since it is read and written as a whole.
+const MAX_ORIGINS = 200;
+const MAX_ENTRIES_PER_ORIGIN = 100;
+
+// Scores are halved after this long without activation, so that elements
+// that used to be activated a lot don’t keep short hints forever.
+const HALF_LIFE = 14 * 24 * 60 * 60 * 1000; // ms
+
+// Entries that have decayed below this are forgotten.
+const MIN_SCORE = 0.1;
+
+const MAX_TEXT_LENGTH = 100;
+
+export type HistoryEntry = ReturnType<typeof HistoryEntry>;
+const HistoryEntry = fieldsAuto({
+  // Roughly the number of activations, decayed to `timestamp`.
+  score: number,
+  // When the element was last activated.
+  timestamp: number,
+});
+
+export type ActivationHistory = ReturnType<typeof ActivationHistory>;
+export const ActivationHistory = record(record(HistoryEntry));
+
+export function getHistoryOrigin(url: string | undefined): string | undefined {
+  if (url === undefined) {
+    return undefined;
+  }
+  try {
+    const { origin } = new URL(url);
+    // Pages such as `about:blank` have the opaque origin "null".
+    return origin === "null" ? undefined : origin;
+  } catch {
+    return undefined;
+  }
+}
+
+export function getElementFingerprint(
+  element: Pick<ElementReport, "text" | "type" | "url">
+): string | undefined {
+  const text = element.text
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+  // Elements without both text and URL (such as icon buttons) cannot be told
+  // apart, so they are not remembered.
+  return text === "" && element.url === undefined
+    ? undefined
+    : [element.type, element.url ?? "", text].join("\n");
+}
+
+export function parseElementFingerprint(fingerprint: string): {
+  type: string;
+  url: string;
+  text: string;
+} {
+  const [type = "", url = "", text = ""] = fingerprint.split("\n");
+  return { type, url, text };
+}
+
+export function getDecayedScore(entry: HistoryEntry, now: number): number {
+  return entry.score * 0.5 ** (Math.max(0, now - entry.timestamp) / HALF_LIFE);
+}
+
+// Multiplier for the hint weight of an element. 1 for elements that have never
+// been activated, growing logarithmically so that a handful of activations
+// make a difference without one element taking over completely.
+export function getWeightBoost(
+  history: ActivationHistory,
+  origin: string,
+  fingerprint: string,
+  now: number
+): number {
+  const entry = history[origin]?.[fingerprint];
+  return entry === undefined
+    ? 1
+    : 1 + Math.log2(1 + getDecayedScore(entry, now));
+}
+
+export function addActivation(
+  history: ActivationHistory,
+  origin: string,
+  fingerprint: string,
+  now: number
+): ActivationHistory {
+  const entries = history[origin] ?? {};
+  const entry = entries[fingerprint];
+  return pruneHistory(
+    {
+      ...history,
+      [origin]: {
+        ...entries,
+        [fingerprint]: {
+          score: (entry === undefined ? 0 : getDecayedScore(entry, now)) + 1,
+          timestamp: now,
+        },
+      },
+    },
+    now
+  );
+}
+
+function pruneHistory(
+  history: ActivationHistory,
+  now: number
+): ActivationHistory {
+  const origins = Object.entries(history)
+    .map(
+      ([origin, entries]): [string, Array<[string, number, HistoryEntry]>] => [
+        origin,
+        Object.entries(entries)
+          .map(([fingerprint, entry]): [string, number, HistoryEntry] => [
+            fingerprint,
+            getDecayedScore(entry, now),
+            entry,
+          ])
+          .filter(([, score]) => score >= MIN_SCORE)
+          .sort(([, a], [, b]) => b - a)
+          .slice(0, MAX_ENTRIES_PER_ORIGIN),
+      ]
+    )
+    .filter(([, entries]) => entries.length > 0)
+    // Keep the most recently used origins.
+    .sort(
+      ([, a], [, b]) =>
+        Math.max(...b.map(([, , entry]) => entry.timestamp)) -
+        Math.max(...a.map(([, , entry]) => entry.timestamp))
+    )
+    .slice(0, MAX_ORIGINS);
+
+  return Object.fromEntries(
+    origins.map(([origin, entries]) => [
+      origin,
+      Object.fromEntries(
+        entries.map(([fingerprint, , entry]) => [fingerprint, entry])
+      ),
+    ])
+  );
+}
+
+export function decodeActivationHistory(value: unknown): ActivationHistory {
+  return value === undefined ? {} : decode(ActivationHistory, value);
+}
+
+export async function loadActivationHistory(): Promise<ActivationHistory> {
+  const { [ACTIVATION_HISTORY_KEY]: value } = await browser.storage.local.get(
+    ACTIVATION_HISTORY_KEY
+  );
+  return decodeActivationHistory(value);
+}
+
+export async function saveActivationHistory(
+  history: ActivationHistory
+): Promise<void> {
+  await (Object.keys(history).length === 0
+    ? browser.storage.local.remove(ACTIVATION_HISTORY_KEY)
+    : browser.storage.local.set({ [ACTIVATION_HISTORY_KEY]: history }));
+}
+
+// Forgets the history of one origin, or all of them.
+export async function clearActivationHistory(
+  origin: string | undefined
+): Promise<void> {
+  if (origin === undefined) {
+    await saveActivationHistory({});
+    return;
+  }
+  const history = await loadActivationHistory();
+  await saveActivationHistory(
+    Object.fromEntries(
+      Object.entries(history).filter(([origin2]) => origin2 !== origin)
+    )
+  );
+}
@@ -1,8 +1,10 @@
 import {
+  array,
   boolean,
   chain,
   DecoderError,
   fieldsAuto,
+  optional,
   string,
   stringUnion,
   tuple,
@@ -10,28 +12,84 @@ import {
 
 export type KeyboardAction = ReturnType<typeof KeyboardAction>;
 export const KeyboardAction = stringUnion({
+  ActivateAllMatching: null,
+  ActivateAllMatching_Click: null,
   ActivateHint: null,
   ActivateHintAlt: null,
   Backspace: null,
   EnterHintsMode_BackgroundTab: null,
   EnterHintsMode_Click: null,
+  EnterHintsMode_Copy: null,
+  EnterHintsMode_ExtendSelection: null,
   EnterHintsMode_ForegroundTab: null,
+  EnterHintsMode_Hover: null,
   EnterHintsMode_ManyClick: null,
+  EnterHintsMode_ManyCopy: null,
   EnterHintsMode_ManyTab: null,
+  EnterHintsMode_Media: null,
+  EnterHintsMode_Scrollable: null,
   EnterHintsMode_Select: null,
+  EnterHintsMode_SelectRange: null,
+  EnterHintsMode_SwitchTab: null,
+  EnterHintsMode_Unhover: null,
   Escape: null,
   ExitHintsMode: null,
+  FocusInput: null,
+  GoToNextPage: null,
+  GoToPreviousPage: null,
   RefreshHints: null,
   ReverseSelection: null,
   RotateHintsBackward: null,
   RotateHintsForward: null,
+  SetCopyFormat_Html: null,
+  SetCopyFormat_Markdown: null,
+  SetCopyFormat_Media: null,
+  SetCopyFormat_Text: null,
+  SetCopyFormat_Url: null,
+  SetTabAction_Activate: null,
+  SetTabAction_Close: null,
+  SetTabAction_Move: null,
   TogglePeek: null,
 });
 
+// The main hints mode actions are also available as browser-level shortcuts,
+// through the `commands` manifest key. The browser handles those, so they work
+// even if the page swallows keypresses or the content scripts haven’t loaded
+// yet. Keys are assigned in the browser’s extension shortcut settings. The
+// descriptions are shown there.
+export const BROWSER_COMMANDS: Array<{
+  action: KeyboardAction;
+  description: string;
+}> = [
+  { action: "EnterHintsMode_Click", description: "Click" },
+  { action: "EnterHintsMode_ManyClick", description: "Click many" },
+  { action: "EnterHintsMode_ManyTab", description: "Open many tabs" },
+  {
+    action: "EnterHintsMode_BackgroundTab",
+    description: "Open link in new tab",
+  },
+  {
+    action: "EnterHintsMode_ForegroundTab",
+    description: "Open link in new tab and switch to it",
+  },
+  { action: "EnterHintsMode_Select", description: "Select element" },
+  { action: "EnterHintsMode_Copy", description: "Copy element" },
+  { action: "EnterHintsMode_SwitchTab", description: "Switch tab" },
+];
+
 // Allow exiting hints mode if we ever get stuck in Prevent overtyping mode.
 export const PREVENT_OVERTYPING_ALLOWED_KEYBOARD_ACTIONS =
   new Set<KeyboardAction>(["Escape", "ExitHintsMode"]);
 
+// While cycling between text inputs after `FocusInput`, typing goes to the
+// focused text input as usual. Only these hints mode shortcuts are used, for
+// Tab, Shift+Tab and Escape by default.
+export const FOCUS_INPUT_KEYBOARD_ACTIONS = new Set<KeyboardAction>([
+  "ExitHintsMode",
+  "RotateHintsBackward",
+  "RotateHintsForward",
+]);
+
 // Raw values from a `KeyboardEvent` that we care about.
 export type Keypress = {
   key: string;
@@ -56,16 +114,37 @@ export type NormalizedKeypress = {
   shift: boolean | undefined;
 };
 
-export type Shortcut = ReturnType<typeof Shortcut>;
-const Shortcut = fieldsAuto({
+const singleShortcutFields = {
   key: string,
   alt: boolean,
   cmd: boolean,
   ctrl: boolean,
   shift: boolean,
-});
+};
+
+// One key plus modifiers.
+export type SingleShortcut = ReturnType<typeof SingleShortcut>;
+export const SingleShortcut = fieldsAuto(singleShortcutFields);
 
-const EMPTY_SHORTCUT: Shortcut = {
+export type Shortcut = SingleShortcut & {
+  // Vim-style key sequences, such as `g f`: The keys to press (in order) before
+  // `key`. Missing for regular shortcuts.
+  sequence?: Array<SingleShortcut>;
+};
+export const Shortcut = chain(
+  fieldsAuto({
+    ...singleShortcutFields,
+    sequence: optional(array(SingleShortcut)),
+  }),
+  ({ sequence, ...shortcut }): Shortcut =>
+    // Leave out `sequence` rather than setting it to `undefined`, so that
+    // `deepEqual` treats decoded shortcuts like the ones made in code.
+    sequence === undefined || sequence.length === 0
+      ? shortcut
+      : { ...shortcut, sequence }
+);
+
+const EMPTY_SHORTCUT: SingleShortcut = {
   key: "",
   alt: false,
   cmd: false,
@@ -73,9 +152,20 @@ const EMPTY_SHORTCUT: Shortcut = {
   shift: false,
 };
 
+// All keys of a key sequence, including the last one. Empty for regular
+// shortcuts.
+export function getSequenceKeys(shortcut: Shortcut): Array<SingleShortcut> {
+  const { sequence, ...last } = shortcut;
+  return sequence === undefined ? [] : [...sequence, last];
+}
+
+// Key sequences are allowed without modifiers, since they never fire while
+// typing in text inputs.
 function requireModifier(shortcut: Shortcut): Shortcut {
-  const { key, alt, cmd, ctrl, shift } = shortcut;
-  if (!(alt || cmd || ctrl || (shift && key.length > 1))) {
+  const { key, alt, cmd, ctrl, shift, sequence } = shortcut;
+  if (
+    !(alt || cmd || ctrl || (shift && key.length > 1) || sequence !== undefined)
+  ) {
     throw new DecoderError({
       message: "Expected Shortcut to use a least one modifier",
       value: shortcut,
@@ -84,9 +174,29 @@ function requireModifier(shortcut: Shortcut): Shortcut {
   return shortcut;
 }
 
+function rejectSequence(shortcut: Shortcut): Shortcut {
+  if (shortcut.sequence !== undefined) {
+    throw new DecoderError({
+      message: "Key sequences can only be used for main keyboard shortcuts",
+      value: shortcut,
+    });
+  }
+  return shortcut;
+}
+
 const SHORTCUT_SEPARATOR = "-";
 
+// Normalized keys never contain spaces (the space key is called "Space"), so a
+// space is safe to use between the keys of a sequence.
+const SEQUENCE_SEPARATOR = " ";
+
 export function serializeShortcut(shortcut: Shortcut): string {
+  return [...(shortcut.sequence ?? []), shortcut]
+    .map(serializeSingleShortcut)
+    .join(SEQUENCE_SEPARATOR);
+}
+
+function serializeSingleShortcut(shortcut: SingleShortcut): string {
   return [
     shortcut.alt ? "alt" : undefined,
     shortcut.cmd ? "cmd" : undefined,
@@ -101,6 +211,19 @@ export function serializeShortcut(shortcut: Shortcut): string {
 // This turns a shortcut string into an object that can be fed to `Shortcut`.
 export function deserializeShortcut(
   shortcutString: string
+): Record<string, unknown> {
+  const keys = shortcutString.split(SEQUENCE_SEPARATOR);
+  const last = deserializeSingleShortcut(keys[keys.length - 1]);
+  return keys.length > 1
+    ? {
+        ...last,
+        sequence: keys.slice(0, -1).map(deserializeSingleShortcut),
+      }
+    : last;
+}
+
+function deserializeSingleShortcut(
+  shortcutString: string
 ): Record<string, unknown> {
   const parts = shortcutString.split(SHORTCUT_SEPARATOR);
   const lastIndex = parts.length - 1;
@@ -120,7 +243,7 @@ export function deserializeShortcut(
 
 export type KeyboardMapping = ReturnType<typeof KeyboardMapping>;
 export const KeyboardMapping = fieldsAuto({
-  shortcut: Shortcut,
+  shortcut: chain(Shortcut, rejectSequence),
   action: KeyboardAction,
 });
 
@@ -144,10 +267,33 @@ export type HintsMode = ReturnType<typeof HintsMode>;
 export const HintsMode = stringUnion({
   BackgroundTab: null,
   Click: null,
+  Copy: null,
+  ExtendSelection: null,
+  FocusInput: null,
   ForegroundTab: null,
+  Hover: null,
   ManyClick: null,
+  ManyCopy: null,
   ManyTab: null,
+  Media: null,
+  Scrollable: null,
   Select: null,
+  SelectRange: null,
+});
+
+// What to put in the clipboard when copying an element in the copy hints
+// modes.
+export type CopyFormat = ReturnType<typeof CopyFormat>;
+export const CopyFormat = stringUnion({
+  // `<a href="url">text</a>`
+  Html: null,
+  // `[text](url)`
+  Markdown: null,
+  // The source of an image, video, audio or frame.
+  Media: null,
+  // The visible text.
+  Text: null,
+  Url: null,
 });
 
 export type KeyPair = ReturnType<typeof KeyPair>;
@@ -205,6 +351,192 @@ export const EN_US_QWERTY_TRANSLATIONS: KeyTranslations = {
   Slash: ["/", "?"],
 };
 
+// Translations for other common layouts, as differences from en-US QWERTY.
+// `null` means that the key has no translation, which is used for dead keys
+// (their `.key` is `"Dead"`, so they can’t be translated).
+function makeKeyTranslations(
+  overrides: Record<string, KeyPair | null>
+): KeyTranslations {
+  return Object.fromEntries(
+    Object.entries({ ...EN_US_QWERTY_TRANSLATIONS, ...overrides }).flatMap(
+      ([code, pair]): Array<[string, KeyPair]> =>
+        pair === null ? [] : [[code, pair]]
+    )
+  );
+}
+
+export type KeyboardLayout = {
+  name: string;
+  keyTranslations: KeyTranslations;
+};
+
+export const KEYBOARD_LAYOUTS: Array<KeyboardLayout> = [
+  {
+    name: "en-US QWERTY",
+    keyTranslations: EN_US_QWERTY_TRANSLATIONS,
+  },
+  {
+    name: "Dvorak",
+    keyTranslations: makeKeyTranslations({
+      Minus: ["[", "{"],
+      Equal: ["]", "}"],
+      KeyQ: ["'", '"'],
+      KeyW: [",", "<"],
+      KeyE: [".", ">"],
+      KeyR: ["p", "P"],
+      KeyT: ["y", "Y"],
+      KeyY: ["f", "F"],
+      KeyU: ["g", "G"],
+      KeyI: ["c", "C"],
+      KeyO: ["r", "R"],
+      KeyP: ["l", "L"],
+      BracketLeft: ["/", "?"],
+      BracketRight: ["=", "+"],
+      KeyS: ["o", "O"],
+      KeyD: ["e", "E"],
+      KeyF: ["u", "U"],
+      KeyG: ["i", "I"],
+      KeyH: ["d", "D"],
+      KeyJ: ["h", "H"],
+      KeyK: ["t", "T"],
+      KeyL: ["n", "N"],
+      Semicolon: ["s", "S"],
+      Quote: ["-", "_"],
+      KeyZ: [";", ":"],
+      KeyX: ["q", "Q"],
+      KeyC: ["j", "J"],
+      KeyV: ["k", "K"],
+      KeyB: ["x", "X"],
+      KeyN: ["b", "B"],
+      Comma: ["w", "W"],
+      Period: ["v", "V"],
+      Slash: ["z", "Z"],
+    }),
+  },
+  {
+    name: "Colemak",
+    keyTranslations: makeKeyTranslations({
+      KeyE: ["f", "F"],
+      KeyR: ["p", "P"],
+      KeyT: ["g", "G"],
+      KeyY: ["j", "J"],
+      KeyU: ["l", "L"],
+      KeyI: ["u", "U"],
+      KeyO: ["y", "Y"],
+      KeyP: [";", ":"],
+      KeyS: ["r", "R"],
+      KeyD: ["s", "S"],
+      KeyF: ["t", "T"],
+      KeyG: ["d", "D"],
+      KeyJ: ["n", "N"],
+      KeyK: ["e", "E"],
+      KeyL: ["i", "I"],
+      Semicolon: ["o", "O"],
+      KeyN: ["k", "K"],
+    }),
+  },
+  {
+    name: "French AZERTY",
+    keyTranslations: makeKeyTranslations({
+      Backquote: ["²", "³"],
+      Digit1: ["&", "1"],
+      Digit2: ["é", "2"],
+      Digit3: ['"', "3"],
+      Digit4: ["'", "4"],
+      Digit5: ["(", "5"],
+      Digit6: ["-", "6"],
+      Digit7: ["è", "7"],
+      Digit8: ["_", "8"],
+      Digit9: ["ç", "9"],
+      Digit0: ["à", "0"],
+      Minus: [")", "°"],
+      KeyQ: ["a", "A"],
+      KeyW: ["z", "Z"],
+      BracketLeft: null,
+      BracketRight: ["$", "£"],
+      KeyA: ["q", "Q"],
+      Semicolon: ["m", "M"],
+      Quote: ["ù", "%"],
+      Backslash: ["*", "µ"],
+      IntlBackslash: ["<", ">"],
+      KeyZ: ["w", "W"],
+      KeyM: [",", "?"],
+      Comma: [";", "."],
+      Period: [":", "/"],
+      Slash: ["!", "§"],
+    }),
+  },
+  {
+    name: "German QWERTZ",
+    keyTranslations: makeKeyTranslations({
+      Backquote: null,
+      Digit2: ["2", '"'],
+      Digit3: ["3", "§"],
+      Digit6: ["6", "&"],
+      Digit7: ["7", "/"],
+      Digit8: ["8", "("],
+      Digit9: ["9", ")"],
+      Digit0: ["0", "="],
+      Minus: ["ß", "?"],
+      Equal: null,
+      KeyY: ["z", "Z"],
+      BracketLeft: ["ü", "Ü"],
+      BracketRight: ["+", "*"],
+      Semicolon: ["ö", "Ö"],
+      Quote: ["ä", "Ä"],
+      Backslash: ["#", "'"],
+      IntlBackslash: ["<", ">"],
+      KeyZ: ["y", "Y"],
+      Comma: [",", ";"],
+      Period: [".", ":"],
+      Slash: ["-", "_"],
+    }),
+  },
+];
+
+export type KeyboardLayoutMatch = {
+  layout: KeyboardLayout;
+  matched: number;
+  total: number;
+};
+
+// Finds the layout that best matches the keys reported by
+// `navigator.keyboard.getLayoutMap()`, which only contains unshifted keys.
+export function detectKeyboardLayout(
+  layoutMap: ReadonlyMap<string, string>
+): KeyboardLayoutMatch | undefined {
+  let best: KeyboardLayoutMatch | undefined = undefined;
+
+  for (const layout of KEYBOARD_LAYOUTS) {
+    const codes = Object.keys(layout.keyTranslations).filter((code) =>
+      layoutMap.has(code)
+    );
+    const matched = codes.filter(
+      (code) => layoutMap.get(code) === layout.keyTranslations[code][0]
+    ).length;
+    if (best === undefined || matched > best.matched) {
+      best = { layout, matched, total: codes.length };
+    }
+  }
+
+  return best === undefined || best.matched === 0 ? undefined : best;
+}
+
+// Returns the hint chars that can’t be typed without modifiers, given the
+// unshifted keys of a layout. Uppercase letters are fine if their lowercase
+// version can be typed, since then the user chose to type them with shift.
+export function getUntypableChars(
+  chars: string,
+  unshiftedKeys: Iterable<string>
+): Array<string> {
+  const keys = new Set(unshiftedKeys);
+  return Array.from(chars).filter(
+    (char) =>
+      !keys.has(char) &&
+      !(char !== char.toLowerCase() && keys.has(char.toLowerCase()))
+  );
+}
+
 export function keyboardEventToKeypress(event: KeyboardEvent): Keypress {
   return {
     key: event.key,
@@ -12,6 +12,9 @@ import {
 // ElementManager might not get the same random number.
 export const CONTAINER_ID = `__${META_SLUG}WebExt`;
 
+// Same as `host_permissions` in the manifest.
+export const HOST_PERMISSIONS = ["<all_urls>"];
+
 export type LogLevel = ReturnType<typeof LogLevel>;
 export const LogLevel = stringUnion({
   error: null,
@@ -377,55 +380,27 @@ export function getTextRects({
   element,
   viewports,
   words,
+  textFilter,
   checkElementAtPoint = true,
 }: {
   element: HTMLElement;
   viewports: Array<Box>;
-  words: Set<string>;
+  words: Array<string>;
+  textFilter: TextFilter;
   checkElementAtPoint?: boolean;
 }): Array<Box> {
-  const text = extractText(element).toLowerCase();
-
-  const ranges = [];
-
-  for (const word of words) {
-    let index = -1;
-    while ((index = text.indexOf(word, index + 1)) >= 0) {
-      ranges.push({
-        start: index,
-        end: index + word.length,
-        range: document.createRange(),
-      });
-    }
-  }
+  const ranges = getTextRanges({ element, words, textFilter });
 
   if (ranges.length === 0) {
     return [];
   }
 
-  let index = 0;
-
-  for (const node of walkTextNodes(element)) {
-    const nextIndex = index + node.length;
-
-    for (const { start, end, range } of ranges) {
-      if (start >= index && start < nextIndex) {
-        range.setStart(node, start - index);
-      }
-      if (end >= index && end <= nextIndex) {
-        range.setEnd(node, end - index);
-      }
-    }
-
-    index = nextIndex;
-  }
-
   const [offsetX, offsetY] = viewports.reduceRight(
     ([x, y], viewport) => [x + viewport.x, y + viewport.y],
     [0, 0]
   );
 
-  return ranges.flatMap(({ range }) => {
+  return ranges.flatMap((range) => {
     const rects = range.getClientRects();
     return Array.from(rects, (rect) => {
       const box = getVisibleBox(rect, viewports);
@@ -447,6 +422,51 @@ export function getTextRects({
   });
 }
 
+// DOM ranges for the parts of the text of `element` that match `words`.
+export function getTextRanges({
+  element,
+  words,
+  textFilter,
+}: {
+  element: HTMLElement;
+  words: Array<string>;
+  textFilter: TextFilter;
+}): Array<Range> {
+  const match = matchText(extractText(element), words, textFilter);
+
+  const ranges =
+    match === undefined
+      ? []
+      : match.ranges.map(({ start, end }) => ({
+          start,
+          end,
+          range: document.createRange(),
+        }));
+
+  if (ranges.length === 0) {
+    return [];
+  }
+
+  let index = 0;
+
+  for (const node of walkTextNodes(element)) {
+    const nextIndex = index + node.length;
+
+    for (const { start, end, range } of ranges) {
+      if (start >= index && start < nextIndex) {
+        range.setStart(node, start - index);
+      }
+      if (end >= index && end <= nextIndex) {
+        range.setEnd(node, end - index);
+      }
+    }
+
+    index = nextIndex;
+  }
+
+  return ranges.map(({ range }) => range);
+}
+
 export function getElementFromPoint(
   element: HTMLElement,
   x: number,
@@ -504,6 +524,195 @@ export function splitEnteredText(enteredText: string): Array<string> {
   return enteredText.split(" ").filter((word) => word !== "");
 }
 
+export type TextFilter = ReturnType<typeof TextFilter>;
+export const TextFilter = stringUnion({
+  // Every word must be a substring of the text.
+  Strict: null,
+  // Every word must be a subsequence of the text: “stngs” matches “Settings”.
+  Fuzzy: null,
+});
+
+export type TextRange = {
+  start: number;
+  end: number;
+};
+
+export type TextMatch = {
+  // Higher is better. Always 0 for `"Strict"`.
+  score: number;
+  // Where the words matched in the text, sorted by `.start`.
+  ranges: Array<TextRange>;
+};
+
+export type TextSegment = {
+  text: string;
+  matched: boolean;
+};
+
+// Both modes ignore case and diacritics: “oppna” matches “Öppna”.
+export function matchText(
+  text: string,
+  words: Array<string>,
+  textFilter: TextFilter
+): TextMatch | undefined {
+  const foldedText = foldText(text);
+  let score = 0;
+  const ranges: Array<TextRange> = [];
+
+  for (const word of words) {
+    const foldedWord = foldText(word);
+
+    switch (textFilter) {
+      case "Strict": {
+        let index = foldedText.indexOf(foldedWord);
+        if (index === -1) {
+          return undefined;
+        }
+        while (index >= 0) {
+          ranges.push({ start: index, end: index + foldedWord.length });
+          index = foldedText.indexOf(foldedWord, index + 1);
+        }
+        break;
+      }
+
+      case "Fuzzy": {
+        const match = fuzzyMatchWord(foldedText, foldedWord);
+        if (match === undefined) {
+          return undefined;
+        }
+        score += match.score;
+        ranges.push(
+          ...match.indexes.map((index) => ({ start: index, end: index + 1 }))
+        );
+        break;
+      }
+    }
+  }
+
+  return { score, ranges: mergeTextRanges(ranges) };
+}
+
+// Lowercase and remove diacritics (“Ö” → “ö” → “o”). The length is kept, so
+// that indexes into the folded text can be used on the original text.
+export function foldText(text: string): string {
+  const lowerCase = text.toLowerCase();
+  return lowerCase.length === text.length && /^[\0-\x7F]*$/.test(lowerCase)
+    ? lowerCase
+    : Array.from(text, (char) => {
+        const folded = char
+          .toLowerCase()
+          .normalize("NFD")
+          .replace(/\p{M}/gu, "");
+        return folded.length === char.length ? folded : char;
+      }).join("");
+}
+
+// Try each occurrence of the first char as a starting point, and greedily match
+// the rest of the chars as early as possible. Consecutive chars and chars at
+// the start of words give a better score.
+function fuzzyMatchWord(
+  text: string,
+  word: string
+): { score: number; indexes: Array<number> } | undefined {
+  let best: { score: number; indexes: Array<number> } | undefined = undefined;
+  let start = text.indexOf(word[0]);
+
+  while (start >= 0) {
+    const indexes = [start];
+    for (let wordIndex = 1; wordIndex < word.length; wordIndex++) {
+      const index = text.indexOf(word[wordIndex], indexes[wordIndex - 1] + 1);
+      if (index === -1) {
+        // Later starting points won’t match either.
+        return best;
+      }
+      indexes.push(index);
+    }
+
+    const score = indexes.reduce(
+      (sum, index, wordIndex) =>
+        sum +
+        1 +
+        (wordIndex > 0 && indexes[wordIndex - 1] === index - 1 ? 2 : 0) +
+        (isWordStart(text, index) ? 2 : 0),
+      0
+    );
+    const gaps = indexes[indexes.length - 1] - start + 1 - word.length;
+    const finalScore = Math.max(1, score - gaps * 0.01);
+
+    if (best === undefined || finalScore > best.score) {
+      best = { score: finalScore, indexes };
+    }
+
+    start = text.indexOf(word[0], start + 1);
+  }
+
+  return best;
+}
+
+function isWordStart(text: string, index: number): boolean {
+  return index === 0 || !/[\p{L}\p{N}]/u.test(text[index - 1]);
+}
+
+function mergeTextRanges(ranges: Array<TextRange>): Array<TextRange> {
+  const sorted = ranges.slice().sort((a, b) => a.start - b.start);
+  const merged: Array<TextRange> = [];
+  for (const range of sorted) {
+    const previous = merged[merged.length - 1];
+    if (previous !== undefined && range.start <= previous.end) {
+      previous.end = Math.max(previous.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+// Split `text` into matched and unmatched parts, keeping about
+// `contextLength` chars around each match.
+export function getTextSegments(
+  text: string,
+  ranges: Array<TextRange>,
+  contextLength: number
+): Array<TextSegment> {
+  if (ranges.length === 0) {
+    return [];
+  }
+
+  const first = Math.max(0, ranges[0].start - contextLength);
+  const last = Math.min(
+    text.length,
+    ranges[ranges.length - 1].end + contextLength
+  );
+  const segments: Array<TextSegment> = [];
+  let index = first;
+
+  for (const { start, end } of ranges) {
+    if (start - index > contextLength * 2) {
+      segments.push({
+        text: `${text.slice(index, index + contextLength)}…${text.slice(
+          start - contextLength,
+          start
+        )}`,
+        matched: false,
+      });
+    } else if (start > index) {
+      segments.push({ text: text.slice(index, start), matched: false });
+    }
+    segments.push({ text: text.slice(start, end), matched: true });
+    index = end;
+  }
+
+  if (last > index) {
+    segments.push({ text: text.slice(index, last), matched: false });
+  }
+
+  return [
+    ...(first > 0 ? [{ text: "…", matched: false }] : []),
+    ...segments,
+    ...(last < text.length ? [{ text: "…", matched: false }] : []),
+  ];
+}
+
 // Deep equal for JSON data.
 export function deepEqual(a: unknown, b: unknown): boolean {
   if (a === b) {
@@ -0,0 +1,89 @@
+import type { NormalizedKeypress } from "./keyboard";
+
+// What the keys do after choosing a `<video>` or `<audio>` element in the
+// “Media” hints mode.
+export type MediaCommand =
+  | "SeekBackward"
+  | "SeekForward"
+  | "SlowDown"
+  | "SpeedUp"
+  | "ToggleFullscreen"
+  | "ToggleMute"
+  | "TogglePictureInPicture"
+  | "TogglePlay";
+
+// Single keys, like in many video players. They are not configurable, since
+// nothing else happens while controlling a media element – except the hints
+// mode keyboard shortcuts, such as Escape for exiting.
+export const MEDIA_CONTROLS: Array<{
+  keys: Array<string>;
+  command: MediaCommand;
+  description: string;
+}> = [
+  { keys: ["Space", "k"], command: "TogglePlay", description: "play/pause" },
+  { keys: ["m"], command: "ToggleMute", description: "mute" },
+  { keys: ["f"], command: "ToggleFullscreen", description: "fullscreen" },
+  {
+    keys: ["p"],
+    command: "TogglePictureInPicture",
+    description: "picture-in-picture",
+  },
+  { keys: ["<"], command: "SlowDown", description: "slower" },
+  { keys: [">"], command: "SpeedUp", description: "faster" },
+  { keys: ["j", "ArrowLeft"], command: "SeekBackward", description: "back" },
+  { keys: ["l", "ArrowRight"], command: "SeekForward", description: "forward" },
+];
+
+export type MediaState = {
+  paused: boolean;
+  muted: boolean;
+  playbackRate: number;
+  currentTime: number;
+  // `NaN` if unknown, `Infinity` for streams.
+  duration: number;
+};
+
+export function getMediaCommand(
+  keypress: NormalizedKeypress
+): MediaCommand | undefined {
+  // Leave modifier combinations to the browser and the hints mode keyboard
+  // shortcuts.
+  if (keypress.alt || keypress.cmd || keypress.ctrl) {
+    return undefined;
+  }
+
+  // `.key` is not affected by capslock, unlike `.printableKey`.
+  const { key } = keypress;
+  return MEDIA_CONTROLS.find((control) => control.keys.includes(key))?.command;
+}
+
+// For example: "Playing 1:05 / 3:20 1.5×  Space play/pause  m mute  …"
+export function describeMediaControls(state: MediaState): string {
+  const parts = [
+    state.paused ? "Paused" : "Playing",
+    Number.isFinite(state.duration)
+      ? `${formatTime(state.currentTime)} / ${formatTime(state.duration)}`
+      : formatTime(state.currentTime),
+    // Round away floating point errors from stepping the speed.
+    ...(state.playbackRate === 1
+      ? []
+      : [`${Number(state.playbackRate.toFixed(2))}×`]),
+    ...(state.muted ? ["Muted"] : []),
+  ];
+
+  const keys = MEDIA_CONTROLS.map(
+    ({ keys: [key], description }) => `${key} ${description}`
+  );
+
+  return [parts.join(" "), ...keys].join("  ");
+}
+
+function formatTime(seconds: number): string {
+  const rounded = Math.floor(seconds);
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const rest = (rounded % 60).toString().padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${minutes.toString().padStart(2, "0")}:${rest}`
+    : `${minutes}:${rest}`;
+}
@@ -1,3 +1,4 @@
+import type { DarkThemeDetection, HintTheme } from "./css";
 import type {
   ElementRender,
   ElementReport,
@@ -5,15 +6,26 @@ import type {
   HintUpdate,
 } from "./hints";
 import type {
+  CopyFormat,
   KeyboardAction,
   KeyboardMapping,
   KeyboardModeWorker,
   KeyTranslations,
   NormalizedKeypress,
+  SingleShortcut,
 } from "./keyboard";
-import type { Box, LogLevel } from "./main";
-import type { OptionsData, PartialOptions } from "./options";
+import type { Box, LogLevel, TextFilter, TextSegment } from "./main";
+import type { MediaCommand, MediaState } from "./media";
+import type {
+  IncludeSelector,
+  OptionsData,
+  PartialOptions,
+  SiteRule,
+} from "./options";
 import type { Durations, Stats, TabsPerf } from "./perf";
+import type { Profile } from "./profiles";
+import type { Recording } from "./recording";
+import type { SwitchableTab, TabAction } from "./tabs";
 
 export type FromBackground =
   | {
@@ -55,9 +67,18 @@ export type ToBackground =
     };
 
 export type FromWorker =
+  | {
+      type: "ActivateAllMatchingConfirmed";
+      click: boolean;
+    }
   | {
       type: "ClickedLinkNavigatingToOtherPage";
     }
+  | {
+      type: "CopiedElement";
+      text: string;
+      slot: number;
+    }
   | {
       type: "KeyboardShortcutMatched";
       action: KeyboardAction;
@@ -67,6 +88,10 @@ export type FromWorker =
       type: "KeypressCaptured";
       keypress: NormalizedKeypress;
     }
+  | {
+      type: "MediaControlled";
+      state: MediaState;
+    }
   | {
       type: "NonKeyboardShortcutKeypress";
       keypress: NormalizedKeypress;
@@ -76,6 +101,12 @@ export type FromWorker =
       type: "OpenNewTabs";
       urls: Array<string>;
     }
+  | {
+      type: "PendingSequence";
+      // The keys pressed so far of a key sequence. Empty when the sequence is
+      // done, cancelled or timed out.
+      sequence: Array<SingleShortcut>;
+    }
   | {
       type: "PersistedPageShow";
     }
@@ -111,9 +142,25 @@ export type ToWorker =
       type: "ClickElement";
       index: number;
     }
+  | {
+      type: "ConfirmActivateAllMatching";
+      count: number;
+      click: boolean;
+    }
+  | {
+      type: "ControlMedia";
+      index: number;
+      // `undefined` just reports the state of the element.
+      command: MediaCommand | undefined;
+    }
   | {
       type: "CopyElement";
       index: number;
+      // `undefined` means guessing the most useful thing to copy.
+      format: CopyFormat | undefined;
+      // In the "many" copy hints mode, the text is sent back to be put in
+      // `slot` of the texts copied so far, instead of being copied right away.
+      slot: number | undefined;
     }
   | {
       type: "Escape";
@@ -122,10 +169,28 @@ export type ToWorker =
       type: "FocusElement";
       index: number;
     }
+  | {
+      type: "FocusScrollableElement";
+      index: number;
+    }
+  | {
+      type: "FocusTextInput";
+      index: number;
+    }
   | {
       type: "GetTextRects";
       indexes: Array<number>;
       words: Array<string>;
+      textFilter: TextFilter;
+    }
+  | {
+      type: "GoToPage";
+      direction: "Next" | "Previous";
+      words: Array<string>;
+    }
+  | {
+      type: "HoverElement";
+      index: number;
     }
   | {
       type: "OpenNewTab";
@@ -140,6 +205,15 @@ export type ToWorker =
       type: "SelectElement";
       index: number;
     }
+  | {
+      type: "SelectTextRange";
+      index: number;
+      words: Array<string>;
+      textFilter: TextFilter;
+      // Extend the current selection to the element instead of replacing it.
+      extend: boolean;
+      copy: boolean;
+    }
   | {
       type: "StartFindElements";
       types: ElementTypes;
@@ -151,12 +225,22 @@ export type ToWorker =
       keyboardShortcuts: Array<KeyboardMapping>;
       keyboardMode: KeyboardModeWorker;
       keyTranslations: KeyTranslations;
+      sequenceTimeout: number;
       oneTimeWindowMessageToken: string;
       mac: boolean;
       isPinned: boolean;
+      includeSelectors: Array<IncludeSelector>;
+      excludeSelectors: Array<string>;
+    }
+  | {
+      type: "UnhoverElement";
     }
   | {
       type: "UpdateElements";
+    }
+  | {
+      type: "WriteClipboard";
+      text: string;
     };
 
 export type FromRenderer =
@@ -182,6 +266,25 @@ export type ToRenderer =
       elements: Array<ElementRender>;
       mixedCase: boolean;
     }
+  | {
+      type: "RenderMediaControls";
+      status: string;
+    }
+  | {
+      type: "RenderPendingSequence";
+      sequence: Array<SingleShortcut>;
+    }
+  | {
+      type: "RenderStatusNote";
+      note: string;
+    }
+  | {
+      type: "RenderTabSwitcher";
+      tabs: Array<SwitchableTab>;
+      enteredChars: string;
+      enteredText: string;
+      action: TabAction;
+    }
   | {
       type: "RenderTextRects";
       rects: Array<Box>;
@@ -193,7 +296,12 @@ export type ToRenderer =
     }
   | {
       type: "StateSync";
+      // The user’s CSS, including the CSS of the site rule for the tab.
       css: string;
+      hintTheme: HintTheme;
+      darkHintTheme: HintTheme;
+      darkThemeDetection: DarkThemeDetection;
+      spreadHints: boolean;
       logLevel: LogLevel;
     }
   | {
@@ -206,19 +314,56 @@ export type ToRenderer =
       type: "UpdateHints";
       updates: Array<HintUpdate>;
       enteredText: string;
+      // The text of the highlighted element, around what matched `enteredText`.
+      highlightedText: Array<TextSegment>;
     };
 
-export type FromPopup = {
-  type: "PopupScriptAdded";
-};
+export type FromPopup =
+  | {
+      type: "PerformTabAction";
+      action: TabAction;
+      tabId: number;
+    }
+  | {
+      type: "PopupScriptAdded";
+    }
+  | {
+      type: "SwitchProfile";
+      name: string;
+    };
 
 export type ToPopup = {
   type: "Init";
   logLevel: LogLevel;
   isEnabled: boolean;
+  siteRule: SiteRule | undefined;
+  profile: string;
+  profiles: Array<Profile>;
+  hasOptionsErrors: boolean;
+  // Firefox lets the user deny the host permissions, which stops the content
+  // scripts from running anywhere.
+  hasHostPermission: boolean;
+  // Only set when the content scripts can’t run in the current tab, since the
+  // tab switcher can’t be shown in the page then.
+  tabSwitcher:
+    | {
+        tabs: Array<SwitchableTab>;
+        textFilter: TextFilter;
+      }
+    | undefined;
 };
 
 export type FromOptions =
+  | {
+      type: "CreateProfile";
+      profile: Profile;
+      // Copy the options of the active profile, rather than using the defaults.
+      copyCurrent: boolean;
+    }
+  | {
+      type: "DeleteProfile";
+      name: string;
+    }
   | {
       type: "OptionsScriptAdded";
     }
@@ -232,6 +377,34 @@ export type FromOptions =
       type: "SaveOptions";
       partialOptions: PartialOptions;
     }
+  | {
+      type: "SetProfileSync";
+      name: string;
+      sync: boolean;
+    }
+  | {
+      type: "StartRecording";
+      tabId: number;
+    }
+  | {
+      type: "StartReplay";
+      recording: Recording;
+      // The recording can contain several tabs. This is the one to replay.
+      tabId: number;
+    }
+  | {
+      type: "StepReplay";
+    }
+  | {
+      type: "StopRecording";
+    }
+  | {
+      type: "StopReplay";
+    }
+  | {
+      type: "SwitchProfile";
+      name: string;
+    }
   | {
       type: "ToggleKeyboardCapture";
       capture: boolean;
@@ -246,6 +419,21 @@ export type ToOptions =
       type: "PerfUpdate";
       perf: TabsPerf;
     }
+  | {
+      type: "RecordingDone";
+      recording: Recording;
+    }
+  | {
+      type: "RecordingState";
+      isRecording: boolean;
+    }
+  | {
+      type: "ReplayUpdate";
+      // The index of the next recorded entry to replay.
+      position: number;
+      lastStep: string | undefined;
+      hintsState: string;
+    }
   | {
       type: "StateSync";
       logLevel: LogLevel;
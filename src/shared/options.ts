@@ -2,16 +2,22 @@ import {
   array,
   boolean,
   chain,
+  Decoder,
   DecoderError,
   fieldsAuto,
+  nullable,
+  optional,
   record,
   repr,
   string,
 } from "tiny-decoders";
 
+import { DarkThemeDetection, HintTheme } from "./css";
+import { ElementType, HintLabels, NUMBER_CHARS } from "./hints";
 import {
   deserializeShortcut,
   EN_US_QWERTY_TRANSLATIONS,
+  KeyboardAction,
   KeyboardMapping,
   KeyboardMappingWithModifiers,
   KeyPair,
@@ -24,8 +30,10 @@ import {
   deepEqual,
   DEFAULT_LOG_LEVEL,
   LogLevel,
+  TextFilter,
   UnsignedInt,
 } from "./main";
+import type { Profile } from "./profiles";
 
 export type OptionsData = {
   values: Options;
@@ -33,30 +41,162 @@ export type OptionsData = {
   raw: FlatOptions;
   errors: Array<string>;
   mac: boolean;
+  // The name of the active profile.
+  profile: string;
+  profiles: Array<Profile>;
 };
 
-import browser from 'webextension-polyfill';
-
 export type Options = ReturnType<typeof Options>;
 
 export type PartialOptions = Partial<Options>;
 
 export type FlatOptions = Record<string, unknown>;
 
+// Shortcut overrides are stored like the flattened options: The keys are
+// serialized shortcuts, and the values are actions. `null` means that the
+// shortcut is removed for the site.
+export type ShortcutOverrides = Record<string, KeyboardAction | null>;
+
+const Selector = chain(string, validateSelector);
+
+export type IncludeSelector = ReturnType<typeof IncludeSelector>;
+export const IncludeSelector = fieldsAuto({
+  selector: Selector,
+  type: ElementType,
+});
+
+export type SiteRule = ReturnType<typeof SiteRule>;
+export const SiteRule = fieldsAuto({
+  pattern: chain(string, validateUrlPattern),
+  disabled: boolean,
+  // An empty string means using the global `chars`.
+  chars: chain(string, (chars) =>
+    chars === "" ? chars : validateChars(chars)
+  ),
+  normalKeyboardShortcuts: ShortcutOverrides(KeyboardMappingWithModifiers),
+  hintsKeyboardShortcuts: ShortcutOverrides(KeyboardMapping),
+  // Elements matching these always get hints (if visible), as the given type.
+  includeSelectors: array(IncludeSelector),
+  // Elements matching these never get hints. These win over `includeSelectors`.
+  excludeSelectors: array(Selector),
+  // Applied after the global `css`. Missing in site rules saved before it was
+  // added.
+  css: optional(string, ""),
+});
+
 export const Options = fieldsAuto({
   chars: chain(string, validateChars),
+  hintLabels: HintLabels,
+  textFilter: TextFilter,
   autoActivate: boolean,
+  // Give shorter hints to elements that are activated often. See
+  // `shared/history.ts`.
+  adaptiveWeights: boolean,
+  // Nudge overlapping hints apart. See `RendererProgram#spreadHints`.
+  spreadHints: boolean,
+  // Keep the timings of hints mode runs per site. See `shared/perf.ts`.
+  recordPerfHistory: boolean,
+  // Link texts (one word or phrase each) for going to the next and previous
+  // page, used when the page has no `rel="next"` or `rel="prev"` links.
+  nextPageWords: array(chain(string, validatePageWord)),
+  previousPageWords: array(chain(string, validatePageWord)),
   overTypingDuration: UnsignedInt,
+  // Ask before opening or clicking more elements than this at once.
+  activateAllConfirmCount: UnsignedInt,
+  // How long to wait for the next key of a key sequence.
+  sequenceTimeout: UnsignedInt,
+  // Other extensions allowed to control hints mode. See `shared/external.ts`.
+  externalExtensionIds: array(chain(string, validateExtensionId)),
+  hintTheme: HintTheme,
+  darkHintTheme: HintTheme,
+  darkThemeDetection: DarkThemeDetection,
   css: string,
   logLevel: LogLevel,
   useKeyTranslations: boolean,
   keyTranslations: record(KeyPair),
   normalKeyboardShortcuts: array(KeyboardMappingWithModifiers),
   hintsKeyboardShortcuts: array(KeyboardMapping),
+  siteRules: array(SiteRule),
 });
 
 const MIN_CHARS = 2;
 
+function ShortcutOverrides(
+  mappingDecoder: Decoder<KeyboardMapping>
+): Decoder<ShortcutOverrides> {
+  return chain(record(nullable(KeyboardAction)), (overrides) => {
+    for (const [key, action] of Object.entries(overrides)) {
+      if (action !== null) {
+        mappingDecoder({ shortcut: deserializeShortcut(key), action });
+      }
+    }
+    return overrides;
+  });
+}
+
+function validateUrlPattern(pattern: string): string {
+  if (pattern === "" || /\s/.test(pattern)) {
+    throw new DecoderError({
+      message: "Expected a non-empty URL pattern without whitespace",
+      value: pattern,
+    });
+  }
+
+  return pattern;
+}
+
+function validatePageWord(word: string): string {
+  if (word.trim() !== word || word === "") {
+    throw new DecoderError({
+      message: "Expected a non-empty word without surrounding whitespace",
+      value: word,
+    });
+  }
+
+  return word;
+}
+
+function validateExtensionId(id: string): string {
+  if (id === "" || /\s/.test(id)) {
+    throw new DecoderError({
+      message: "Expected a non-empty extension ID without whitespace",
+      value: id,
+    });
+  }
+
+  return id;
+}
+
+function validateSelector(selector: string): string {
+  if (!isValidSelector(selector)) {
+    throw new DecoderError({
+      message: "Expected a valid CSS selector",
+      value: selector,
+    });
+  }
+
+  return selector;
+}
+
+// The service worker has no DOM, so there selectors are only checked for being
+// non-empty. The options page and the workers check them fully.
+export function isValidSelector(selector: string): boolean {
+  if (selector.trim() === "") {
+    return false;
+  }
+
+  if (typeof document === "undefined") {
+    return true;
+  }
+
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 function validateChars(chars: string): string {
   if (/\s/.test(chars)) {
     throw new DecoderError({
@@ -85,6 +225,12 @@ function validateChars(chars: string): string {
   return chars;
 }
 
+// The chars actually used for hints. Number hints ignore `chars`, so that all
+// letters can be used to filter by text.
+export function getHintChars(options: Options): string {
+  return options.hintLabels === "Numbers" ? NUMBER_CHARS : options.chars;
+}
+
 export function normalizeChars(chars: string, defaultValue: string): string {
   const unique = pruneChars(chars);
   return unique.length >= MIN_CHARS
@@ -94,6 +240,21 @@ export function normalizeChars(chars: string, defaultValue: string): string {
     : pruneChars(unique + defaultValue).slice(0, MIN_CHARS);
 }
 
+// One word or phrase per line. Blank lines and duplicates are removed.
+export function normalizePageWords(
+  text: string,
+  defaultValue: Array<string>
+): Array<string> {
+  const words = Array.from(
+    new Set(text.split("\n").map((line) => line.trim().replace(/\s+/g, " ")))
+  ).filter((word) => word !== "");
+  return words.length > 0 ? words : defaultValue;
+}
+
+export function normalizeExtensionIds(text: string): Array<string> {
+  return Array.from(new Set(text.split(/\s+/))).filter((id) => id !== "");
+}
+
 function pruneChars(chars: string): string {
   return Array.from(new Set(Array.from(chars.replace(/\s/g, "")))).join("");
 }
@@ -121,9 +282,77 @@ export function getDefaults({ mac }: { mac: boolean }): Options {
 
   return {
     chars: "fjdkslaurieowhgmvcn",
+    hintLabels: "Weighted",
+    textFilter: "Strict",
     autoActivate: true,
+    adaptiveWeights: false,
+    spreadHints: false,
+    recordPerfHistory: false,
+    nextPageWords: [
+      "next",
+      "next page",
+      "older",
+      "older posts",
+      "›",
+      "»",
+      "→",
+      "weiter",
+      "nächste",
+      "suivant",
+      "suivante",
+      "siguiente",
+      "próximo",
+      "próxima",
+      "successivo",
+      "avanti",
+      "volgende",
+      "nästa",
+      "neste",
+      "næste",
+      "seuraava",
+      "następna",
+      "далее",
+      "следующая",
+      "次へ",
+      "下一页",
+      "다음",
+    ],
+    previousPageWords: [
+      "prev",
+      "previous",
+      "previous page",
+      "newer",
+      "newer posts",
+      "‹",
+      "«",
+      "←",
+      "zurück",
+      "vorherige",
+      "précédent",
+      "précédente",
+      "anterior",
+      "precedente",
+      "indietro",
+      "vorige",
+      "föregående",
+      "forrige",
+      "edellinen",
+      "poprzednia",
+      "назад",
+      "предыдущая",
+      "前へ",
+      "上一页",
+      "이전",
+    ],
     // This is the "prevent overtyping" timeout from VimFx.
     overTypingDuration: 400, // ms
+    activateAllConfirmCount: 10,
+    // Same as `timeoutlen` in Vim.
+    sequenceTimeout: 1000, // ms
+    externalExtensionIds: [],
+    hintTheme: "Default",
+    darkHintTheme: "Dark",
+    darkThemeDetection: "Off",
     css: "",
     logLevel: DEFAULT_LOG_LEVEL,
     useKeyTranslations: false,
@@ -153,6 +382,54 @@ export function getDefaults({ mac }: { mac: boolean }): Options {
         shortcut: mainShortcut("L"),
         action: "EnterHintsMode_Select",
       },
+      {
+        shortcut: mainShortcut("v"),
+        action: "EnterHintsMode_SelectRange",
+      },
+      {
+        shortcut: mainShortcut("V"),
+        action: "EnterHintsMode_ExtendSelection",
+      },
+      {
+        shortcut: mainShortcut("o"),
+        action: "EnterHintsMode_Hover",
+      },
+      {
+        shortcut: mainShortcut("y"),
+        action: "EnterHintsMode_Copy",
+      },
+      {
+        shortcut: mainShortcut("Y"),
+        action: "EnterHintsMode_ManyCopy",
+      },
+      {
+        shortcut: mainShortcut("O"),
+        action: "EnterHintsMode_Unhover",
+      },
+      {
+        shortcut: mainShortcut("s"),
+        action: "EnterHintsMode_Scrollable",
+      },
+      {
+        shortcut: mainShortcut("w"),
+        action: "EnterHintsMode_SwitchTab",
+      },
+      {
+        shortcut: mainShortcut("m"),
+        action: "EnterHintsMode_Media",
+      },
+      {
+        shortcut: mainShortcut("i"),
+        action: "FocusInput",
+      },
+      {
+        shortcut: mainShortcut("]"),
+        action: "GoToNextPage",
+      },
+      {
+        shortcut: mainShortcut("["),
+        action: "GoToPreviousPage",
+      },
       {
         shortcut: shortcut({
           key: "ArrowUp",
@@ -185,6 +462,22 @@ export function getDefaults({ mac }: { mac: boolean }): Options {
         }),
         action: "ActivateHintAlt",
       },
+      {
+        shortcut: shortcut({
+          key: "Enter",
+          shift: true,
+        }),
+        action: "ActivateAllMatching",
+      },
+      {
+        shortcut: shortcut({
+          key: "Enter",
+          alt: !mac,
+          ctrl: mac,
+          shift: true,
+        }),
+        action: "ActivateAllMatching_Click",
+      },
       {
         shortcut: shortcut({
           key: "Backspace",
@@ -220,6 +513,62 @@ export function getDefaults({ mac }: { mac: boolean }): Options {
         }),
         action: "TogglePeek",
       },
+      {
+        shortcut: shortcut({
+          key: "u",
+          ctrl: true,
+        }),
+        action: "SetCopyFormat_Url",
+      },
+      {
+        shortcut: shortcut({
+          key: "e",
+          ctrl: true,
+        }),
+        action: "SetCopyFormat_Text",
+      },
+      {
+        shortcut: shortcut({
+          key: "m",
+          ctrl: true,
+        }),
+        action: "SetCopyFormat_Markdown",
+      },
+      {
+        shortcut: shortcut({
+          key: "h",
+          ctrl: true,
+        }),
+        action: "SetCopyFormat_Html",
+      },
+      {
+        shortcut: shortcut({
+          key: "i",
+          ctrl: true,
+        }),
+        action: "SetCopyFormat_Media",
+      },
+      {
+        shortcut: shortcut({
+          key: "a",
+          ctrl: true,
+        }),
+        action: "SetTabAction_Activate",
+      },
+      {
+        shortcut: shortcut({
+          key: "x",
+          ctrl: true,
+        }),
+        action: "SetTabAction_Close",
+      },
+      {
+        shortcut: shortcut({
+          key: "v",
+          ctrl: true,
+        }),
+        action: "SetTabAction_Move",
+      },
       {
         shortcut: shortcut({
           key: "Escape",
@@ -234,6 +583,157 @@ export function getDefaults({ mac }: { mac: boolean }): Options {
         action: "Escape",
       },
     ],
+    siteRules: [],
+  };
+}
+
+// URL patterns use `*` as a wildcard for any number of characters, and must
+// match the whole URL. For example: `*://mail.example.com/*`.
+export function matchesUrlPattern(pattern: string, url: string): boolean {
+  const regexString = pattern
+    .split("*")
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${regexString}$`, "u").test(url);
+}
+
+// The first rule matching the URL wins.
+export function getSiteRule(
+  siteRules: Array<SiteRule>,
+  url: string | undefined
+): SiteRule | undefined {
+  return url === undefined
+    ? undefined
+    : siteRules.find((siteRule) => matchesUrlPattern(siteRule.pattern, url));
+}
+
+export function applySiteRule(
+  options: Options,
+  siteRule: SiteRule | undefined
+): Options {
+  if (siteRule === undefined) {
+    return options;
+  }
+
+  return {
+    ...options,
+    chars: siteRule.chars === "" ? options.chars : siteRule.chars,
+    css:
+      siteRule.css.trim() === ""
+        ? options.css
+        : `${options.css}\n\n${siteRule.css}`,
+    normalKeyboardShortcuts: siteRule.disabled
+      ? []
+      : applyShortcutOverrides(
+          options.normalKeyboardShortcuts,
+          siteRule.normalKeyboardShortcuts
+        ),
+    hintsKeyboardShortcuts: applyShortcutOverrides(
+      options.hintsKeyboardShortcuts,
+      siteRule.hintsKeyboardShortcuts
+    ),
+  };
+}
+
+function applyShortcutOverrides(
+  mappings: Array<KeyboardMapping>,
+  overrides: ShortcutOverrides
+): Array<KeyboardMapping> {
+  const kept = mappings.filter(
+    (mapping) =>
+      !Object.prototype.hasOwnProperty.call(
+        overrides,
+        serializeShortcut(mapping.shortcut)
+      )
+  );
+  const added = Object.entries(overrides).flatMap(([key, action]) =>
+    action === null
+      ? []
+      : [{ shortcut: decode(Shortcut, deserializeShortcut(key)), action }]
+  );
+  return kept.concat(added);
+}
+
+// The inverse of `applyShortcutOverrides`: Given the global mappings and the
+// mappings wanted for a site, return the overrides needed to get there.
+export function makeShortcutOverrides(
+  mappings: Array<KeyboardMapping>,
+  siteMappings: Array<KeyboardMapping>
+): ShortcutOverrides {
+  const added = siteMappings.filter(
+    (siteMapping) =>
+      !mappings.some((mapping) => deepEqual(mapping, siteMapping))
+  );
+  const removed = mappings.filter(
+    (mapping) =>
+      !siteMappings.some((siteMapping) =>
+        deepEqual(siteMapping.shortcut, mapping.shortcut)
+      )
+  );
+  return Object.fromEntries([
+    ...removed.map((mapping): [string, KeyboardAction | null] => [
+      serializeShortcut(mapping.shortcut),
+      null,
+    ]),
+    ...added.map((mapping): [string, KeyboardAction | null] => [
+      serializeShortcut(mapping.shortcut),
+      mapping.action,
+    ]),
+  ]);
+}
+
+// Migrations upgrade flat options (stored or exported) one version at a time:
+// `MIGRATIONS[0]` upgrades from version 1 to 2, and so on. Add one whenever an
+// option is renamed, removed or changes format. Stored options might not
+// contain every key, so migrations must handle missing keys.
+const MIGRATIONS: Array<(flatOptions: FlatOptions) => FlatOptions> = [];
+
+// Options from before versioning was added have no version, and count as
+// version 1.
+export const OPTIONS_VERSION = MIGRATIONS.length + 1;
+
+export const OPTIONS_VERSION_KEY = "optionsVersion";
+
+export function migrateOptions(flatOptions: FlatOptions): {
+  options: FlatOptions;
+  version: number;
+  errors: Array<string>;
+} {
+  const { [OPTIONS_VERSION_KEY]: rawVersion = 1, ...options } = flatOptions;
+
+  if (
+    typeof rawVersion !== "number" ||
+    !Number.isInteger(rawVersion) ||
+    rawVersion < 1
+  ) {
+    return {
+      options,
+      version: OPTIONS_VERSION,
+      errors: [
+        `${OPTIONS_VERSION_KEY}: Expected a positive integer\nGot: ${repr(
+          rawVersion
+        )}\nAssuming the current version.`,
+      ],
+    };
+  }
+
+  if (rawVersion > OPTIONS_VERSION) {
+    return {
+      options,
+      version: rawVersion,
+      errors: [
+        `${OPTIONS_VERSION_KEY}: These options are from a newer version (${rawVersion}). This version only knows about versions up to ${OPTIONS_VERSION}, so some options might be ignored.`,
+      ],
+    };
+  }
+
+  return {
+    options: MIGRATIONS.slice(rawVersion - 1).reduce(
+      (migrated, migrate) => migrate(migrated),
+      options
+    ),
+    version: rawVersion,
+    errors: [],
   };
 }
 
@@ -356,16 +856,59 @@ export function unflattenOptions(
   return [options, map];
 }
 
-export const DEBUG_PREFIX = "debug.";
+// Decodes flattened options on top of the defaults. Stored values that fail to
+// decode (such as ones saved by a newer version, or mangled by sync) are
+// skipped one at a time and reported in `errors`, so that a single bad value
+// doesn’t make all options fall back to the defaults.
+export function decodeFlatOptions(
+  defaults: FlatOptions,
+  raw: FlatOptions
+): { options: Options; errors: Array<string> } {
+  const remaining = { ...raw };
+  const errors: Array<string> = [];
 
-export async function getRawOptions(): Promise<FlatOptions> {
-  const raw = await browser.storage.sync.get();
-  // Exclude all tweakables since they are handled completely differently.
-  return Object.fromEntries(
-    Object.entries(raw).filter(([key]) => !key.startsWith(DEBUG_PREFIX))
-  );
+  for (;;) {
+    const [unflattened, map] = unflattenOptions({ ...defaults, ...remaining });
+    try {
+      return { options: Options(unflattened), errors };
+    } catch (error) {
+      if (!(error instanceof DecoderError)) {
+        throw error;
+      }
+      const key = getFailingKey(error.path, map, remaining);
+      if (key === undefined) {
+        errors.push(`${error.format()}\nIgnoring all values.`);
+        return { options: Options(unflattenOptions(defaults)[0]), errors };
+      }
+      error.path = map.get(JSON.stringify(error.path)) ?? [key];
+      errors.push(`${error.format()}\nIgnoring this value.`);
+      delete remaining[key];
+    }
+  }
 }
 
+// Finds which of the flattened keys caused a decoding error, using the map from
+// `unflattenOptions`. Errors deep inside a value are not in the map, so try
+// shorter and shorter paths.
+function getFailingKey(
+  path: Array<number | string>,
+  map: Map<string, Array<number | string>>,
+  raw: FlatOptions
+): string | undefined {
+  for (let end = path.length; end > 0; end--) {
+    const [key] = map.get(JSON.stringify(path.slice(0, end))) ?? path;
+    if (
+      typeof key === "string" &&
+      Object.prototype.hasOwnProperty.call(raw, key)
+    ) {
+      return key;
+    }
+  }
+  return undefined;
+}
+
+export const DEBUG_PREFIX = "debug.";
+
 export function diffOptions(
   defaults: FlatOptions,
   fullOptions: FlatOptions,
@@ -424,32 +967,59 @@ export function diffOptions(
   };
 }
 
+export type ImportChange = {
+  key: string;
+  // `undefined` means that the key isn’t set (before) or is removed (after).
+  before: unknown;
+  after: unknown;
+};
+
+// Works out what importing `flatOptions` (such as an export from an older
+// version) on top of `options` would change, so that the user can pick which
+// changes to apply using `applyImportChanges`.
 export function importOptions(
   flatOptions: FlatOptions,
   options: Options
 ): {
-  options: Options | undefined;
-  successCount: number;
+  changes: Array<ImportChange>;
   errors: Array<string>;
 } {
-  try {
-    const updatedOptionsFlat = {
-      ...flattenOptions(options),
-      ...flatOptions,
-    };
-    const [unflattened, map] = unflattenOptions(updatedOptionsFlat);
-    const newOptions = decode(Options, unflattened, map);
-    return {
-      options: newOptions,
-      successCount: Object.keys(flatOptions).length,
-      errors: [],
-    };
-  } catch (errorAny) {
-    const error = errorAny as Error;
-    return {
-      options: undefined,
-      successCount: 0,
-      errors: [`The file is invalid: ${error.message}`],
-    };
+  const { options: migrated, errors: migrationErrors } =
+    migrateOptions(flatOptions);
+  const currentFlat = flattenOptions(options);
+  const { options: newOptions, errors: decodeErrors } = decodeFlatOptions(
+    currentFlat,
+    migrated
+  );
+  // Comparing against nothing saved makes `optionsToSet` contain every
+  // changed key, with `null` for removed ones.
+  const { optionsToSet } = diffOptions(
+    currentFlat,
+    flattenOptions(newOptions),
+    {}
+  );
+  return {
+    changes: Object.entries(optionsToSet).map(([key, after]) => ({
+      key,
+      before: currentFlat[key],
+      after: after === null ? undefined : after,
+    })),
+    errors: [...migrationErrors, ...decodeErrors],
+  };
+}
+
+export function applyImportChanges(
+  options: Options,
+  changes: Array<ImportChange>
+): Options {
+  const flatOptions = flattenOptions(options);
+  for (const { key, after } of changes) {
+    if (after === undefined) {
+      delete flatOptions[key];
+    } else {
+      flatOptions[key] = after;
+    }
   }
+  const [unflattened, map] = unflattenOptions(flatOptions);
+  return decode(Options, unflattened, map);
 }
@@ -1,5 +1,6 @@
 import {
   array,
+  DecoderError,
   fieldsAuto,
   number,
   record,
@@ -7,6 +8,8 @@ import {
   tuple,
 } from "tiny-decoders";
 
+import { decode } from "./main";
+
 export const MAX_PERF_ENTRIES = 9;
 
 export type Durations = ReturnType<typeof Durations>;
@@ -35,6 +38,278 @@ export const Perf = array(
 export type TabsPerf = ReturnType<typeof TabsPerf>;
 export const TabsPerf = record(Perf);
 
+// Unlike `TabsPerf`, which is only kept for the last few runs per tab, the perf
+// history keeps runs over time per origin in `storage.local`. That makes it
+// possible to spot regressions between versions.
+export const PERF_HISTORY_KEY = "perfHistory";
+
+// Keep the history small, since it is read and written as a whole and shares
+// the `storage.local` quota with the activation history.
+const MAX_PERF_HISTORY_ORIGINS = 20;
+export const MAX_PERF_HISTORY_RUNS = 30;
+
+export type PerfRun = ReturnType<typeof PerfRun>;
+const PerfRun = fieldsAuto({
+  // When hints mode was entered.
+  timestamp: number,
+  // The version of Link Hints that made the run.
+  version: string,
+  timeToFirstPaint: number,
+  timeToLastPaint: number,
+  topDurations: Durations,
+  // The durations of all frames, summed.
+  collectDurations: Durations,
+  renderDurations: Durations,
+});
+
+// Origin → runs, oldest first.
+export type PerfHistory = ReturnType<typeof PerfHistory>;
+export const PerfHistory = record(array(PerfRun));
+
+// Invalid origins and runs are skipped rather than failing the whole history,
+// since the next run would otherwise overwrite everything that was stored.
+export function decodePerfHistory(value: unknown): PerfHistory {
+  if (value === undefined) {
+    return {};
+  }
+  const origins = decode(
+    record((runs) => runs),
+    value
+  );
+  return Object.fromEntries(
+    Object.entries(origins).flatMap(([origin, runs]) => {
+      const validRuns = Array.isArray(runs)
+        ? runs.flatMap((run: unknown) => {
+            try {
+              return [PerfRun(run)];
+            } catch (error) {
+              if (error instanceof DecoderError) {
+                return [];
+              }
+              throw error;
+            }
+          })
+        : [];
+      return validRuns.length === 0 ? [] : [[origin, validRuns]];
+    })
+  );
+}
+
+export function addPerfRun(
+  history: PerfHistory,
+  origin: string,
+  run: PerfRun
+): PerfHistory {
+  const runs = (history[origin] ?? [])
+    .concat(run)
+    .slice(-MAX_PERF_HISTORY_RUNS);
+
+  // Keep the most recently used origins.
+  const origins = Object.entries({ ...history, [origin]: runs })
+    .sort(([, a], [, b]) => getLastTimestamp(b) - getLastTimestamp(a))
+    .slice(0, MAX_PERF_HISTORY_ORIGINS);
+
+  return Object.fromEntries(origins);
+}
+
+function getLastTimestamp(runs: Array<PerfRun>): number {
+  return runs.length === 0 ? 0 : runs[runs.length - 1].timestamp;
+}
+
+// The total duration of all phases with `label`, or of all phases.
+export function getDuration(durations: Durations, label?: string): number {
+  return durations.reduce(
+    (sum, [label2, duration]) =>
+      label === undefined || label2 === label ? sum + duration : sum,
+    0
+  );
+}
+
+export function sumDurations(allDurations: Array<Durations>): Durations {
+  const result = new Map<string, number>();
+
+  for (const durations of allDurations) {
+    for (const [label, duration] of durations) {
+      const previous = result.get(label) ?? 0;
+      result.set(label, previous + duration);
+    }
+  }
+
+  return Array.from(result);
+}
+
+// Nearest-rank percentile.
+export function getPercentile(
+  numbers: Array<number>,
+  percentile: number
+): number {
+  if (numbers.length === 0) {
+    return 0;
+  }
+  const sorted = numbers.slice().sort((a, b) => a - b);
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+export type Percentiles = {
+  p50: number;
+  p95: number;
+};
+
+export type PerfSummary = {
+  version: string;
+  numRuns: number;
+  timeToFirstPaint: Percentiles;
+  collect: Percentiles;
+  render: Percentiles;
+};
+
+// Summary statistics per version, newest version first.
+export function summarizePerfRuns(runs: Array<PerfRun>): Array<PerfSummary> {
+  const byVersion = new Map<string, Array<PerfRun>>();
+  for (const run of runs) {
+    const previous = byVersion.get(run.version);
+    if (previous !== undefined) {
+      previous.push(run);
+    } else {
+      byVersion.set(run.version, [run]);
+    }
+  }
+
+  return Array.from(byVersion, ([version, versionRuns]) => {
+    const percentiles = (fn: (run: PerfRun) => number): Percentiles => {
+      const numbers = versionRuns.map(fn);
+      return {
+        p50: getPercentile(numbers, 50),
+        p95: getPercentile(numbers, 95),
+      };
+    };
+
+    return {
+      version,
+      numRuns: versionRuns.length,
+      timeToFirstPaint: percentiles((run) => run.timeToFirstPaint),
+      collect: percentiles((run) => getDuration(run.topDurations, "collect")),
+      render: percentiles((run) => getDuration(run.topDurations, "render")),
+    };
+  }).reverse();
+}
+
+// The Trace Event Format, which can be loaded in the Performance panel of
+// the Chrome DevTools: <https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU>
+type TraceEvent =
+  | {
+      name: "process_name" | "thread_name";
+      ph: "M";
+      pid: number;
+      tid: number;
+      args: { name: string };
+    }
+  | {
+      name: string;
+      cat: string;
+      ph: "X";
+      ts: number; // µs
+      dur: number; // µs
+      pid: number;
+      tid: number;
+      args: Record<string, unknown>;
+    };
+
+const TRACE_THREADS = [
+  { tid: 1, name: "Background" },
+  { tid: 2, name: "Collect (all frames)" },
+  { tid: 3, name: "Render" },
+];
+
+// Each origin becomes a process. `TimeTracker` only records how long each
+// phase took, not when it started, so the phases are laid out one after the
+// other.
+export function perfHistoryToTrace(history: PerfHistory): {
+  traceEvents: Array<TraceEvent>;
+  displayTimeUnit: "ms";
+} {
+  const traceEvents = Object.entries(history).flatMap(
+    ([origin, runs], index): Array<TraceEvent> => {
+      const pid = index + 1;
+
+      const metadata: Array<TraceEvent> = [
+        { name: "process_name", ph: "M", pid, tid: 0, args: { name: origin } },
+        ...TRACE_THREADS.map(
+          ({ tid, name }): TraceEvent => ({
+            name: "thread_name",
+            ph: "M",
+            pid,
+            tid,
+            args: { name },
+          })
+        ),
+      ];
+
+      return metadata.concat(
+        runs.flatMap((run) => {
+          const start = run.timestamp * 1000;
+          const renderIndex = run.topDurations.findIndex(
+            ([label]) => label === "render"
+          );
+          const renderStart =
+            start +
+            getDuration(
+              renderIndex === -1
+                ? run.topDurations
+                : run.topDurations.slice(0, renderIndex)
+            ) *
+              1000;
+
+          return [
+            {
+              name: "Hints mode",
+              cat: "run",
+              ph: "X" as const,
+              ts: start,
+              dur: run.timeToLastPaint * 1000,
+              pid,
+              tid: 1,
+              args: {
+                version: run.version,
+                timeToFirstPaint: run.timeToFirstPaint,
+              },
+            },
+            ...durationsToTraceEvents(run.topDurations, start, pid, 1),
+            ...durationsToTraceEvents(run.collectDurations, start, pid, 2),
+            ...durationsToTraceEvents(run.renderDurations, renderStart, pid, 3),
+          ];
+        })
+      );
+    }
+  );
+
+  return { traceEvents, displayTimeUnit: "ms" };
+}
+
+function durationsToTraceEvents(
+  durations: Durations,
+  start: number,
+  pid: number,
+  tid: number
+): Array<TraceEvent> {
+  let ts = start;
+  return durations.map(([label, duration]) => {
+    const event: TraceEvent = {
+      name: label,
+      cat: "phase",
+      ph: "X",
+      ts,
+      dur: duration * 1000,
+      pid,
+      tid,
+      args: {},
+    };
+    ts += duration * 1000;
+    return event;
+  });
+}
+
 export class TimeTracker {
   _durations: Durations = [];
 
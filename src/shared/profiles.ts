@@ -0,0 +1,381 @@
+import { chain, DecoderError, string } from "tiny-decoders";
+import browser, { Storage } from "webextension-polyfill";
+
+import { DEBUG_PREFIX, FlatOptions } from "./options";
+
+// Profiles are named sets of options, such as “laptop” or “pair-programming”.
+//
+// The default profile is stored the way options always have been: Flattened
+// at the top level of `storage.sync`. Other profiles are stored with prefixed
+// keys, either in `storage.sync` (shared between devices) or `storage.local`
+// (this device only):
+//
+// - `profiles.<name>`: Marks that the profile exists.
+// - `profile.<name>.<key>`: The flattened options of the profile.
+// - `chunk.<index>.<key>`: Parts of values too large for one `storage.sync`
+//   item. See `setItems`.
+//
+// Which profile is active is stored per device in `storage.local`, so that
+// each machine can use its own profile while sharing the others.
+export const DEFAULT_PROFILE = "default";
+
+const PROFILE_META_PREFIX = "profiles.";
+const PROFILE_PREFIX = "profile.";
+const CHUNK_PREFIX = "chunk.";
+const ACTIVE_PROFILE_KEY = "activeProfile";
+
+// Chrome’s `storage.sync.QUOTA_BYTES_PER_ITEM`, which counts the key plus the
+// JSON of the value. Firefox has the same limit.
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+
+const CHUNK_REGEX = /^chunk\.(\d+)\.([^]*)$/;
+
+const CHUNKS_ERROR =
+  "The value was changed on several devices at the same time, and the parts of it do not match.";
+
+export type Profile = {
+  name: string;
+  sync: boolean;
+};
+
+export type ProfileName = ReturnType<typeof ProfileName>;
+export const ProfileName = chain(string, validateProfileName);
+
+const PROFILE_NAME_REGEX = /^[\w-]{1,30}$/;
+
+function validateProfileName(name: string): string {
+  if (!PROFILE_NAME_REGEX.test(name)) {
+    throw new DecoderError({
+      message:
+        "Profile names must be 1–30 characters long and only contain letters, digits, - and _",
+      value: name,
+    });
+  }
+  return name;
+}
+
+// Marks a value that has been split into chunks. `hash` makes it possible to
+// detect when two devices have written the chunks at the same time, and
+// `storage.sync` has ended up with a mix of them.
+type ChunksMarker = {
+  $chunks: number;
+  $hash: string;
+};
+
+function isChunksMarker(value: unknown): value is ChunksMarker {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    typeof (value as ChunksMarker).$chunks === "number" &&
+    typeof (value as ChunksMarker).$hash === "string"
+  );
+}
+
+function getArea(sync: boolean): Storage.StorageArea {
+  return sync ? browser.storage.sync : browser.storage.local;
+}
+
+function getPrefix(name: string): string {
+  return name === DEFAULT_PROFILE ? "" : `${PROFILE_PREFIX}${name}.`;
+}
+
+// Keys that belong to profiles rather than being options of the default
+// profile. Other code storing things in `storage.local` must leave these alone.
+export function isProfileStorageKey(key: string): boolean {
+  return (
+    key === ACTIVE_PROFILE_KEY ||
+    key.startsWith(PROFILE_META_PREFIX) ||
+    key.startsWith(PROFILE_PREFIX) ||
+    key.startsWith(CHUNK_PREFIX)
+  );
+}
+
+export async function getProfiles(): Promise<Array<Profile>> {
+  const [syncItems, localItems] = await Promise.all([
+    browser.storage.sync.get(),
+    browser.storage.local.get(),
+  ]);
+
+  const getNames = (items: Record<string, unknown>): Array<string> =>
+    Object.keys(items).flatMap((key) =>
+      key.startsWith(PROFILE_META_PREFIX)
+        ? [key.slice(PROFILE_META_PREFIX.length)]
+        : []
+    );
+
+  const syncNames = getNames(syncItems);
+
+  // If sync was turned on and off for a profile on two devices at the same
+  // time, it might exist in both places. The synced one wins.
+  const localNames = getNames(localItems).filter(
+    (name) => !syncNames.includes(name)
+  );
+
+  return [
+    { name: DEFAULT_PROFILE, sync: true },
+    ...[
+      ...syncNames.map((name) => ({ name, sync: true })),
+      ...localNames.map((name) => ({ name, sync: false })),
+    ]
+      .filter(({ name }) => name !== DEFAULT_PROFILE)
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  ];
+}
+
+export async function getActiveProfileName(): Promise<string> {
+  const { [ACTIVE_PROFILE_KEY]: name } = await browser.storage.local.get(
+    ACTIVE_PROFILE_KEY
+  );
+  return typeof name === "string" ? name : DEFAULT_PROFILE;
+}
+
+export async function setActiveProfileName(name: string): Promise<void> {
+  await (name === DEFAULT_PROFILE
+    ? browser.storage.local.remove(ACTIVE_PROFILE_KEY)
+    : browser.storage.local.set({ [ACTIVE_PROFILE_KEY]: name }));
+}
+
+export async function getRawProfileOptions(
+  profile: Profile
+): Promise<{ raw: FlatOptions; errors: Array<string> }> {
+  const prefix = getPrefix(profile.name);
+  const { items, errors } = joinChunks(await getArea(profile.sync).get());
+
+  const raw = Object.fromEntries(
+    Object.entries(items).flatMap(([key, value]): Array<[string, unknown]> => {
+      const optionKey = getOptionKey(key, prefix);
+      return optionKey === undefined ? [] : [[optionKey, value]];
+    })
+  );
+
+  return {
+    raw,
+    errors: errors.flatMap((key) => {
+      const optionKey = getOptionKey(key, prefix);
+      return optionKey === undefined
+        ? []
+        : [`${optionKey}: ${CHUNKS_ERROR}\nUsing the default value.`];
+    }),
+  };
+}
+
+function getOptionKey(key: string, prefix: string): string | undefined {
+  if (prefix === "") {
+    // Exclude all tweakables since they are handled completely differently.
+    return key.startsWith(DEBUG_PREFIX) || isProfileStorageKey(key)
+      ? undefined
+      : key;
+  }
+  return key.startsWith(prefix) ? key.slice(prefix.length) : undefined;
+}
+
+export async function saveRawProfileOptions(
+  profile: Profile,
+  keysToRemove: Array<string>,
+  optionsToSet: FlatOptions
+): Promise<void> {
+  const prefix = getPrefix(profile.name);
+  await setItems(
+    getArea(profile.sync),
+    keysToRemove.map((key) => `${prefix}${key}`),
+    Object.fromEntries(
+      Object.entries(optionsToSet).map(([key, value]) => [
+        `${prefix}${key}`,
+        value,
+      ])
+    )
+  );
+}
+
+export async function createProfile(
+  profile: Profile,
+  raw: FlatOptions
+): Promise<void> {
+  // Another device might have left options behind for a deleted profile with
+  // the same name. Start from a clean slate.
+  await removeProfileItems(profile.name);
+  await setItems(getArea(profile.sync), [], {
+    [`${PROFILE_META_PREFIX}${profile.name}`]: Date.now(),
+  });
+  await saveRawProfileOptions(profile, [], raw);
+}
+
+export async function deleteProfile(name: string): Promise<void> {
+  if (name === DEFAULT_PROFILE) {
+    return;
+  }
+  await removeProfileItems(name);
+  if ((await getActiveProfileName()) === name) {
+    await setActiveProfileName(DEFAULT_PROFILE);
+  }
+}
+
+// Removes all options of the profile, making it use the defaults.
+export async function clearProfile(profile: Profile): Promise<void> {
+  const prefix = getPrefix(profile.name);
+  const area = getArea(profile.sync);
+  // Go through the stored keys rather than `getRawProfileOptions`, so that
+  // values that fail to read are removed too.
+  const items = await area.get();
+  await setItems(
+    area,
+    Object.keys(items).filter((key) => getOptionKey(key, prefix) !== undefined),
+    {}
+  );
+}
+
+// Moves the profile between `storage.sync` and `storage.local`.
+export async function setProfileSync(
+  profile: Profile,
+  sync: boolean
+): Promise<void> {
+  if (profile.name === DEFAULT_PROFILE || profile.sync === sync) {
+    return;
+  }
+  const { raw } = await getRawProfileOptions(profile);
+  await removeProfileItems(profile.name);
+  await createProfile({ name: profile.name, sync }, raw);
+}
+
+async function removeProfileItems(name: string): Promise<void> {
+  const prefix = getPrefix(name);
+  for (const area of [browser.storage.sync, browser.storage.local]) {
+    const items = await area.get();
+    await setItems(
+      area,
+      Object.keys(items).filter(
+        (key) =>
+          key === `${PROFILE_META_PREFIX}${name}` || key.startsWith(prefix)
+      ),
+      {}
+    );
+  }
+}
+
+function joinChunks(items: Record<string, unknown>): {
+  items: Record<string, unknown>;
+  errors: Array<string>;
+} {
+  const joined: Record<string, unknown> = {};
+  const errors: Array<string> = [];
+
+  for (const [key, value] of Object.entries(items)) {
+    if (key.startsWith(CHUNK_PREFIX)) {
+      continue;
+    }
+
+    if (!isChunksMarker(value)) {
+      joined[key] = value;
+      continue;
+    }
+
+    const chunks = Array.from(
+      { length: value.$chunks },
+      (_, index) => items[`${CHUNK_PREFIX}${index}.${key}`]
+    );
+    const json = chunks.every((chunk) => typeof chunk === "string")
+      ? chunks.join("")
+      : undefined;
+
+    if (json === undefined || hashString(json) !== value.$hash) {
+      errors.push(key);
+      continue;
+    }
+
+    try {
+      joined[key] = JSON.parse(json);
+    } catch {
+      errors.push(key);
+    }
+  }
+
+  return { items: joined, errors };
+}
+
+// Sets and removes items, splitting values that are too large for
+// `storage.sync` into chunks, and cleaning up chunks no longer needed.
+async function setItems(
+  area: Storage.StorageArea,
+  keysToRemove: Array<string>,
+  itemsToSet: Record<string, unknown>
+): Promise<void> {
+  const existingKeys = Object.keys(await area.get());
+  const toSet: Record<string, unknown> = {};
+  const chunkCounts = new Map<string, number>();
+
+  for (const [key, value] of Object.entries(itemsToSet)) {
+    const json = JSON.stringify(value);
+    if (
+      area === browser.storage.sync &&
+      getByteSize(key + json) > SYNC_QUOTA_BYTES_PER_ITEM
+    ) {
+      const chunks = splitIntoChunks(json, key);
+      const marker: ChunksMarker = {
+        $chunks: chunks.length,
+        $hash: hashString(json),
+      };
+      toSet[key] = marker;
+      for (const [index, chunk] of chunks.entries()) {
+        toSet[`${CHUNK_PREFIX}${index}.${key}`] = chunk;
+      }
+      chunkCounts.set(key, chunks.length);
+    } else {
+      toSet[key] = value;
+      chunkCounts.set(key, 0);
+    }
+  }
+
+  for (const key of keysToRemove) {
+    chunkCounts.set(key, 0);
+  }
+
+  const staleChunkKeys = existingKeys.filter((existingKey) => {
+    const match = CHUNK_REGEX.exec(existingKey);
+    if (match === null) {
+      return false;
+    }
+    const count = chunkCounts.get(match[2]);
+    return count !== undefined && Number(match[1]) >= count;
+  });
+
+  await area.remove([...keysToRemove, ...staleChunkKeys]);
+  await area.set(toSet);
+}
+
+function splitIntoChunks(json: string, key: string): Array<string> {
+  // Leave room for the longest chunk key.
+  const maxBytes =
+    SYNC_QUOTA_BYTES_PER_ITEM -
+    getByteSize(`${CHUNK_PREFIX}${json.length}.${key}`);
+  const chunks: Array<string> = [];
+  let start = 0;
+
+  while (start < json.length) {
+    let end = Math.min(json.length, start + maxBytes);
+    while (getByteSize(JSON.stringify(json.slice(start, end))) > maxBytes) {
+      end -= Math.ceil((end - start) / 10);
+    }
+    // Don’t split surrogate pairs.
+    if (end < json.length && /[\uD800-\uDBFF]/.test(json[end - 1])) {
+      end--;
+    }
+    chunks.push(json.slice(start, end));
+    start = end;
+  }
+
+  return chunks;
+}
+
+function getByteSize(text: string): number {
+  return new TextEncoder().encode(text).length;
+}
+
+// djb2. Only used to detect mixed up chunks, so it does not need to be
+// cryptographically strong.
+function hashString(text: string): string {
+  let hash = 5381;
+  for (let index = 0; index < text.length; index++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(index)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
@@ -0,0 +1,127 @@
+import {
+  array,
+  chain,
+  DecoderError,
+  fieldsAuto,
+  multi,
+  number,
+  optional,
+  string,
+  stringUnion,
+} from "tiny-decoders";
+
+import type {
+  FromRenderer,
+  FromWorker,
+  ToRenderer,
+  ToWorker,
+} from "./messages";
+import { Options } from "./options";
+
+// Bump this when changing the format of recordings, or when messages change in
+// ways that make old recordings replay differently.
+export const RECORDING_VERSION = 2;
+
+// Recordings are kept in memory, so put a cap on them.
+export const MAX_RECORDING_ENTRIES = 10e3;
+
+export type RecordedMessage =
+  | { type: "FromRenderer"; message: FromRenderer }
+  | { type: "FromWorker"; message: FromWorker }
+  | { type: "ToRenderer"; message: ToRenderer }
+  | { type: "ToWorker"; message: ToWorker };
+
+const FrameId = multi({
+  number,
+  string: stringUnion({ all_frames: null }),
+});
+
+export type RecordingEntry = ReturnType<typeof RecordingEntry>;
+const RecordingEntry = fieldsAuto({
+  // Milliseconds since the start of the recording.
+  time: number,
+  tabId: number,
+  frameId: FrameId,
+  // The URL of the frame that sent the message, if any.
+  url: optional(string),
+  message: RecordedMessage,
+});
+
+export type Recording = ReturnType<typeof Recording>;
+export const Recording = fieldsAuto({
+  version: chain(number, validateVersion),
+  startTime: number,
+  // The options at the start of the recording. Replays use these instead of
+  // the current options, so that they get the same hints.
+  options: Options,
+  entries: array(RecordingEntry),
+});
+
+function validateVersion(version: number): number {
+  if (version !== RECORDING_VERSION) {
+    throw new DecoderError({
+      message: `Expected a recording of version ${RECORDING_VERSION}`,
+      value: version,
+    });
+  }
+
+  return version;
+}
+
+// Only the message types are checked. The rest is trusted to be whatever the
+// version of Link Hints that made the recording sent.
+function RecordedMessage(value: unknown): RecordedMessage {
+  const recordedMessage = fieldsAuto({
+    type: stringUnion({
+      FromRenderer: null,
+      FromWorker: null,
+      ToRenderer: null,
+      ToWorker: null,
+    }),
+    message: fieldsAuto({ type: string }, { exact: "allow extra" }),
+  })(value);
+  return recordedMessage as RecordedMessage;
+}
+
+// The worker messages that are fed back into the background program when
+// replaying. Everything else is either sent by the background program itself,
+// or has side effects outside the tab (like opening new tabs).
+export function isReplayedMessage(
+  recordedMessage: RecordedMessage
+): recordedMessage is { type: "FromWorker"; message: FromWorker } {
+  if (recordedMessage.type !== "FromWorker") {
+    return false;
+  }
+
+  switch (recordedMessage.message.type) {
+    case "KeyboardShortcutMatched":
+    case "NonKeyboardShortcutKeypress":
+    case "ReportTextRects":
+    case "ReportUpdatedElements":
+    case "ReportVisibleElements":
+      return true;
+
+    default:
+      return false;
+  }
+}
+
+export function describeRecordedMessage(
+  recordedMessage: RecordedMessage
+): string {
+  const { type, message } = recordedMessage;
+  switch (message.type) {
+    case "KeyboardShortcutMatched":
+      return `${type}: ${message.type} (${message.action})`;
+
+    case "NonKeyboardShortcutKeypress":
+      return `${type}: ${message.type} (${message.keypress.key})`;
+
+    case "ReportVisibleElements":
+    case "ReportUpdatedElements":
+      return `${type}: ${message.type} (${message.elements.length} elements)`;
+
+    default:
+      return `${type}: ${message.type}`;
+  }
+}
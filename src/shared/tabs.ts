@@ -0,0 +1,115 @@
+import browser, { Tabs } from "webextension-polyfill";
+
+import { matchText, splitEnteredText, TextFilter } from "./main";
+
+// What happens to the tab picked in the tab switcher.
+export type TabAction = "Activate" | "Close" | "Move";
+
+// A tab as shown in the tab switcher.
+export type SwitchableTab = {
+  id: number;
+  windowId: number;
+  index: number;
+  title: string;
+  url: string;
+  favIconUrl: string | undefined;
+  lastAccessed: number;
+  // Whether this is the tab the tab switcher was opened in.
+  current: boolean;
+  hint: string;
+  // Tabs not matching the entered text are hidden rather than removed, so
+  // that the rest keep their places in the list.
+  hidden: boolean;
+};
+
+// The tabs of the window of the current tab. With `preferWindows`, the active
+// tab of every window is listed instead, for people who use windows rather than
+// tabs.
+export async function getSwitchableTabs(
+  currentTabId: number,
+  { preferWindows = false }: { preferWindows?: boolean } = {}
+): Promise<Array<SwitchableTab>> {
+  const currentTab = await browser.tabs.get(currentTabId);
+  const tabs = await browser.tabs.query(
+    preferWindows
+      ? { active: true, windowType: "normal" }
+      : { windowId: currentTab.windowId }
+  );
+  return tabs.flatMap((tab: Tabs.Tab) => {
+    const switchableTab = makeSwitchableTab(tab, currentTabId);
+    return switchableTab === undefined ? [] : [switchableTab];
+  });
+}
+
+function makeSwitchableTab(
+  tab: Tabs.Tab,
+  currentTabId: number
+): SwitchableTab | undefined {
+  return tab.id === undefined || tab.windowId === undefined
+    ? undefined
+    : {
+        id: tab.id,
+        windowId: tab.windowId,
+        index: tab.index,
+        title: tab.title ?? "",
+        url: tab.url ?? "",
+        favIconUrl: tab.favIconUrl,
+        lastAccessed: tab.lastAccessed ?? 0,
+        current: tab.id === currentTabId,
+        hint: "",
+        hidden: false,
+      };
+}
+
+// Tabs are filtered by both title and URL, with the same rules as filtering
+// elements by text.
+export function matchesTab(
+  tab: SwitchableTab,
+  enteredText: string,
+  textFilter: TextFilter
+): boolean {
+  return (
+    matchText(
+      `${tab.title} ${tab.url}`,
+      splitEnteredText(enteredText),
+      textFilter
+    ) !== undefined
+  );
+}
+
+// `currentTab` is the tab that the tab switcher was opened in. “Move” puts the
+// tab just after it, pulling it into the current window if needed.
+export async function performTabAction(
+  action: TabAction,
+  tab: SwitchableTab,
+  currentTab: SwitchableTab
+): Promise<void> {
+  switch (action) {
+    case "Activate":
+      await browser.tabs.update(tab.id, { active: true });
+      if (tab.windowId !== currentTab.windowId) {
+        await browser.windows.update(tab.windowId, { focused: true });
+      }
+      return;
+
+    case "Close":
+      // Even with `PREFER_WINDOWS`, only close the tab and never the whole
+      // window with all of its tabs.
+      await browser.tabs.remove(tab.id);
+      return;
+
+    case "Move": {
+      if (tab.current) {
+        return;
+      }
+      // Taking out a tab to the left of the current tab shifts the current tab
+      // one step to the left.
+      const index =
+        tab.windowId === currentTab.windowId && tab.index < currentTab.index
+          ? currentTab.index
+          : currentTab.index + 1;
+      await browser.tabs.move(tab.id, { windowId: currentTab.windowId, index });
+      return;
+    }
+  }
+}
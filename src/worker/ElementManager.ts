@@ -8,6 +8,7 @@ import type {
 import {
   addEventListener,
   Box,
+  deepEqual,
   fireAndForget,
   getElementFromPoint,
   getElementsFromPoint,
@@ -21,6 +22,7 @@ import {
   SKIP_TEXT_ELEMENTS,
   walkTextNodes,
 } from "../shared/main";
+import { IncludeSelector, isValidSelector } from "../shared/options";
 import type { Durations, Stats, TimeTracker } from "../shared/perf";
 import {
   elementTypeSet,
@@ -257,6 +259,11 @@ type ShadowRootData = {
 
 type Deadline = { timeRemaining: () => number };
 
+type Selectors = {
+  include: Array<IncludeSelector>;
+  exclude: Array<string>;
+};
+
 const infiniteDeadline: Deadline = {
   timeRemaining: () => Infinity,
 };
@@ -278,6 +285,8 @@ export default class ElementManager {
 
   elementsWithClickListeners = new WeakSet<HTMLElement>();
 
+  selectors: Selectors = { include: [], exclude: [] };
+
   shadowRoots = new WeakMap<Element, ShadowRootData>();
 
   idleCallbackId: IdleCallbackID | undefined = undefined;
@@ -1064,7 +1073,7 @@ export default class ElementManager {
     const candidates =
       passedCandidates !== undefined
         ? passedCandidates
-        : types === "selectable"
+        : types === "selectable" || types === "scrollable" || types === "media"
         ? this.getAllElements(document)
         : this.elements.keys();
     const range = document.createRange();
@@ -1091,6 +1100,10 @@ export default class ElementManager {
         const type: ElementType | undefined =
           types === "selectable"
             ? this.getElementTypeSelectable(element)
+            : types === "scrollable"
+            ? this.getElementTypeScrollable(element)
+            : types === "media"
+            ? this.getElementTypeMedia(element)
             : this.elements.get(element);
 
         if (type === undefined) {
@@ -1103,7 +1116,12 @@ export default class ElementManager {
           };
         }
 
-        if (types !== "selectable" && !types.includes(type)) {
+        if (
+          types !== "selectable" &&
+          types !== "scrollable" &&
+          types !== "media" &&
+          !types.includes(type)
+        ) {
           return {
             isRejected: true,
             debug: {
@@ -1211,8 +1229,14 @@ export default class ElementManager {
         // In selectable mode we need to be able to select `<label>` text, and
         // click listeners aren't taken into account at all, so skip the deduping.
         // Also, a paragraph starting with an inline element shouldn't be deduped
-        // away – both should be selectable.
-        if (types !== "selectable") {
+        // away – both should be selectable. Nested scrollable elements are
+        // separate scroll targets, so don’t dedupe those either. Media elements
+        // are never wrapped in each other.
+        if (
+          types !== "selectable" &&
+          types !== "scrollable" &&
+          types !== "media"
+        ) {
           deduper.add(visibleElement);
         }
 
@@ -1289,11 +1313,51 @@ export default class ElementManager {
     });
   }
 
+  setSelectors(selectors: Selectors): void {
+    const newSelectors = {
+      include: selectors.include.filter(({ selector }) =>
+        isValidSelector(selector)
+      ),
+      exclude: selectors.exclude.filter(isValidSelector),
+    };
+
+    if (deepEqual(newSelectors, this.selectors)) {
+      return;
+    }
+
+    this.selectors = newSelectors;
+
+    // Elements already seen might get another type with the new selectors.
+    for (const element of this.getAllElements(document)) {
+      this.addOrRemoveElement("changed", element);
+    }
+  }
+
+  // The selectors from site rules win over all heuristics. `null` means that
+  // the element must not get a hint, while `undefined` means that the
+  // selectors don’t say anything about the element.
+  getElementTypeFromSelectors(
+    element: HTMLElement
+  ): ElementType | null | undefined {
+    const { include, exclude } = this.selectors;
+
+    if (exclude.some((selector) => element.matches(selector))) {
+      return null;
+    }
+
+    return include.find(({ selector }) => element.matches(selector))?.type;
+  }
+
   getElementType(element: HTMLElement): ElementType | undefined {
     if (isDisabled(element)) {
       return undefined;
     }
 
+    const typeFromSelectors = this.getElementTypeFromSelectors(element);
+    if (typeFromSelectors !== undefined) {
+      return typeFromSelectors === null ? undefined : typeFromSelectors;
+    }
+
     switch (element.localName) {
       case "a":
         return element instanceof HTMLAnchorElement
@@ -1387,6 +1451,14 @@ export default class ElementManager {
       return undefined;
     }
 
+    const typeFromSelectors = this.getElementTypeFromSelectors(element);
+    if (typeFromSelectors === null) {
+      return undefined;
+    }
+    if (typeFromSelectors === "selectable") {
+      return typeFromSelectors;
+    }
+
     switch (element.localName) {
       // Always consider the following elements as selectable, regardless of their
       // children, since they have special context menu items. A
@@ -1439,6 +1511,34 @@ export default class ElementManager {
       }
     }
   }
+
+  getElementTypeScrollable(element: HTMLElement): ElementType | undefined {
+    // `<textarea>` elements scroll too, but there the arrow keys move the
+    // caret instead. Use select hints mode for those.
+    if (
+      isDisabled(element) ||
+      element.localName === "textarea" ||
+      this.getElementTypeFromSelectors(element) === null
+    ) {
+      return undefined;
+    }
+
+    return isScrollable(element) ? "scrollable" : undefined;
+  }
+
+  // Video players often have overlays with click listeners on top of the
+  // `<video>`, which is why the media elements themselves are looked for here,
+  // rather than among the clickable elements.
+  getElementTypeMedia(element: HTMLElement): ElementType | undefined {
+    if (
+      !(element instanceof HTMLMediaElement) ||
+      this.getElementTypeFromSelectors(element) === null
+    ) {
+      return undefined;
+    }
+
+    return "media";
+  }
 }
 
 type Queue<T> = {
@@ -1684,7 +1784,11 @@ function getMeasurements(
     // Targeting those are the only reliable way of focusing CodeMirror
     // editors, and doing so without moving the caret.
     // <https://codemirror.net/demo/complete.html>
+    // Video players often cover the `<video>` with their own controls or with
+    // transparent overlays. The media hints mode controls the element directly,
+    // so it does not matter if it is covered.
     if (
+      elementType !== "media" &&
       !(
         element.localName === "textarea" &&
         // Use `element.clientWidth` instead of `pointBox.width` because the
@@ -1743,10 +1847,14 @@ function getSingleRectPoint({
   // hidden text nodes) and `contenteditable` elements, since it looks nicer
   // always placing the hint at the edge for such elements. Usually they are
   // tall enough to have their hint end up there. This ensures the hint is
-  // _always_ placed there for consistency.
+  // _always_ placed there for consistency. The same goes for scrollable
+  // elements, whose text usually belongs to elements further down the tree,
+  // and media elements, which have no text at all.
   time.start("getSingleRectPoint:tall");
   if (
     elementType === "textarea" ||
+    elementType === "scrollable" ||
+    elementType === "media" ||
     (elementType !== "selectable" && rect.height >= t.MIN_HEIGHT_BOX.value)
   ) {
     return {
@@ -2205,6 +2313,43 @@ function area(rect: ClientRect): number {
   return rect.width * rect.height;
 }
 
+function isScrollable(element: HTMLElement): boolean {
+  // Comparing sizes is cheap and rules out almost all elements before calling
+  // the more expensive `getComputedStyle`.
+  const overflowsY = element.scrollHeight > element.clientHeight;
+  const overflowsX = element.scrollWidth > element.clientWidth;
+  if (!overflowsY && !overflowsX) {
+    return false;
+  }
+
+  // The root element of a frame scrolls the whole frame, even with
+  // `overflow: visible`. Skip it in the top frame, since the page itself is
+  // already where scrolling happens by default.
+  const isRoot = element === element.ownerDocument.scrollingElement;
+  if (isRoot && window.top === window) {
+    return false;
+  }
+
+  const style = window.getComputedStyle(element);
+  return (
+    (overflowsY && canOverflowScroll(style.overflowY, isRoot)) ||
+    (overflowsX && canOverflowScroll(style.overflowX, isRoot))
+  );
+}
+
+function canOverflowScroll(overflow: string, isRoot: boolean): boolean {
+  switch (overflow) {
+    case "auto":
+    case "overlay":
+    case "scroll":
+      return true;
+    case "visible":
+      return isRoot;
+    default:
+      return false;
+  }
+}
+
 function hintWeight(
   elementType: ElementType,
   visibleBoxes: Array<Box>
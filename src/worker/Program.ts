@@ -4,12 +4,16 @@ import type {
   VisibleElement,
 } from "../shared/hints";
 import {
+  CopyFormat,
+  getSequenceKeys,
   isModifierKey,
   keyboardEventToKeypress,
   KeyboardMapping,
   KeyboardModeWorker,
   KeyTranslations,
+  NormalizedKeypress,
   normalizeKeypress,
+  SingleShortcut,
 } from "../shared/keyboard";
 import {
   addEventListener,
@@ -17,17 +21,23 @@ import {
   Box,
   CONTAINER_ID,
   decode,
+  deepEqual,
   extractText,
   fireAndForget,
+  foldText,
   getLabels,
+  getTextRanges,
   getTextRects,
   getViewport,
   LAST_NON_WHITESPACE,
   log,
   NON_WHITESPACE,
   Resets,
+  TextFilter,
+  timeout,
   walkTextNodes,
 } from "../shared/main";
+import type { MediaCommand, MediaState } from "../shared/media";
 import type {
   ChromiumVariant,
   FromBackground,
@@ -35,7 +45,12 @@ import type {
   ToBackground,
 } from "../shared/messages";
 import { TimeTracker } from "../shared/perf";
-import { selectorString, tweakable, unsignedInt } from "../shared/tweakable";
+import {
+  selectorString,
+  tweakable,
+  unsignedFloat,
+  unsignedInt,
+} from "../shared/tweakable";
 import { FrameMessage } from "./decoders";
 import ElementManager from "./ElementManager";
 
@@ -46,9 +61,14 @@ type CurrentElements = {
   types: ElementTypes;
   indexes: Array<number>;
   words: Array<string>;
+  textFilter: TextFilter;
   waitId: WaitId;
 };
 
+type SequenceMatch =
+  | { type: "Complete"; mapping: KeyboardMapping }
+  | { type: "Partial"; sequence: Array<SingleShortcut> };
+
 type WaitId =
   | {
       tag: "NotWaiting";
@@ -70,6 +90,12 @@ export const t = {
     "img, audio, video, object, embed, iframe, frame, input, textarea, select, progress, meter, canvas"
   ),
   HINTS_REFRESH_IDLE_CALLBACK_TIMEOUT: unsignedInt(100), // ms
+  // Longer link texts are sentences rather than “Next” buttons.
+  MAX_PAGE_LINK_TEXT_LENGTH: unsignedInt(40),
+  // How far the media controls seek, and how much they change the speed.
+  MEDIA_SEEK_STEP: unsignedInt(10), // s
+  MEDIA_PLAYBACK_RATE_STEP: unsignedFloat(0.25),
+  MEDIA_MAX_PLAYBACK_RATE: unsignedFloat(4),
 };
 
 export const tMeta = tweakable("Worker", t);
@@ -83,8 +109,24 @@ export default class WorkerProgram {
 
   keyTranslations: KeyTranslations = {};
 
+  sequenceTimeout = 0;
+
+  // The keys pressed so far of a key sequence, such as `g` of `g f`.
+  pendingSequence:
+    | { sequence: Array<SingleShortcut>; cancelTimeout: () => void }
+    | undefined = undefined;
+
   current: CurrentElements | undefined = undefined;
 
+  // The element hovered by `EnterHintsMode_Hover`, so that it can be left
+  // again by `EnterHintsMode_Unhover`.
+  hoveredElement: HTMLElement | undefined = undefined;
+
+  // The last text input used on the page, which `FocusInput` focuses first.
+  lastFocusedTextInput:
+    | { element: HTMLElement; timestamp: number }
+    | undefined = undefined;
+
   oneTimeWindowMessageToken: string | undefined = undefined;
 
   mac = false;
@@ -130,6 +172,7 @@ export default class WorkerProgram {
     this.elementManager.stop();
     this.oneTimeWindowMessageToken = undefined;
     this.suppressNextKeyup = undefined;
+    this.hoveredElement = undefined;
     this.clearCurrent();
   }
 
@@ -164,6 +207,13 @@ export default class WorkerProgram {
         this.onWindowMessage.bind(this),
         "WorkerProgram#onWindowMessage"
       ),
+      addEventListener(
+        window,
+        "focusin",
+        this.onFocusIn.bind(this),
+        "WorkerProgram#onFocusIn",
+        { passive: true }
+      ),
       addEventListener(
         window,
         "pagehide",
@@ -201,8 +251,16 @@ export default class WorkerProgram {
         this.keyboardShortcuts = message.keyboardShortcuts;
         this.keyboardMode = message.keyboardMode;
         this.keyTranslations = message.keyTranslations;
+        this.sequenceTimeout = message.sequenceTimeout;
+        if (this.keyboardMode !== "Normal") {
+          this.setPendingSequence([]);
+        }
         this.oneTimeWindowMessageToken = message.oneTimeWindowMessageToken;
         this.mac = message.mac;
+        this.elementManager.setSelectors({
+          include: message.includeSelectors,
+          exclude: message.excludeSelectors,
+        });
 
         if (message.clearElements) {
           this.clearCurrent();
@@ -277,19 +335,20 @@ export default class WorkerProgram {
           return;
         }
 
-        const { indexes, words } = message;
+        const { indexes, words, textFilter } = message;
         current.indexes = indexes;
         current.words = words;
+        current.textFilter = textFilter;
 
         const elements = current.elements.filter((_elementData, index) =>
           indexes.includes(index)
         );
-        const wordsSet = new Set(words);
         const rects = elements.flatMap((elementData) =>
           getTextRectsHelper({
             element: elementData.element,
             viewports: current.viewports,
-            words: wordsSet,
+            words,
+            textFilter,
           })
         );
 
@@ -322,6 +381,21 @@ export default class WorkerProgram {
         break;
       }
 
+      // `confirm` blocks the page until answered, so the hints are still the
+      // same when the background program gets the answer.
+      case "ConfirmActivateAllMatching": {
+        const question = message.click
+          ? `Click ${message.count} elements?`
+          : `Open ${message.count} links in new tabs?`;
+        if (window.confirm(question)) {
+          this.sendMessage({
+            type: "ActivateAllMatchingConfirmed",
+            click: message.click,
+          });
+        }
+        break;
+      }
+
       case "ClickElement": {
         const elementData = this.getElement(message.index);
 
@@ -349,6 +423,107 @@ export default class WorkerProgram {
         break;
       }
 
+      case "HoverElement": {
+        const elementData = this.getElement(message.index);
+
+        if (elementData === undefined) {
+          log("error", "HoverElement: Missing element", message, this.current);
+          return;
+        }
+
+        log("log", "WorkerProgram: HoverElement", elementData);
+
+        this.hoverElement(elementData.element);
+        break;
+      }
+
+      case "UnhoverElement":
+        this.unhoverElement();
+        break;
+
+      case "FocusScrollableElement": {
+        const elementData = this.getElement(message.index);
+        if (elementData === undefined) {
+          log(
+            "error",
+            "FocusScrollableElement: Missing element",
+            message,
+            this.current
+          );
+          return;
+        }
+
+        log("log", "WorkerProgram: FocusScrollableElement", elementData);
+
+        const { element } = elementData;
+
+        // The arrow keys, Page Up/Down and Space scroll the focused element
+        // (or its closest scrollable ancestor). Focusing doesn’t click
+        // anything inside the element. The root element of a frame can’t be
+        // focused, but focusing the frame itself does the same thing.
+        if (element === document.scrollingElement) {
+          this.elementManager.getActiveElement(document)?.blur();
+          window.focus();
+        } else if (element !== this.elementManager.getActiveElement(document)) {
+          focusElement(element);
+        }
+
+        flashElement(element);
+        break;
+      }
+
+      case "FocusTextInput": {
+        const elementData = this.getElement(message.index);
+        if (elementData === undefined) {
+          log(
+            "error",
+            "FocusTextInput: Missing element",
+            message,
+            this.current
+          );
+          return;
+        }
+
+        const { element } = elementData;
+        if (element !== this.elementManager.getActiveElement(document)) {
+          focusElement(element);
+        }
+
+        break;
+      }
+
+      case "ControlMedia": {
+        const elementData = this.getElement(message.index);
+        if (
+          elementData === undefined ||
+          !(elementData.element instanceof HTMLMediaElement)
+        ) {
+          log(
+            "error",
+            "ControlMedia: Missing media element",
+            message,
+            this.current
+          );
+          return;
+        }
+
+        log("log", "WorkerProgram: ControlMedia", elementData);
+
+        const { element } = elementData;
+
+        if (message.command === undefined) {
+          flashElement(element);
+        } else {
+          controlMedia(element, message.command);
+        }
+
+        this.sendMessage({
+          type: "MediaControlled",
+          state: getMediaState(element),
+        });
+        break;
+      }
+
       case "SelectElement": {
         const elementData = this.getElement(message.index);
         if (elementData === undefined) {
@@ -411,6 +586,54 @@ export default class WorkerProgram {
         break;
       }
 
+      case "SelectTextRange": {
+        const elementData = this.getElement(message.index);
+        if (elementData === undefined) {
+          log(
+            "error",
+            "SelectTextRange: Missing element",
+            message,
+            this.current
+          );
+          return;
+        }
+
+        log("log", "WorkerProgram: SelectTextRange", elementData);
+
+        const selection = window.getSelection();
+        if (selection === null) {
+          return;
+        }
+
+        const range = getHintedTextRange(
+          elementData.element,
+          message.words,
+          message.textFilter
+        );
+
+        // Firefox won’t select text inside a ShadowRoot without this timeout.
+        setTimeout(() => {
+          if (message.extend) {
+            extendSelection(selection, range);
+          } else {
+            selection.removeAllRanges();
+            selection.addRange(range);
+          }
+
+          if (message.copy) {
+            const text = selection.toString();
+            fireAndForget(
+              navigator.clipboard.writeText(text),
+              "WorkerProgram#onMessage->SelectTextRange->clipboard.writeText",
+              message,
+              text
+            );
+          }
+        }, 0);
+
+        break;
+      }
+
       case "CopyElement": {
         const elementData = this.getElement(message.index);
         if (elementData === undefined) {
@@ -421,44 +644,32 @@ export default class WorkerProgram {
         log("log", "WorkerProgram: CopyElement", elementData);
 
         const { element } = elementData;
-        const text: string =
-          element instanceof HTMLAnchorElement
-            ? element.href
-            : element instanceof HTMLImageElement ||
-              element instanceof HTMLMediaElement
-            ? element.currentSrc
-            : element instanceof HTMLObjectElement
-            ? element.data
-            : element instanceof HTMLEmbedElement ||
-              element instanceof HTMLIFrameElement ||
-              element instanceof HTMLFrameElement
-            ? element.src
-            : element instanceof HTMLInputElement ||
-              element instanceof HTMLTextAreaElement ||
-              element instanceof HTMLSelectElement
-            ? element.value
-            : element instanceof HTMLProgressElement ||
-              element instanceof HTMLMeterElement
-            ? element.value.toString()
-            : element instanceof HTMLCanvasElement
-            ? element.toDataURL()
-            : element instanceof HTMLPreElement
-            ? extractText(element)
-            : // eslint-disable-next-line @typescript-eslint/strict-boolean-expressions
-              normalizeWhitespace(extractText(element)) || element.outerHTML;
-
-        fireAndForget(
-          navigator.clipboard.writeText(text),
-          "WorkerProgram#onMessage->CopyElement->clipboard.writeText",
-          message,
-          text
-        );
+        const text = getCopyText(element, message.format);
+
+        if (message.slot === undefined) {
+          fireAndForget(
+            navigator.clipboard.writeText(text),
+            "WorkerProgram#onMessage->CopyElement->clipboard.writeText",
+            message,
+            text
+          );
+        } else {
+          this.sendMessage({ type: "CopiedElement", text, slot: message.slot });
+        }
 
         flashElement(element);
 
         break;
       }
 
+      case "WriteClipboard":
+        fireAndForget(
+          navigator.clipboard.writeText(message.text),
+          "WorkerProgram#onMessage->WriteClipboard->clipboard.writeText",
+          message
+        );
+        break;
+
       // Used instead of `browser.tabs.create` in Chrome, to have the opened tab
       // end up in the same position as if you'd clicked a link with the mouse.
       // This technique does not seem to work in Firefox, but it's not needed
@@ -484,6 +695,10 @@ export default class WorkerProgram {
         break;
       }
 
+      case "GoToPage":
+        this.goToPage(message.direction, message.words);
+        break;
+
       case "ReverseSelection": {
         const selection = window.getSelection();
         if (selection !== null) {
@@ -587,20 +802,28 @@ export default class WorkerProgram {
       keyTranslations: this.keyTranslations,
     });
 
-    const match = this.keyboardShortcuts.find((mapping) => {
-      const { shortcut } = mapping;
-      return (
-        keypress.key === shortcut.key &&
-        keypress.alt === shortcut.alt &&
-        keypress.cmd === shortcut.cmd &&
-        keypress.ctrl === shortcut.ctrl &&
-        (keypress.shift === undefined || keypress.shift === shortcut.shift)
-      );
-    });
+    const shortcutMatch = this.keyboardShortcuts.find(
+      (mapping) =>
+        mapping.shortcut.sequence === undefined &&
+        matchesShortcut(keypress, mapping.shortcut)
+    );
+
+    let sequenceMatch: SequenceMatch | undefined = undefined;
+    if (shortcutMatch === undefined) {
+      sequenceMatch = this.matchSequence(event, keypress);
+    } else {
+      this.setPendingSequence([]);
+    }
+
+    const match =
+      shortcutMatch ??
+      (sequenceMatch?.type === "Complete" ? sequenceMatch.mapping : undefined);
 
     const suppress =
-      // If we matched one of our keyboard shortcuts, always suppress.
+      // If we matched one of our keyboard shortcuts (or the start of a key
+      // sequence), always suppress.
       match !== undefined ||
+      sequenceMatch !== undefined ||
       // Just after activating a hint, suppress everything for a short while.
       this.keyboardMode === "PreventOverTyping" ||
       // When capturing keypresses in the Options UI, always suppress.
@@ -646,6 +869,7 @@ export default class WorkerProgram {
         code: event.code,
         event,
         match,
+        pendingSequence: this.pendingSequence?.sequence,
         keyboardMode: this.keyboardMode,
         suppressNextKeyup: this.suppressNextKeyup,
       });
@@ -682,6 +906,65 @@ export default class WorkerProgram {
     }
   }
 
+  matchSequence(
+    event: KeyboardEvent,
+    keypress: NormalizedKeypress
+  ): SequenceMatch | undefined {
+    // Key sequences usually don’t use modifiers, so they are only available in
+    // Normal mode, and never while typing in a text input.
+    const activeElement = this.elementManager.getActiveElement(document);
+    if (
+      this.keyboardMode !== "Normal" ||
+      (activeElement !== undefined && isTextInput(activeElement))
+    ) {
+      this.setPendingSequence([]);
+      return undefined;
+    }
+
+    const sequence = this.pendingSequence?.sequence ?? [];
+
+    // Keep the pending sequence while holding a key, or pressing shift to type
+    // the next key of the sequence.
+    if (event.repeat || isModifierKey(event.key)) {
+      return sequence.length > 0 ? { type: "Partial", sequence } : undefined;
+    }
+
+    const newMatch =
+      getSequenceMatch(this.keyboardShortcuts, sequence, keypress) ??
+      // A key that doesn’t continue the pending sequence might start a new one.
+      (sequence.length > 0
+        ? getSequenceMatch(this.keyboardShortcuts, [], keypress)
+        : undefined);
+
+    this.setPendingSequence(
+      newMatch?.type === "Partial" ? newMatch.sequence : []
+    );
+
+    return newMatch;
+  }
+
+  setPendingSequence(sequence: Array<SingleShortcut>): void {
+    const { pendingSequence } = this;
+
+    if (pendingSequence !== undefined) {
+      pendingSequence.cancelTimeout();
+    } else if (sequence.length === 0) {
+      return;
+    }
+
+    this.pendingSequence =
+      sequence.length === 0
+        ? undefined
+        : {
+            sequence,
+            cancelTimeout: timeout(this.sequenceTimeout, () => {
+              this.setPendingSequence([]);
+            }),
+          };
+
+    this.sendMessage({ type: "PendingSequence", sequence });
+  }
+
   onKeyup(event: KeyboardEvent): void {
     if (!event.isTrusted) {
       log("log", "WorkerProgram#onKeyup", "ignoring untrusted event", event);
@@ -727,6 +1010,17 @@ export default class WorkerProgram {
     }
   }
 
+  onFocusIn(): void {
+    // `event.target` is the shadow host for text inputs in shadow roots.
+    const activeElement = this.elementManager.getActiveElement(document);
+    if (activeElement !== undefined && isTextInput(activeElement)) {
+      this.lastFocusedTextInput = {
+        element: activeElement,
+        timestamp: Date.now(),
+      };
+    }
+  }
+
   onPageHide(event: Event): void {
     if (!event.isTrusted) {
       log("log", "WorkerProgram#onPageHide", "ignoring untrusted event", event);
@@ -808,6 +1102,7 @@ export default class WorkerProgram {
     const elementReports = makeElementReports(elements, {
       maxDuration: timeLeft,
       prefix: "WorkerProgram#reportVisibleElements",
+      lastFocusedTextInput: this.lastFocusedTextInput,
     });
 
     time.start("send results");
@@ -825,6 +1120,7 @@ export default class WorkerProgram {
       types,
       indexes: [],
       words: [],
+      textFilter: "Strict",
       waitId: { tag: "NotWaiting" },
     };
   }
@@ -844,7 +1140,7 @@ export default class WorkerProgram {
         current.elements.map(({ element }) => element)
       );
 
-    const { words } = current;
+    const { words, textFilter } = current;
 
     if (oneTimeWindowMessageToken !== undefined) {
       for (const frame of current.frames) {
@@ -862,7 +1158,6 @@ export default class WorkerProgram {
       }
     }
 
-    const wordsSet = new Set(words);
     const rects =
       words.length === 0
         ? []
@@ -873,13 +1168,15 @@ export default class WorkerProgram {
             return getTextRectsHelper({
               element: maybeItem.element,
               viewports: current.viewports,
-              words: wordsSet,
+              words,
+              textFilter,
             });
           });
 
     const elementReports = makeElementReports(elements, {
       maxDuration: timeLeft,
       prefix: "WorkerProgram#updateVisibleElements",
+      lastFocusedTextInput: this.lastFocusedTextInput,
     });
 
     this.sendMessage({
@@ -920,19 +1217,7 @@ export default class WorkerProgram {
 
     const targetElement = getTargetElement(element);
 
-    const rect = targetElement.getBoundingClientRect();
-    const options = {
-      // Mimic real events as closely as possible.
-      bubbles: true,
-      cancelable: true,
-      composed: true,
-      detail: 1,
-      view: window,
-      // These seem to automatically set `x`, `y`, `pageX` and `pageY` as well.
-      // There’s also `screenX` and `screenY`, but we can’t know those.
-      clientX: Math.round(rect.left),
-      clientY: Math.round(rect.top + rect.height / 2),
-    };
+    const options = getMouseEventOptions(targetElement);
 
     // Just calling `.click()` isn’t enough to open dropdowns in gmail. That
     // requires the full mousedown+mouseup+click event sequence.
@@ -990,6 +1275,139 @@ export default class WorkerProgram {
     return defaultPrevented;
   }
 
+  goToPage(direction: PageDirection, words: Array<string>): void {
+    const relLink = getRelLink(direction);
+
+    // `<link>` elements are in `<head>` and can’t be clicked.
+    if (relLink instanceof HTMLLinkElement) {
+      log("log", "WorkerProgram#goToPage", "rel link", relLink);
+      window.location.href = relLink.href;
+      return;
+    }
+
+    const element = relLink ?? this.getPageLink(direction, words);
+    if (element === undefined) {
+      log("log", "WorkerProgram#goToPage", "No page link found", {
+        direction,
+        words,
+      });
+      return;
+    }
+
+    log("log", "WorkerProgram#goToPage", "link", element);
+
+    // Click rather than following `href`, so that single-page apps can handle
+    // the navigation, and so that it works for buttons.
+    flashElement(element);
+    this.clickElement(element);
+  }
+
+  // Find the visible link or button whose text looks the most like “Next” (or
+  // “Previous”), using the same visibility checks as for hints.
+  getPageLink(
+    direction: PageDirection,
+    words: Array<string>
+  ): HTMLElement | undefined {
+    const [elements] = this.elementManager.getVisibleElements(
+      PAGE_LINK_TYPES,
+      [getViewport()],
+      new TimeTracker()
+    );
+
+    const patterns = words.map((word) => makeWordPattern(foldText(word)));
+    const currentPageNumber = getCurrentPageNumber();
+    const pageNumber =
+      currentPageNumber === undefined
+        ? undefined
+        : currentPageNumber + (direction === "Next" ? 1 : -1);
+
+    let best: { element: HTMLElement; score: number } | undefined = undefined;
+
+    for (const elementData of elements) {
+      if (elementData === undefined) {
+        continue;
+      }
+      const { element } = elementData;
+      const score = getPageLinkScore(element, patterns, pageNumber);
+      if (score > 0 && (best === undefined || score > best.score)) {
+        best = { element, score };
+      }
+    }
+
+    return best?.element;
+  }
+
+  // Some menus and tooltips only open on hover. Mimic moving the mouse onto
+  // the element, without clicking it. The “over”, “move” and “out” events
+  // bubble and are composed, so they reach listeners outside shadow roots. The
+  // “enter” and “leave” events don’t bubble, so they are dispatched to every
+  // ancestor the mouse enters or leaves instead, just like the browser does.
+  hoverElement(element: HTMLElement): void {
+    this.unhoverElement();
+
+    const targetElement = getTargetElement(element);
+    const options = getMouseEventOptions(targetElement);
+    const pointerOptions = { ...options, ...POINTER_OPTIONS };
+    // The outermost ancestor is entered first.
+    const enterTargets = getAncestorElements(targetElement).reverse();
+
+    targetElement.dispatchEvent(
+      new PointerEvent("pointerover", pointerOptions)
+    );
+    for (const target of enterTargets) {
+      target.dispatchEvent(
+        new PointerEvent("pointerenter", { ...pointerOptions, ...NO_BUBBLE })
+      );
+    }
+    targetElement.dispatchEvent(new MouseEvent("mouseover", options));
+    for (const target of enterTargets) {
+      target.dispatchEvent(
+        new MouseEvent("mouseenter", { ...options, ...NO_BUBBLE })
+      );
+    }
+    targetElement.dispatchEvent(
+      new PointerEvent("pointermove", pointerOptions)
+    );
+    targetElement.dispatchEvent(new MouseEvent("mousemove", options));
+
+    this.hoveredElement = targetElement;
+  }
+
+  unhoverElement(): void {
+    const { hoveredElement } = this;
+    if (hoveredElement === undefined) {
+      return;
+    }
+
+    this.hoveredElement = undefined;
+
+    // The element might have been removed since it was hovered. Then there’s
+    // no need to leave it.
+    if (!hoveredElement.isConnected) {
+      return;
+    }
+
+    const options = getMouseEventOptions(hoveredElement);
+    const pointerOptions = { ...options, ...POINTER_OPTIONS };
+    // The innermost element is left first.
+    const leaveTargets = getAncestorElements(hoveredElement);
+
+    hoveredElement.dispatchEvent(
+      new PointerEvent("pointerout", pointerOptions)
+    );
+    for (const target of leaveTargets) {
+      target.dispatchEvent(
+        new PointerEvent("pointerleave", { ...pointerOptions, ...NO_BUBBLE })
+      );
+    }
+    hoveredElement.dispatchEvent(new MouseEvent("mouseout", options));
+    for (const target of leaveTargets) {
+      target.dispatchEvent(
+        new MouseEvent("mouseleave", { ...options, ...NO_BUBBLE })
+      );
+    }
+  }
+
   clearCurrent(): void {
     if (this.current !== undefined) {
       const { waitId } = this.current;
@@ -1132,6 +1550,42 @@ function getTargetElement(element: HTMLElement): HTMLElement {
     : element;
 }
 
+function getMouseEventOptions(element: HTMLElement): MouseEventInit {
+  const rect = element.getBoundingClientRect();
+  return {
+    // Mimic real events as closely as possible.
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    detail: 1,
+    view: window,
+    // These seem to automatically set `x`, `y`, `pageX` and `pageY` as well.
+    // There’s also `screenX` and `screenY`, but we can’t know those.
+    clientX: Math.round(rect.left),
+    clientY: Math.round(rect.top + rect.height / 2),
+  };
+}
+
+const POINTER_OPTIONS: PointerEventInit = {
+  pointerId: 1,
+  pointerType: "mouse",
+  isPrimary: true,
+};
+
+// “enter” and “leave” events are neither bubbling nor cancelable.
+const NO_BUBBLE: MouseEventInit = {
+  bubbles: false,
+  cancelable: false,
+  composed: false,
+};
+
+// The element itself and all its ancestors, including shadow hosts.
+function getAncestorElements(element: HTMLElement): Array<Element> {
+  return Array.from(getAllEventTargetsUpwards(element)).filter(
+    (target): target is Element => target instanceof Element
+  );
+}
+
 // https://html.spec.whatwg.org/multipage/common-microsyntaxes.html#rules-for-parsing-integers
 const TABINDEX = /^\s*([+-]?\d+)\s*$/;
 
@@ -1169,6 +1623,47 @@ function isFocusable(element: HTMLElement): boolean {
   return TABINDEX.test(attrValue);
 }
 
+function matchesShortcut(
+  keypress: NormalizedKeypress,
+  shortcut: SingleShortcut
+): boolean {
+  return (
+    keypress.key === shortcut.key &&
+    keypress.alt === shortcut.alt &&
+    keypress.cmd === shortcut.cmd &&
+    keypress.ctrl === shortcut.ctrl &&
+    (keypress.shift === undefined || keypress.shift === shortcut.shift)
+  );
+}
+
+// Sequences fire as soon as they are complete, even if a longer sequence starts
+// the same way. The options page warns about such sequences.
+function getSequenceMatch(
+  mappings: Array<KeyboardMapping>,
+  pending: Array<SingleShortcut>,
+  keypress: NormalizedKeypress
+): SequenceMatch | undefined {
+  let partial: Array<SingleShortcut> | undefined = undefined;
+
+  for (const mapping of mappings) {
+    const keys = getSequenceKeys(mapping.shortcut);
+    if (
+      keys.length > pending.length &&
+      pending.every((key, index) => deepEqual(key, keys[index])) &&
+      matchesShortcut(keypress, keys[pending.length])
+    ) {
+      if (keys.length === pending.length + 1) {
+        return { type: "Complete", mapping };
+      }
+      partial ??= keys.slice(0, pending.length + 1);
+    }
+  }
+
+  return partial === undefined
+    ? undefined
+    : { type: "Partial", sequence: partial };
+}
+
 function isTextInput(element: HTMLElement): boolean {
   return (
     element.isContentEditable ||
@@ -1259,6 +1754,123 @@ function selectNodeContents(element: HTMLElement): Range {
   return range;
 }
 
+// The text of the element, or just the part of it matching the entered text (the
+// same part that `getTextRects` highlights). Then the selection can start or
+// end in the middle of a paragraph.
+function getHintedTextRange(
+  element: HTMLElement,
+  words: Array<string>,
+  textFilter: TextFilter
+): Range {
+  const ranges = getTextRanges({ element, words, textFilter });
+  const first = ranges[0];
+  const last = ranges[ranges.length - 1];
+
+  if (first === undefined || last === undefined) {
+    return selectNodeContents(element);
+  }
+
+  const range = document.createRange();
+  range.setStart(first.startContainer, first.startOffset);
+  range.setEnd(last.endContainer, last.endOffset);
+  return range;
+}
+
+type BoundaryPoint = {
+  node: Node;
+  offset: number;
+};
+
+// Extend the selection so that it covers `range`, keeping the end of the
+// selection furthest away from `range` in place. Without a selection, just
+// select `range`.
+function extendSelection(selection: Selection, range: Range): void {
+  const current = getSelectionPoints(selection);
+  const start = { node: range.startContainer, offset: range.startOffset };
+  const end = { node: range.endContainer, offset: range.endOffset };
+
+  if (current === undefined) {
+    selection.removeAllRanges();
+    selection.addRange(range);
+    return;
+  }
+
+  const [anchor, focus] =
+    comparePoints(start, current.start) < 0
+      ? [current.end, start]
+      : [current.start, end];
+
+  // The selection may span shadow DOM boundaries in browsers that support it.
+  // Others throw or silently collapse the selection instead.
+  try {
+    selection.setBaseAndExtent(
+      anchor.node,
+      anchor.offset,
+      focus.node,
+      focus.offset
+    );
+  } catch (error) {
+    log("warn", "extendSelection: Failed to extend selection", {
+      anchor,
+      focus,
+      error,
+    });
+  }
+}
+
+function getSelectionPoints(
+  selection: Selection
+): { start: BoundaryPoint; end: BoundaryPoint } | undefined {
+  const { anchorNode, focusNode } = selection;
+
+  if (anchorNode === null || focusNode === null) {
+    return undefined;
+  }
+
+  const anchor = { node: anchorNode, offset: selection.anchorOffset };
+  const focus = { node: focusNode, offset: selection.focusOffset };
+
+  return comparePoints(anchor, focus) <= 0
+    ? { start: anchor, end: focus }
+    : { start: focus, end: anchor };
+}
+
+// Negative if `a` comes before `b`, positive if after and 0 if they are the same
+// (or cannot be told apart).
+function comparePoints(a: BoundaryPoint, b: BoundaryPoint): number {
+  if (a.node.getRootNode() === b.node.getRootNode()) {
+    const range = document.createRange();
+    range.setStart(a.node, a.offset);
+    return -range.comparePoint(b.node, b.offset);
+  }
+
+  // Points in different shadow trees can only be compared by the positions of
+  // their shadow hosts in the document.
+  const hostA = getDocumentTreeNode(a.node);
+  const hostB = getDocumentTreeNode(b.node);
+  const position = hostA.compareDocumentPosition(hostB);
+
+  return hostA === hostB
+    ? 0
+    : (position & Node.DOCUMENT_POSITION_FOLLOWING) !== 0
+    ? -1
+    : (position & Node.DOCUMENT_POSITION_PRECEDING) !== 0
+    ? 1
+    : 0;
+}
+
+function getDocumentTreeNode(node: Node): Node {
+  let current = node;
+  for (
+    let root = current.getRootNode();
+    root instanceof ShadowRoot;
+    root = current.getRootNode()
+  ) {
+    current = root.host;
+  }
+  return current;
+}
+
 function getTextWeight(text: string, weight: number): number {
   // The weight used for hints after filtering by text is the number of
   // non-whitespace characters, plus a tiny bit of the regular hint weight in
@@ -1297,7 +1909,17 @@ function suppressEvent(event: Event): void {
 
 function makeElementReports(
   elements: Array<VisibleElement | undefined>,
-  { maxDuration, prefix }: { maxDuration: number; prefix: string }
+  {
+    maxDuration,
+    prefix,
+    lastFocusedTextInput,
+  }: {
+    maxDuration: number;
+    prefix: string;
+    lastFocusedTextInput:
+      | { element: HTMLElement; timestamp: number }
+      | undefined;
+  }
 ): Array<ElementReport> {
   const startTime = Date.now();
 
@@ -1306,6 +1928,10 @@ function makeElementReports(
       ? visibleElementToElementReport(elementData, {
           index,
           textContent: Date.now() - startTime > maxDuration,
+          lastFocused:
+            elementData.element === lastFocusedTextInput?.element
+              ? lastFocusedTextInput.timestamp
+              : 0,
         })
       : []
   );
@@ -1329,7 +1955,11 @@ function makeElementReports(
 
 function visibleElementToElementReport(
   { element, type, measurements, hasClickListener }: VisibleElement,
-  { index, textContent }: { index: number; textContent: boolean }
+  {
+    index,
+    textContent,
+    lastFocused,
+  }: { index: number; textContent: boolean; lastFocused: number }
 ): ElementReport {
   const text = textContent
     ? element.textContent ?? ""
@@ -1349,6 +1979,7 @@ function visibleElementToElementReport(
     textContent,
     textWeight: getTextWeight(text, measurements.weight),
     isTextInput: isTextInput(element),
+    lastFocused,
     hasClickListener,
     hintMeasurements: measurements,
   };
@@ -1397,6 +2028,280 @@ function extractTextHelper(element: HTMLElement): string {
   return normalizeWhitespace(extractText(element));
 }
 
+function getCopyText(
+  element: HTMLElement,
+  format: CopyFormat | undefined
+): string {
+  switch (format) {
+    case undefined:
+      return guessCopyText(element);
+
+    case "Url":
+      return getCopyUrl(element) ?? guessCopyText(element);
+
+    case "Text":
+      return getCopyLinkText(element) ?? guessCopyText(element);
+
+    case "Markdown": {
+      const mediaUrl = getMediaUrl(element);
+      if (element instanceof HTMLImageElement && mediaUrl !== undefined) {
+        return `![${escapeMarkdown(element.alt)}](${escapeMarkdownUrl(
+          mediaUrl
+        )})`;
+      }
+      const url = getCopyUrl(element);
+      const text = getCopyLinkText(element);
+      return url === undefined
+        ? text ?? guessCopyText(element)
+        : `[${escapeMarkdown(text ?? url)}](${escapeMarkdownUrl(url)})`;
+    }
+
+    case "Html": {
+      const url = getCopyUrl(element);
+      const text = getCopyLinkText(element);
+      return url === undefined
+        ? escapeHtml(text ?? guessCopyText(element))
+        : `<a href="${escapeHtml(url)}">${escapeHtml(text ?? url)}</a>`;
+    }
+
+    case "Media":
+      return (
+        getMediaUrl(element) ?? getCopyUrl(element) ?? guessCopyText(element)
+      );
+  }
+}
+
+// Guess the most useful thing to copy for the element.
+function guessCopyText(element: HTMLElement): string {
+  return element instanceof HTMLAnchorElement
+    ? element.href
+    : element instanceof HTMLImageElement || element instanceof HTMLMediaElement
+    ? element.currentSrc
+    : element instanceof HTMLObjectElement
+    ? element.data
+    : element instanceof HTMLEmbedElement ||
+      element instanceof HTMLIFrameElement ||
+      element instanceof HTMLFrameElement
+    ? element.src
+    : element instanceof HTMLInputElement ||
+      element instanceof HTMLTextAreaElement ||
+      element instanceof HTMLSelectElement
+    ? element.value
+    : element instanceof HTMLProgressElement ||
+      element instanceof HTMLMeterElement
+    ? element.value.toString()
+    : element instanceof HTMLCanvasElement
+    ? element.toDataURL()
+    : element instanceof HTMLPreElement
+    ? extractText(element)
+    : // eslint-disable-next-line @typescript-eslint/strict-boolean-expressions
+      normalizeWhitespace(extractText(element)) || element.outerHTML;
+}
+
+function getCopyUrl(element: HTMLElement): string | undefined {
+  return (element instanceof HTMLAnchorElement ||
+    element instanceof HTMLAreaElement) &&
+    element.href !== ""
+    ? element.href
+    : undefined;
+}
+
+// The text of the element, or some other human readable name for it if it has
+// no text (such as an icon link).
+function getCopyLinkText(element: HTMLElement): string | undefined {
+  const text =
+    element instanceof HTMLInputElement ||
+    element instanceof HTMLTextAreaElement ||
+    element instanceof HTMLSelectElement
+      ? element.value
+      : element instanceof HTMLPreElement
+      ? extractText(element)
+      : normalizeWhitespace(extractText(element));
+  if (text !== "") {
+    return text;
+  }
+  const image = element.querySelector("img[alt]");
+  const name = [
+    element.getAttribute("aria-label"),
+    element.title,
+    image instanceof HTMLImageElement ? image.alt : undefined,
+  ].find(
+    (candidate) => typeof candidate === "string" && candidate.trim() !== ""
+  );
+  return name === undefined || name === null ? undefined : name.trim();
+}
+
+// The source of the element itself, or of its only image/media child (links
+// often wrap a single image).
+function getMediaUrl(element: HTMLElement): string | undefined {
+  const media =
+    element instanceof HTMLImageElement ||
+    element instanceof HTMLMediaElement ||
+    element instanceof HTMLObjectElement ||
+    element instanceof HTMLEmbedElement ||
+    element instanceof HTMLIFrameElement ||
+    element instanceof HTMLFrameElement
+      ? element
+      : element.querySelectorAll("img, video, audio").length === 1
+      ? element.querySelector("img, video, audio")
+      : null;
+  const url =
+    media instanceof HTMLImageElement || media instanceof HTMLMediaElement
+      ? media.currentSrc
+      : media instanceof HTMLObjectElement
+      ? media.data
+      : media instanceof HTMLEmbedElement ||
+        media instanceof HTMLIFrameElement ||
+        media instanceof HTMLFrameElement
+      ? media.src
+      : "";
+  return url === "" ? undefined : url;
+}
+
+function escapeMarkdown(text: string): string {
+  return text.replace(/[[\]\\]/g, "\\$&");
+}
+
+function escapeMarkdownUrl(url: string): string {
+  return url.replace(/[()\s]/g, (char) =>
+    char === "(" ? "%28" : char === ")" ? "%29" : "%20"
+  );
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+type PageDirection = "Next" | "Previous";
+
+const PAGE_LINK_TYPES: ElementTypes = ["link", "clickable", "clickable-event"];
+
+// `<link rel="next">` and `<a rel="next">` are the most reliable way of finding
+// the next page, when the page has them.
+function getRelLink(direction: PageDirection): HTMLElement | undefined {
+  const rels = direction === "Next" ? ["next"] : ["prev", "previous"];
+
+  for (const tagName of ["link", "a", "area"]) {
+    const element = document.querySelector<HTMLElement>(
+      rels.map((rel) => `${tagName}[rel~="${rel}" i][href]`).join(", ")
+    );
+    if (element !== null) {
+      return element;
+    }
+  }
+
+  return undefined;
+}
+
+// Numbered pagination usually marks the current page with `aria-current`. Then
+// the link to the page after (or before) it can be found by its number.
+function getCurrentPageNumber(): number | undefined {
+  for (const element of document.querySelectorAll<HTMLElement>(
+    '[aria-current="page"]'
+  )) {
+    const text = normalizeWhitespace(extractText(element));
+    if (/^\d+$/.test(text)) {
+      return Number(text);
+    }
+  }
+  return undefined;
+}
+
+// Matches the (folded) word, but not as part of another word: “next” should not
+// match “nextcloud”. Symbols such as “→” also decorate unrelated links (“Read
+// more →”), so symbol-only words only match texts with nothing but symbols.
+function makeWordPattern(word: string): RegExp {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return trimSymbols(word) === ""
+    ? RegExp(`^[\\p{P}\\p{S}\\s]*${escaped}[\\p{P}\\p{S}\\s]*$`, "u")
+    : RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, "u");
+}
+
+// Higher is better, and 0 means no match. The whole text being a word beats
+// just containing it (“Next steps”). The link text beats accessible names,
+// titles and image alt texts (for icon-only links), which beat class names and
+// ids. Lastly, words earlier in the list win.
+function getPageLinkScore(
+  element: HTMLElement,
+  patterns: Array<RegExp>,
+  pageNumber: number | undefined
+): number {
+  const sources: Array<{ rank: number; texts: Array<string> }> = [
+    { rank: 3, texts: [extractTextHelper(element)] },
+    {
+      rank: 2,
+      texts: [
+        element.getAttribute("aria-label") ?? "",
+        element.title,
+        ...Array.from(
+          element.querySelectorAll<HTMLImageElement>("img[alt]"),
+          (image) => image.alt
+        ),
+      ],
+    },
+    {
+      rank: 1,
+      texts: `${element.id} ${element.getAttribute("class") ?? ""}`.split(
+        /[\s_-]+/
+      ),
+    },
+  ];
+
+  let best = 0;
+
+  for (const { rank, texts } of sources) {
+    for (const text of texts) {
+      const folded = foldText(normalizeWhitespace(text));
+      if (folded === "" || folded.length > t.MAX_PAGE_LINK_TEXT_LENGTH.value) {
+        continue;
+      }
+
+      if (
+        rank === 3 &&
+        pageNumber !== undefined &&
+        folded === `${pageNumber}`
+      ) {
+        best = Math.max(
+          best,
+          pageLinkScore(2, rank, patterns.length, patterns.length)
+        );
+      }
+
+      for (const [index, pattern] of patterns.entries()) {
+        const match = pattern.exec(folded);
+        if (match !== null) {
+          const quality =
+            match[0] === folded || match[0] === trimSymbols(folded) ? 2 : 1;
+          best = Math.max(
+            best,
+            pageLinkScore(quality, rank, index, patterns.length)
+          );
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+// “Next ›” and “« Previous” count as the whole text being the word.
+function trimSymbols(text: string): string {
+  return text.replace(/^[\p{P}\p{S}\s]+|[\p{P}\p{S}\s]+$/gu, "");
+}
+
+function pageLinkScore(
+  quality: number,
+  rank: number,
+  index: number,
+  numPatterns: number
+): number {
+  return (quality * 4 + rank) * (numPatterns + 1) + numPatterns - index;
+}
+
 function normalizeWhitespace(string: string): string {
   return string.trim().replace(/\s+/g, " ");
 }
@@ -1405,11 +2310,13 @@ export function getTextRectsHelper({
   element,
   viewports,
   words,
+  textFilter,
   checkElementAtPoint,
 }: {
   element: HTMLElement;
   viewports: Array<Box>;
-  words: Set<string>;
+  words: Array<string>;
+  textFilter: TextFilter;
   checkElementAtPoint?: boolean;
 }): Array<Box> {
   // See `extractTextHelper`.
@@ -1420,12 +2327,19 @@ export function getTextRectsHelper({
         element: element2,
         viewports,
         words,
+        textFilter,
         checkElementAtPoint,
       })
     );
   }
 
-  return getTextRects({ element, viewports, words, checkElementAtPoint });
+  return getTextRects({
+    element,
+    viewports,
+    words,
+    textFilter,
+    checkElementAtPoint,
+  });
 }
 
 // Used to decide if two links can get the same hint. If they have the same href
@@ -1815,6 +2729,95 @@ function stripHash(url: string): string {
   return index === -1 ? url : url.slice(0, index);
 }
 
+// The media element APIs are used directly rather than clicking the buttons of
+// the player, since those differ between sites and are often covered by
+// overlays.
+function controlMedia(element: HTMLMediaElement, command: MediaCommand): void {
+  switch (command) {
+    case "TogglePlay":
+      if (element.paused) {
+        // This is rejected if the browser blocks autoplay.
+        fireAndForget(element.play(), "controlMedia->play", element);
+      } else {
+        element.pause();
+      }
+      return;
+
+    case "ToggleMute":
+      element.muted = !element.muted;
+      return;
+
+    // Both need the keypress to count as user activation, which it does not if
+    // it happened in another frame than the one with the media element.
+    case "ToggleFullscreen":
+      fireAndForget(
+        document.fullscreenElement === null
+          ? element.requestFullscreen()
+          : document.exitFullscreen(),
+        "controlMedia->fullscreen",
+        element
+      );
+      return;
+
+    case "TogglePictureInPicture":
+      // Firefox only has its own picture-in-picture button, no API.
+      if (
+        !(element instanceof HTMLVideoElement) ||
+        !("pictureInPictureEnabled" in document) ||
+        !document.pictureInPictureEnabled
+      ) {
+        log("log", "controlMedia: picture-in-picture unavailable", element);
+        return;
+      }
+      fireAndForget(
+        document.pictureInPictureElement === element
+          ? document.exitPictureInPicture()
+          : element.requestPictureInPicture().then(() => {
+              // Ignore the picture-in-picture window.
+            }),
+        "controlMedia->pictureInPicture",
+        element
+      );
+      return;
+
+    case "SlowDown":
+      element.playbackRate = Math.max(
+        t.MEDIA_PLAYBACK_RATE_STEP.value,
+        element.playbackRate - t.MEDIA_PLAYBACK_RATE_STEP.value
+      );
+      return;
+
+    case "SpeedUp":
+      element.playbackRate = Math.min(
+        t.MEDIA_MAX_PLAYBACK_RATE.value,
+        element.playbackRate + t.MEDIA_PLAYBACK_RATE_STEP.value
+      );
+      return;
+
+    // Seeking past the end stops at the end.
+    case "SeekBackward":
+      element.currentTime = Math.max(
+        0,
+        element.currentTime - t.MEDIA_SEEK_STEP.value
+      );
+      return;
+
+    case "SeekForward":
+      element.currentTime += t.MEDIA_SEEK_STEP.value;
+      return;
+  }
+}
+
+function getMediaState(element: HTMLMediaElement): MediaState {
+  return {
+    paused: element.paused,
+    muted: element.muted,
+    playbackRate: element.playbackRate,
+    currentTime: element.currentTime,
+    duration: element.duration,
+  };
+}
+
 function flashElement(element: HTMLElement): void {
   const selector = t.FLASH_COPIED_ELEMENT_NO_INVERT_SELECTOR.value;
   const changes = [
@@ -9,6 +9,8 @@ module.exports = {
   artifactsDir: config.dist,
   ignoreFiles: config.webextIgnoreFiles,
   build: {
+    // Must match what scripts/build-post.ts expects.
+    filename: `${config.meta.webExtBaseName}.zip`,
     overwriteDest: true,
   },
   lint: {